@@ -13,7 +13,9 @@ const optionalEnvVars = [
   'USE_ALPHA_SENDER_ID',
   'ALPHA_SENDER_ID',
   'FALLBACK_PHONE_NUMBER',
-  'MAIN_BACKEND_URL'
+  'MAIN_BACKEND_URL',
+  'STORAGE_TYPE',
+  'DATA_DIR'
 ];
 
 function validateEnvironment() {
@@ -67,6 +69,21 @@ function validateEnvironment() {
     }
   }
 
+  // Twilio signs webhooks against the public URL, so production needs BASE_URL
+  if (process.env.NODE_ENV === 'production' && !process.env.BASE_URL) {
+    missing.push('BASE_URL (required in production for Twilio signature validation)');
+  }
+
+  // Admin key must be long enough to resist guessing
+  if (process.env.ADMIN_API_KEY && process.env.ADMIN_API_KEY.length < 32) {
+    missing.push('ADMIN_API_KEY (must be at least 32 characters)');
+  }
+
+  // Validate storage backend if provided
+  if (process.env.STORAGE_TYPE && !['file', 'memory'].includes(process.env.STORAGE_TYPE)) {
+    missing.push('STORAGE_TYPE (must be "file" or "memory")');
+  }
+
   if (missing.length > 0) {
     throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
   }
@@ -92,6 +109,28 @@ function validateEnvironment() {
     },
     mainBackend: {
       url: process.env.MAIN_BACKEND_URL
+    },
+    admin: {
+      apiKey: process.env.ADMIN_API_KEY
+    },
+    scheduler: {
+      enabled: process.env.SCHEDULER_ENABLED !== 'false',
+      intervalSeconds: parseInt(process.env.SCHEDULER_INTERVAL_SECONDS) || 30,
+      missedRunGraceMinutes: parseInt(process.env.SCHEDULER_MISSED_RUN_GRACE_MINUTES) || 15,
+      callbackDelayMinutes: parseInt(process.env.CALLBACK_DELAY_MINUTES) || 60
+    },
+    reconciler: {
+      intervalMinutes: parseInt(process.env.RECONCILE_INTERVAL_MINUTES) || 10,
+      stuckAfterMinutes: parseInt(process.env.RECONCILE_STUCK_AFTER_MINUTES) || 30
+    },
+    campaigns: {
+      intervalSeconds: parseInt(process.env.CAMPAIGN_INTERVAL_SECONDS) || 5,
+      callsPerMinute: parseInt(process.env.CAMPAIGN_CALLS_PER_MINUTE) || 6
+    },
+    storage: {
+      type: process.env.STORAGE_TYPE || 'file',
+      dataDir: process.env.DATA_DIR || './data',
+      writeDelayMs: parseInt(process.env.STORAGE_WRITE_DELAY_MS || '200', 10)
     }
   };
 }
@@ -9,6 +9,15 @@ const SimpleApiKeyService = require('./utils/simple-api-key-service');
 const SimpleCallService = require('./utils/simple-call-service');
 const SimpleTwilioService = require('./utils/simple-twilio-service');
 const SimpleRecordingService = require('./utils/simple-recording-service');
+const SimpleDialerService = require('./utils/simple-dialer-service');
+const SimpleScheduleService = require('./utils/simple-schedule-service');
+const SimpleWebhookService = require('./utils/simple-webhook-service');
+const SimpleRetryService = require('./utils/simple-retry-service');
+const SimpleRecordingPipeline = require('./utils/simple-recording-pipeline');
+const SimpleInboundService = require('./utils/simple-inbound-service');
+const SimpleReconcilerService = require('./utils/simple-reconciler-service');
+const SimpleCampaignService = require('./utils/simple-campaign-service');
+const SimpleSmsService = require('./utils/simple-sms-service');
 
 // Import routes
 const memooraRoutes = require('./routes-memoora/simple-memoora');
@@ -27,14 +36,26 @@ try {
 }
 
 // Initialize services
-const apiKeyService = new SimpleApiKeyService();
-const callService = new SimpleCallService();
+const apiKeyService = new SimpleApiKeyService({ ...config.storage, adminApiKey: config.admin.apiKey });
+const callService = new SimpleCallService(config.storage);
 const twilioService = new SimpleTwilioService();
 const recordingService = new SimpleRecordingService();
-
-// Middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+const dialerService = new SimpleDialerService(apiKeyService, callService, twilioService, config.scheduler);
+const scheduleService = new SimpleScheduleService(apiKeyService, dialerService, { ...config.storage, ...config.scheduler });
+const webhookService = new SimpleWebhookService();
+const retryService = new SimpleRetryService(apiKeyService, callService, dialerService, config.scheduler);
+const smsService = new SimpleSmsService(apiKeyService, callService, scheduleService, twilioService, { ...config.storage, ...config.scheduler });
+const recordingPipeline = new SimpleRecordingPipeline(callService, recordingService, webhookService, retryService, smsService);
+const inboundService = new SimpleInboundService(apiKeyService, callService, scheduleService, retryService);
+const reconcilerService = new SimpleReconcilerService(callService, twilioService, recordingPipeline, config.reconciler);
+const campaignService = new SimpleCampaignService(apiKeyService, dialerService, callService, { ...config.storage, ...config.campaigns });
+
+// Middleware (raw body is kept for Twilio signature checks on JSON webhooks)
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf.toString('utf8');
+};
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: captureRawBody }));
 
 // CORS configuration
 const corsOptions = {
@@ -66,7 +87,7 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
-app.use('/api/v1', memooraRoutes(apiKeyService, callService, twilioService, recordingService));
+app.use('/api/v1', memooraRoutes(apiKeyService, callService, twilioService, recordingService, dialerService, scheduleService, webhookService, retryService, recordingPipeline, inboundService, reconcilerService, campaignService, smsService));
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -94,11 +115,23 @@ app.use((error, req, res, next) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('🔄 SIGTERM received, shutting down gracefully...');
+  dialerService.stop();
+  scheduleService.stop();
+  retryService.stop();
+  reconcilerService.stop();
+  campaignService.stop();
+  smsService.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('🔄 SIGINT received, shutting down gracefully...');
+  dialerService.stop();
+  scheduleService.stop();
+  retryService.stop();
+  reconcilerService.stop();
+  campaignService.stop();
+  smsService.stop();
   process.exit(0);
 });
 
@@ -114,6 +147,16 @@ const server = app.listen(config.port, () => {
     console.log(`🌍 Public URL: ${config.baseUrl}`);
   }
   
+  // Background jobs start once the server is accepting webhooks
+  if (config.scheduler.enabled) {
+    dialerService.start();
+    scheduleService.start();
+    retryService.start();
+    reconcilerService.start();
+    campaignService.start();
+    smsService.start();
+  }
+
   console.log('✅ All services initialized successfully');
 });
 
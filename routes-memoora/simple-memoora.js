@@ -1,46 +1,35 @@
 const express = require('express');
 const router = express.Router();
-const https = require('https');
-
-// Helper function to make HTTP requests
-const makeHttpRequest = (url, options, data) => {
-  return new Promise((resolve, reject) => {
-    const urlObj = new URL(url);
-    const requestOptions = {
-      hostname: urlObj.hostname,
-      port: urlObj.port || (urlObj.protocol === 'https:' ? 443 : 80),
-      path: urlObj.pathname + urlObj.search,
-      method: options.method || 'GET',
-      headers: options.headers || {}
-    };
+const { createTwilioWebhookValidator } = require('../utils/simple-twilio-webhook-auth');
+const { validateRetryPolicy } = require('../utils/simple-retry-policy');
+const { SUPPORTED_VOICES, validateVoicePersona, resolveVoicePersona, personaProsody } = require('../utils/simple-voice-persona');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, resolveLocale, getCatalog, translate } = require('../utils/simple-locales');
+const { MAX_CONSENT_ATTEMPTS, interpretConsent } = require('../utils/simple-consent');
+const { buildCallPreview } = require('../utils/simple-call-preview');
+const { escapeXml, element, speechXml } = require('../utils/simple-twiml');
+const { callRequestError, callDataFromRequest } = require('../utils/simple-call-request');
+const { validateSmsSettings, resolveSmsSettings, OPT_OUT_KEYWORDS } = require('../utils/simple-sms-settings');
 
-    const req = https.request(requestOptions, (res) => {
-      let responseData = '';
-      res.on('data', (chunk) => {
-        responseData += chunk;
-      });
-      res.on('end', () => {
-        resolve({
-          ok: res.statusCode >= 200 && res.statusCode < 300,
-          status: res.statusCode,
-          statusText: res.statusMessage,
-          json: () => Promise.resolve(JSON.parse(responseData))
-        });
-      });
-    });
+// Longest single recording, and how many of them a long story may chain
+// (6 parts of 300 seconds is 30 minutes)
+const MAX_RECORDING_SECONDS = 300;
+const MAX_STORY_PARTS = 6;
 
-    req.on('error', (error) => {
-      reject(error);
-    });
+// Call statuses after which there is nothing left to hang up
+const ENDED_CALL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled', 'twilio_failed', 'voicemail_left', 'recording_failed', 'canceled_by_client', 'consent_declined'];
 
-    if (data) {
-      req.write(data);
-    }
-    req.end();
-  });
+// Stands in for the call id in a preview's TwiML; a placed call gets its own
+const PREVIEW_CALL_ID = 'call_preview';
+
+// Keypad menu for interactive calls
+const MENU_ACTIONS = {
+  '1': 'record',
+  '2': 'repeat',
+  '3': 'skip',
+  '9': 'callback'
 };
 
-module.exports = function(apiKeyService, callService, twilioService, recordingService) {
+module.exports = function(apiKeyService, callService, twilioService, recordingService, dialerService, scheduleService, webhookService, retryService, recordingPipeline, inboundService, reconcilerService, campaignService, smsService) {
 
   // 🔑 API Key validation middleware
   const validateApiKey = (req, res, next) => {
@@ -63,6 +52,67 @@ module.exports = function(apiKeyService, callService, twilioService, recordingSe
     }
   };
 
+  // 🛡️ Permission scope middleware (admin keys hold every scope)
+  const requireScope = (scope) => (req, res, next) => {
+    if (!apiKeyService.hasPermission(req.account, scope)) {
+      return res.status(403).json({ error: 'Insufficient permissions', required: scope });
+    }
+    next();
+  };
+
+  // 🛡️ Admin-only middleware
+  const requireAdmin = (req, res, next) => {
+    if (!apiKeyService.isAdmin(req.account)) {
+      return res.status(403).json({ error: 'Admin API key required' });
+    }
+    next();
+  };
+
+  // 🏢 Tenant check: a call belongs to the key that created it (admins see all)
+  const canAccessCall = (req, call) => {
+    return !!call && (call.apiKeyId === req.account.id || apiKeyService.isAdmin(req.account));
+  };
+
+  // 🏢 Call IDs whose recordings this key may see (null means unrestricted)
+  const getAccessibleCallIds = (req) => {
+    if (apiKeyService.isAdmin(req.account)) {
+      return null;
+    }
+    return new Set(callService.getCallsByApiKey(req.account.id).map(call => call.id));
+  };
+
+  // 📊 Expose the tightest quota window as X-RateLimit-* headers
+  const setRateLimitHeaders = (res, current) => {
+    res.set('X-RateLimit-Limit', String(current.limit));
+    res.set('X-RateLimit-Remaining', String(current.remaining));
+    res.set('X-RateLimit-Reset', String(Math.ceil(new Date(current.resetAt).getTime() / 1000)));
+    res.set('X-RateLimit-Window', current.window);
+  };
+
+  // 🚦 Per-key call quota middleware (sliding hourly/daily/monthly windows)
+  const enforceCallQuota = (req, res, next) => {
+    const rateLimit = apiKeyService.checkRateLimits(req.account.id);
+    if (!rateLimit.current) {
+      return res.status(401).json({ error: rateLimit.message });
+    }
+
+    setRateLimitHeaders(res, rateLimit.current);
+
+    if (!rateLimit.allowed) {
+      res.set('Retry-After', String(rateLimit.retryAfter));
+      return res.status(429).json({
+        error: rateLimit.message,
+        retryAfter: rateLimit.retryAfter,
+        quota: rateLimit.quota
+      });
+    }
+
+    next();
+  };
+
+  // 🔐 Twilio signature validation for webhook routes
+  const validateTwilioRequest = createTwilioWebhookValidator();
+
   // 📍 Discovery endpoint
   router.get('/', (req, res) => {
     res.json({
@@ -73,17 +123,41 @@ module.exports = function(apiKeyService, callService, twilioService, recordingSe
         'GET /': 'This discovery endpoint',
         'GET /health': 'Service health check',
         'POST /generate-api-key': 'Generate new API key (public)',
-        'POST /call': 'Initiate outbound phone call',
-        'GET /calls': 'List all calls',
-        'GET /calls/:callId': 'Get call details',
-        'GET /recordings': 'List all recordings',
+        'POST /call': 'Initiate outbound phone call (one question or an ordered interview)',
+        'POST /call/preview': 'See the TwiML, script, spoken duration and warnings for a call without placing it',
+        'GET /quota': 'Remaining call quota for this API key',
+        'GET /retry-policy': 'Default retry policy for this API key\'s calls',
+        'PUT /retry-policy': 'Set or clear the default retry policy',
+        'GET /voice-persona': 'Default voice, greeting, closing and pauses for this API key\'s calls',
+        'PUT /voice-persona': 'Set or clear the default voice persona',
+        'POST /schedules': 'Schedule a one-off or recurring call',
+        'GET /schedules': 'List schedules for this API key',
+        'GET /schedules/:scheduleId': 'Get schedule details and recent runs',
+        'PATCH /schedules/:scheduleId': 'Update, pause or resume a schedule',
+        'DELETE /schedules/:scheduleId': 'Cancel a schedule',
+        'POST /campaigns': 'Place a list of calls (JSON or CSV upload) at a steady pace',
+        'GET /campaigns': 'List campaigns for this API key',
+        'GET /campaigns/:campaignId': 'Get campaign progress and the status of each call',
+        'PATCH /campaigns/:campaignId': 'Pause, resume or change the pace of a campaign',
+        'DELETE /campaigns/:campaignId': 'Cancel a campaign\'s queued calls',
+        'GET /calls': 'List calls created by this API key',
+        'GET /calls/:callId': 'Get call details, including retry attempts',
+        'DELETE /calls/:callId': 'Cancel or hang up a call and drop its scheduled retries (also POST /calls/:callId/cancel)',
+        'GET /recordings': 'List recordings for this API key\'s calls',
         'GET /recordings/:filename': 'Get recording details',
         'GET /api-keys': 'List API keys (admin only)',
-        'GET /stats': 'Service statistics'
+        'POST /api-keys': 'Create API key with type, scopes and limits (admin only)',
+        'GET /api-keys/:keyId': 'Get API key details (admin only)',
+        'POST /api-keys/:keyId/revoke': 'Revoke API key (admin only)',
+        'POST /api-keys/:keyId/reactivate': 'Reactivate API key (admin only)',
+        'PUT /api-keys/:keyId/permissions': 'Replace API key scopes (admin only)',
+        'POST /reconcile': 'Repair calls stuck waiting on Twilio callbacks (admin only)',
+        'GET /stats': 'Statistics for this API key (global for admin keys)'
       },
       authentication: {
         method: 'API Key',
-        header: 'x-api-key'
+        header: 'x-api-key',
+        scopes: ['call', 'recordings', 'read']
       }
     });
   });
@@ -107,77 +181,50 @@ module.exports = function(apiKeyService, callService, twilioService, recordingSe
         phoneNumber
       });
 
-      res.status(201).json(apiKey);
+      // The plaintext key is only ever returned from this response
+      res.status(201).json({
+        ...apiKey,
+        message: 'Store this API key securely. It will not be shown again.'
+      });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
   });
 
   // 📞 Initiate call
-  router.post('/call', validateApiKey, (req, res) => {
+  router.post('/call', validateApiKey, requireScope('call'), enforceCallQuota, (req, res) => {
     try {
-      const { phoneNumber, customMessage, storytellerId, familyMemberId, scheduledCallId, callType, interactive } = req.body;
-      
-      if (!phoneNumber || !customMessage) {
-        return res.status(400).json({
-          error: 'Missing required fields',
-          required: ['phoneNumber', 'customMessage']
-        });
+      const requestError = callRequestError(req.body);
+      if (requestError) {
+        return res.status(400).json(requestError);
       }
 
-      // Create call record
-      const callRecord = callService.createCall({
-        phoneNumber,
-        customMessage,
-        storytellerId,
-        familyMemberId,
-        scheduledCallId,
-        callType: callType || 'storytelling',
-        interactive: interactive !== false,
-        apiKeyInfo: req.account
-      });
+      // Create call record, count it against the key's quota and dial it
+      const callRecord = dialerService.placeCall(callDataFromRequest(req.body, req.account));
+      setRateLimitHeaders(res, apiKeyService.checkRateLimits(req.account.id).current);
 
-      // If Twilio is configured, make real call
-      if (twilioService.isReady()) {
-        twilioService.makeCall({
-          phoneNumber,
-          customMessage,
-          callId: callRecord.id,
-          webhookUrl: `${process.env.BASE_URL || 'http://localhost:5005'}/api/v1/voice`
-        })
-        .then(twilioResult => {
-          // Update call record with Twilio SID and caller ID information
-          callService.updateCallStatus(callRecord.id, 'twilio_initiated', {
-            twilioSid: twilioResult.twilioSid,
-            metadata: {
-              twilioStatus: twilioResult.status,
-              callerId: twilioResult.callerId,
-              callerIdType: twilioResult.callerIdType,
-              fallbackUsed: twilioResult.fallbackUsed || false,
-              fallbackReason: twilioResult.fallbackReason || null
-            }
-          });
-          
-          console.log(`📞 Call ${callRecord.id} initiated with caller ID: ${twilioResult.callerId} (${twilioResult.callerIdType})`);
-          if (twilioResult.fallbackUsed) {
-            console.log(`⚠️  Fallback used for call ${callRecord.id}: ${twilioResult.fallbackReason}`);
-          }
-        })
-        .catch(twilioError => {
-          callService.updateCallStatus(callRecord.id, 'twilio_failed', {
-            metadata: {
-              twilioError: twilioError.message
-            }
-          });
+      // A held call's heads-up goes out now rather than on the next SMS tick
+      if (callRecord.heldUntil && smsService) {
+        smsService.sendCallHeadsUp(callRecord.id).catch(error => {
+          console.error(`❌ Heads-up for call ${callRecord.id} failed:`, error.message);
         });
       }
 
       res.status(200).json({
         success: true,
-        message: 'Call initiated successfully',
+        message: callRecord.heldUntil ? 'Call held for its heads-up text; it is dialed at heldUntil' : 'Call initiated successfully',
         callId: callRecord.id,
         phoneNumber: callRecord.phoneNumber,
-        status: callRecord.status
+        status: callRecord.status,
+        heldUntil: callRecord.heldUntil,
+        questionCount: callRecord.questions.length,
+        longStory: callRecord.longStory,
+        conference: callRecord.conference,
+        retryPolicy: callRecord.retryPolicy,
+        machineDetection: callRecord.machineDetection,
+        requireConsent: callRecord.requireConsent,
+        voicePersona: callRecord.voicePersona,
+        locale: callRecord.locale
       });
 
     } catch (error) {
@@ -185,575 +232,1482 @@ module.exports = function(apiKeyService, callService, twilioService, recordingSe
     }
   });
 
-  // 📋 List calls
-  router.get('/calls', validateApiKey, (req, res) => {
+  // 👀 Preview a call without placing it: the TwiML /voice would answer
+  // with, the script as plain text, how long it takes to say, and warnings.
+  // Takes the same body as POST /call; nothing is dialed, stored or counted.
+  router.post('/call/preview', validateApiKey, requireScope('call'), (req, res) => {
     try {
-      const calls = callService.getCallsByApiKey(req.account.id);
-      res.json({ calls });
+      const requestError = callRequestError(req.body);
+      if (requestError) {
+        return res.status(400).json(requestError);
+      }
+
+      const callRecord = callService.buildCallRecord(dialerService.resolveCallData(callDataFromRequest(req.body, req.account)), PREVIEW_CALL_ID);
+
+      res.json({
+        success: true,
+        locale: callRecord.locale,
+        voicePersona: callRecord.voicePersona,
+        twiml: callOpeningTwiml(callRecord),
+        voicemailTwiml: callRecord.machineDetection ? voicemailTwiml(callRecord) : null,
+        // Ids in the TwiML that the placed call replaces with its own
+        placeholders: {
+          callId: PREVIEW_CALL_ID,
+          conferenceName: callRecord.conference ? callRecord.conference.name : null
+        },
+        ...buildCallPreview(callRecord, {
+          voicemailMessage: callRecord.machineDetection ? voicemailMessage(callRecord) : null,
+          requestedLocale: req.body.locale
+        })
+      });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
   });
 
-  // 📞 Get call details
-  router.get('/calls/:callId', validateApiKey, (req, res) => {
+  // 🗓️ Create a one-off or recurring call schedule
+  router.post('/schedules', validateApiKey, requireScope('call'), (req, res) => {
     try {
-      const call = callService.getCall(req.params.callId);
-      if (!call) {
-        return res.status(404).json({ error: 'Call not found' });
+      const errors = scheduleService.validateSchedule(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid schedule', details: errors });
       }
-      res.json({ call });
+
+      const schedule = scheduleService.createSchedule(req.body, req.account);
+      res.status(201).json({ schedule });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
   });
 
-  // 🎵 List recordings
-  router.get('/recordings', validateApiKey, (req, res) => {
+  // 🗓️ List schedules for this key
+  router.get('/schedules', validateApiKey, requireScope('read'), (req, res) => {
     try {
-      const recordings = recordingService.listRecordings();
-      res.json({ recordings });
+      const schedules = scheduleService.getSchedulesByApiKey(req.account.id);
+      res.json({ schedules });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
   });
 
-  // 🎵 Get recording details
-  router.get('/recordings/:filename', validateApiKey, (req, res) => {
+  // 🗓️ Get schedule details, including recent runs
+  router.get('/schedules/:scheduleId', validateApiKey, requireScope('read'), (req, res) => {
+    const schedule = scheduleService.getSchedule(req.params.scheduleId);
+    if (!schedule || (schedule.apiKeyId !== req.account.id && !apiKeyService.isAdmin(req.account))) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ schedule });
+  });
+
+  // 🗓️ Update a schedule (timing, call details, or pause/resume via status)
+  router.patch('/schedules/:scheduleId', validateApiKey, requireScope('call'), (req, res) => {
     try {
-      const recording = recordingService.getRecording(req.params.filename);
-      if (!recording) {
-        return res.status(404).json({ error: 'Recording not found' });
+      const schedule = scheduleService.getSchedule(req.params.scheduleId);
+      if (!schedule || (schedule.apiKeyId !== req.account.id && !apiKeyService.isAdmin(req.account))) {
+        return res.status(404).json({ error: 'Schedule not found' });
       }
-      res.json({ recording });
+
+      const updated = scheduleService.updateSchedule(schedule.id, req.body);
+      res.json({ schedule: updated });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(error.statusCode || 500).json({ error: error.message, details: error.errors });
     }
   });
 
-  // 🔑 List API keys (admin only)
-  router.get('/api-keys', validateApiKey, (req, res) => {
+  // 🗓️ Cancel a schedule
+  router.delete('/schedules/:scheduleId', validateApiKey, requireScope('call'), (req, res) => {
     try {
-      const apiKeys = apiKeyService.getAllApiKeys();
-      res.json({ apiKeys });
+      const schedule = scheduleService.getSchedule(req.params.scheduleId);
+      if (!schedule || (schedule.apiKeyId !== req.account.id && !apiKeyService.isAdmin(req.account))) {
+        return res.status(404).json({ error: 'Schedule not found' });
+      }
+
+      const canceled = scheduleService.cancelSchedule(schedule.id);
+      res.json({ success: true, message: 'Schedule canceled', schedule: canceled });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
   });
 
-  // 📊 Service statistics
-  router.get('/stats', validateApiKey, (req, res) => {
+  // 📣 Create a call campaign from a list of calls or a CSV upload. A CSV can
+  // be posted as text/csv (name, callsPerMinute and locale in the query
+  // string) or sent as the `csv` field of a JSON body.
+  router.post('/campaigns', validateApiKey, requireScope('call'), express.text({ type: 'text/csv', limit: '10mb' }), (req, res) => {
     try {
-      const stats = {
-        apiKeys: apiKeyService.getStats(),
-        calls: callService.getCallStats(),
-        recordings: recordingService.getRecordingsStats()
-      };
-      res.json(stats);
+      const input = typeof req.body === 'string'
+        ? {
+          csv: req.body,
+          name: req.query.name,
+          callsPerMinute: req.query.callsPerMinute !== undefined ? Number(req.query.callsPerMinute) : undefined,
+          locale: req.query.locale
+        }
+        : { ...req.body };
+
+      if (input.csv !== undefined) {
+        if (input.calls !== undefined) {
+          return res.status(400).json({ error: 'Send either calls or csv, not both' });
+        }
+        const parsed = campaignService.parseCsv(String(input.csv));
+        if (parsed.errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid CSV', details: parsed.errors });
+        }
+        input.calls = parsed.calls;
+      }
+
+      const errors = campaignService.validateCampaign(input);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid campaign', details: errors });
+      }
+
+      const campaign = campaignService.createCampaign(input, req.account);
+      const rateLimit = apiKeyService.checkRateLimits(req.account.id);
+      res.status(201).json({ campaign, quota: rateLimit.quota });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
   });
 
-  // 🔊 Voice webhook (Twilio)
-  router.post('/voice', (req, res) => {
-    // Get call information from Twilio
-    const { CallSid, From, To } = req.body;
-    
-    console.log('🎤 Voice webhook called with:', {
-      CallSid,
-      From,
-      To,
-      body: req.body
-    });
+  // 📣 List campaigns for this key (progress only; each call's status is on the campaign)
+  router.get('/campaigns', validateApiKey, requireScope('read'), (req, res) => {
+    try {
+      const campaigns = campaignService.getCampaignsByApiKey(req.account.id)
+        .map(({ calls, ...campaign }) => campaign);
+      res.json({ campaigns });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
 
-    // Find the call record by phone number (To field from Twilio - the recipient's number)
-    let callRecord = null;
-    let customMessage = 'Please share your story with us.';
-    
-    if (To) {
-      // Remove the '+' prefix if present for comparison
-      const phoneNumber = To.startsWith('+') ? To : `+${To}`;
-      
-      console.log('🔍 Looking for call record with phone number:', phoneNumber);
-      
-      // Search through all calls to find one with this phone number
-      for (const [id, call] of callService.calls) {
-        console.log('🔍 Checking call:', call.id, 'phone:', call.phoneNumber, 'status:', call.status);
-        if (call.phoneNumber === phoneNumber && (call.status === 'in-progress' || call.status === 'twilio_initiated' || call.status === 'ringing' || call.status === 'initiated')) {
-          callRecord = call;
-          customMessage = call.customMessage;
-          console.log('✅ Found call record:', call.id, 'with message:', customMessage);
-          break;
-        }
-      }
-      
-      if (!callRecord) {
-        console.warn('⚠️  No active call found for phone number:', phoneNumber);
-        console.warn('⚠️  Available calls:', Array.from(callService.calls.values()).map(c => ({ id: c.id, phone: c.phoneNumber, status: c.status })));
-        console.warn('⚠️  Looking for phone number:', phoneNumber);
-        console.warn('⚠️  Call statuses we accept:', ['in-progress', 'twilio_initiated', 'ringing', 'initiated']);
-      }
+  // 📣 Get campaign progress and the status of each call
+  router.get('/campaigns/:campaignId', validateApiKey, requireScope('read'), (req, res) => {
+    const campaign = campaignService.getCampaign(req.params.campaignId);
+    if (!campaign || (campaign.apiKeyId !== req.account.id && !apiKeyService.isAdmin(req.account))) {
+      return res.status(404).json({ error: 'Campaign not found' });
     }
+    res.json({ campaign });
+  });
 
-    // Voice configuration for more natural speech
-    const voiceConfig = {
-      // Neural voices (most human-like)
-      neural: {
-        voice: 'Google.en-US-Neural2-F',  // Female neural voice
-        language: 'en-US',
-        rate: '0.9',      // Slightly slower for clarity
-        pitch: '+0.1'     // Slightly higher pitch for warmth
-      },
-      // Alternative: Polly voices (also very natural)
-      polly: {
-        voice: 'Polly.Joanna-Neural',     // Female Polly voice
-        language: 'en-US',
-        rate: '0.95',     // Natural speed
-        pitch: '0'        // Natural pitch
-      },
-      // Traditional voices (fallback)
-      traditional: {
-        voice: 'alice',   // Standard Twilio voice
-        language: 'en-US',
-        rate: '1.0',      // Normal speed
-        pitch: '0'        // Normal pitch
+  // 📣 Pause (`"status": "paused"`), resume or change the pace of a campaign
+  router.patch('/campaigns/:campaignId', validateApiKey, requireScope('call'), (req, res) => {
+    try {
+      const campaign = campaignService.getCampaign(req.params.campaignId);
+      if (!campaign || (campaign.apiKeyId !== req.account.id && !apiKeyService.isAdmin(req.account))) {
+        return res.status(404).json({ error: 'Campaign not found' });
       }
-    };
 
-    // Select voice style (you can change this to 'polly' or 'traditional')
-    const selectedVoice = voiceConfig.neural;
-    
-        // Create enhanced TwiML with greeting, delay, and better call handling
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-  <!-- 2-second delay after pickup -->
-  <Pause length="2"/>
-  
-  <!-- Greeting message -->
-  <Say 
-    voice="${selectedVoice.voice}" 
-    language="${selectedVoice.language}"
-    rate="${selectedVoice.rate}"
-    pitch="${selectedVoice.pitch}"
-  >Hey hows it going, memoora here.</Say>
-  
-  <!-- Brief pause between greeting and question -->
-  <Pause length="1"/>
-  
-  <!-- Custom question/message -->
-  <Say 
-    voice="${selectedVoice.voice}" 
-    language="${selectedVoice.language}"
-    rate="${selectedVoice.rate}"
-    pitch="${selectedVoice.pitch}"
-  >${customMessage}</Say>
-  
-  <!-- Brief pause before recording starts -->
-  <Pause length="1"/>
+      const updated = campaignService.updateCampaign(campaign.id, req.body);
+      res.json({ campaign: updated });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message, details: error.errors });
+    }
+  });
 
-  <!-- Enhanced recording with post-call transcription -->
-  <Record
-    maxLength="300"
-    timeout="15"
-    playBeep="true"
-    action="/api/v1/recording-complete"
-    method="POST"
-    trim="trim-silence"
-    recordingStatusCallback="/api/v1/recording-status"
-    recordingStatusCallbackMethod="POST"
-    transcribe="true"
-    transcribeCallback="/api/v1/transcription-complete"
-    transcribeCallbackMethod="POST"
-  />
-
-  <!-- Handle recording completion or failure -->
-  <Say 
-    voice="${selectedVoice.voice}" 
-    language="${selectedVoice.language}"
-    rate="${selectedVoice.rate}"
-    pitch="${selectedVoice.pitch}"
-  >Thank you for sharing your story with us.</Say>
-  
-  <Hangup/>
-</Response>`;
+  // 📣 Cancel a campaign; calls already placed carry on
+  router.delete('/campaigns/:campaignId', validateApiKey, requireScope('call'), (req, res) => {
+    try {
+      const campaign = campaignService.getCampaign(req.params.campaignId);
+      if (!campaign || (campaign.apiKeyId !== req.account.id && !apiKeyService.isAdmin(req.account))) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
 
-    console.log('🎭 Using voice configuration:', selectedVoice);
-    
-    console.log('🎤 Voice webhook returning TwiML with message:', customMessage);
-    res.type('text/xml');
-    res.send(twiml);
+      const canceled = campaignService.cancelCampaign(campaign.id);
+      res.json({ success: true, message: 'Campaign canceled', campaign: canceled });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
   });
 
-  // 🎙️ Recording complete webhook (Twilio)
-  router.post('/recording-complete', (req, res) => {
+  // 🚦 Remaining call quota for this key
+  router.get('/quota', validateApiKey, requireScope('call'), (req, res) => {
     try {
-      const { CallSid, RecordingSid, RecordingUrl, RecordingDuration } = req.body;
-      
-      console.log('🎙️ Recording complete webhook received:', {
-        CallSid,
-        RecordingSid,
-        RecordingUrl,
-        RecordingDuration
+      const rateLimit = apiKeyService.checkRateLimits(req.account.id);
+      setRateLimitHeaders(res, rateLimit.current);
+      res.json({
+        keyId: req.account.id,
+        allowed: rateLimit.allowed,
+        quota: rateLimit.quota
       });
-      
-      if (!CallSid || !RecordingSid || !RecordingUrl) {
-        console.warn('⚠️  Missing required recording data:', req.body);
-        return res.status(400).json({ error: 'Missing required recording data' });
-      }
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
 
-      // Find call by Twilio SID
-      let callRecord = null;
-      for (const [id, call] of callService.calls) {
-        if (call.twilioSid === CallSid) {
-          callRecord = call;
-          break;
-        }
-      }
+  // 🔁 Default retry policy for this key's calls
+  router.get('/retry-policy', validateApiKey, requireScope('call'), (req, res) => {
+    res.json({ retryPolicy: req.account.retryPolicy || null });
+  });
 
-      if (!callRecord) {
-        console.warn('⚠️  No call record found for Twilio SID:', CallSid);
-        return res.status(200).json({ message: 'Call not found, but webhook received' });
+  // 🔁 Set the default retry policy (send false or null to turn retries off)
+  router.put('/retry-policy', validateApiKey, requireScope('call'), (req, res) => {
+    try {
+      const { retryPolicy } = req.body;
+      if (retryPolicy === undefined) {
+        return res.status(400).json({ error: 'Missing required fields', required: ['retryPolicy'] });
       }
 
-      // Analyze recording duration to determine outcome
-      const recordingDuration = parseInt(RecordingDuration) || 0;
-      let recordingOutcome = 'successful';
-      let outcomeReason = 'recording_completed';
-      
-      if (recordingDuration === 0) {
-        recordingOutcome = 'silent_recording';
-        outcomeReason = 'no_audio_detected';
-      } else if (recordingDuration < 3) {
-        recordingOutcome = 'too_short';
-        outcomeReason = 'recording_under_3_seconds';
-      } else if (recordingDuration > 280) {
-        recordingOutcome = 'max_length_reached';
-        outcomeReason = 'recording_hit_max_length';
+      const errors = validateRetryPolicy(retryPolicy);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid retry policy', details: errors });
       }
-      
-      // Update call status to indicate recording received with outcome analysis
-      callService.updateCallStatus(callRecord.id, 'recording_received', {
-        metadata: {
-          ...callRecord.metadata,
-          recordingSid: RecordingSid,
-          recordingUrl: RecordingUrl,
-          recordingDuration: RecordingDuration,
-          recordingOutcome: recordingOutcome,
-          outcomeReason: outcomeReason,
-          webhookReceivedAt: new Date().toISOString()
-        }
-      });
-      
-      console.log(`🎙️ Recording received for call ${callRecord.id}: ${recordingDuration}s (outcome: ${recordingOutcome})`);
-
-      // Download and save recording with delay to ensure Twilio has processed it
-      setTimeout(() => {
-        console.log('🎵 Starting recording download for call:', callRecord.id);
-        recordingService.downloadRecording(RecordingUrl, RecordingSid, callRecord.id)
-          .then(async (recordingData) => {
-            // Update call with recording info
-            callService.addRecordingToCall(callRecord.id, recordingData);
-            console.log('✅ Recording saved successfully for call', callRecord.id);
-            
-            // Send webhook to main backend if configured
-            if (process.env.MAIN_BACKEND_URL) {
-              try {
-                const webhookData = {
-                  CallSid: callRecord.twilioSid,
-                  RecordingSid: recordingData.recordingSid,
-                  RecordingUrl: recordingData.recordingUrl,
-                  RecordingDuration: callRecord.metadata?.recordingDuration || '0',
-                  filename: recordingData.filename,
-                  fileSize: recordingData.size,
-                  durationSeconds: parseInt(callRecord.metadata?.recordingDuration) || 0,
-                  callId: callRecord.id,
-                  phoneNumber: callRecord.phoneNumber,
-                  customMessage: callRecord.customMessage,
-                  callType: callRecord.callType,
-                  storytellerId: callRecord.storytellerId,
-                  familyMemberId: callRecord.familyMemberId,
-                  scheduledCallId: callRecord.scheduledCallId,
-                  recordingType: callRecord.recordingType, // Pass recordingType to webhook
-                  apiKeyInfo: callRecord.apiKeyInfo
-                };
-                
-                console.log('📤 Sending webhook to main backend:', process.env.MAIN_BACKEND_URL);
-                
-                const response = await makeHttpRequest(`${process.env.MAIN_BACKEND_URL}/api/calls/recording-complete`, {
-                  method: 'POST',
-                  headers: { 'Content-Type': 'application/json' }
-                }, JSON.stringify(webhookData));
-                
-                if (response.ok) {
-                  const responseData = await response.json();
-                  console.log('✅ Webhook sent to main backend successfully:', responseData);
-                } else {
-                  console.error('❌ Failed to send webhook to main backend:', response.status, response.statusText);
-                }
-              } catch (error) {
-                console.error('❌ Error sending webhook to main backend:', error.message);
-              }
-            } else {
-              console.log('ℹ️  MAIN_BACKEND_URL not configured - skipping webhook');
-            }
-            
-            // Get the recording outcome from metadata
-            const recordingOutcome = callRecord.metadata?.recordingOutcome || 'successful';
-            const outcomeReason = callRecord.metadata?.outcomeReason || 'recording_completed';
-            
-            // Check if transcription is available
-            const hasTranscription = callRecord.metadata?.transcriptionText;
-            const transcriptionStatus = callRecord.metadata?.transcriptionStatus;
-            
-            // Update call status to completed with final outcome
-            callService.updateCallStatus(callRecord.id, 'completed', {
-              metadata: {
-                ...callRecord.metadata,
-                recordingDownloaded: true,
-                recordingDownloadedAt: new Date().toISOString(),
-                finalOutcome: recordingOutcome,
-                finalOutcomeReason: outcomeReason,
-                transcriptionAvailable: !!hasTranscription,
-                transcriptionStatus: transcriptionStatus || 'pending'
-              }
-            });
-            
-            console.log(`🎉 Call ${callRecord.id} completed with outcome: ${recordingOutcome} (${outcomeReason})`);
-            if (hasTranscription) {
-              console.log(`📝 Transcription available: ${transcriptionStatus}`);
-            } else {
-              console.log(`⏳ Transcription pending or not available`);
-            }
-          })
-          .catch(error => {
-            console.error('❌ Failed to save recording:', error.message);
-            // Update call status to indicate recording failed
-            callService.updateCallStatus(callRecord.id, 'recording_failed', {
-              metadata: {
-                ...callRecord.metadata,
-                recordingError: error.message,
-                recordingFailedAt: new Date().toISOString(),
-                finalOutcome: 'download_failed',
-                finalOutcomeReason: 'recording_download_error'
-              }
-            });
-            
-            console.log(`❌ Call ${callRecord.id} failed: recording download error - ${error.message}`);
-          });
-      }, 2000); // Wait 2 seconds for Twilio to process
 
-      res.status(200).json({ message: 'Recording webhook received and processing started' });
+      const result = apiKeyService.updateRetryPolicy(req.account.id, retryPolicy);
+      res.json({ success: true, message: result.message, retryPolicy: result.apiKey.retryPolicy });
     } catch (error) {
-      console.error('❌ Error in recording webhook:', error);
-      res.status(500).json({ error: 'Webhook processing failed' });
+      res.status(500).json({ error: error.message });
     }
   });
 
-  // 📝 Transcription complete webhook (Twilio)
-  router.post('/transcription-complete', (req, res) => {
-    try {
-      const { CallSid, RecordingSid, TranscriptionSid, TranscriptionText, TranscriptionStatus, TranscriptionUrl } = req.body;
-      
-      console.log('📝 Transcription complete webhook received:', {
-        CallSid,
-        RecordingSid,
-        TranscriptionSid,
-        TranscriptionStatus,
-        TranscriptionText: TranscriptionText ? TranscriptionText.substring(0, 100) + '...' : 'No text'
-      });
-      
-      if (!CallSid || !TranscriptionSid) {
-        console.warn('⚠️  Missing required transcription data:', req.body);
-        return res.status(400).json({ error: 'Missing required transcription data' });
-      }
+  // 🎭 Default voice persona for this key's calls, and the voices to choose from
+  router.get('/voice-persona', validateApiKey, requireScope('call'), (req, res) => {
+    res.json({
+      voicePersona: req.account.voicePersona || null,
+      effective: resolveVoicePersona(req.account),
+      supportedVoices: Object.keys(SUPPORTED_VOICES),
+      supportedLocales: SUPPORTED_LOCALES
+    });
+  });
 
-      // Find call by Twilio SID
-      let callRecord = null;
-      for (const [id, call] of callService.calls) {
-        if (call.twilioSid === CallSid) {
-          callRecord = call;
-          break;
-        }
+  // 🎭 Set the default voice persona (send null to go back to the defaults)
+  router.put('/voice-persona', validateApiKey, requireScope('call'), (req, res) => {
+    try {
+      const { voicePersona } = req.body;
+      if (voicePersona === undefined) {
+        return res.status(400).json({ error: 'Missing required fields', required: ['voicePersona'] });
       }
 
-      if (!callRecord) {
-        console.warn('⚠️  No call record found for Twilio SID:', CallSid);
-        return res.status(200).json({ message: 'Call not found, but transcription webhook received' });
+      const errors = validateVoicePersona(voicePersona);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid voice persona', details: errors });
       }
 
-      // Update call with transcription info
-      callService.updateCallStatus(callRecord.id, callRecord.status, {
-        metadata: {
-          ...callRecord.metadata,
-          transcriptionSid: TranscriptionSid,
-          transcriptionStatus: TranscriptionStatus,
-          transcriptionText: TranscriptionText,
-          transcriptionUrl: TranscriptionUrl,
-          transcriptionReceivedAt: new Date().toISOString()
-        }
+      const result = apiKeyService.updateVoicePersona(req.account.id, voicePersona);
+      res.json({
+        success: true,
+        message: result.message,
+        voicePersona: result.apiKey.voicePersona,
+        effective: resolveVoicePersona(result.apiKey)
       });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
 
-      console.log(`📝 Transcription received for call ${callRecord.id}: ${TranscriptionStatus}`);
+  // 💬 Heads-up and thank-you texts for this key's calls
+  router.get('/sms-settings', validateApiKey, requireScope('call'), (req, res) => {
+    res.json({
+      smsSettings: req.account.smsSettings || null,
+      effective: resolveSmsSettings(req.account),
+      optOutKeywords: OPT_OUT_KEYWORDS
+    });
+  });
 
-      // Send transcription to main backend if configured
-      if (process.env.MAIN_BACKEND_URL && TranscriptionText) {
-        try {
-          const webhookData = {
-            CallSid: callRecord.twilioSid,
-            RecordingSid: callRecord.metadata?.recordingSid,
-            TranscriptionSid: TranscriptionSid,
-            TranscriptionText: TranscriptionText,
-            TranscriptionStatus: TranscriptionStatus,
-            TranscriptionUrl: TranscriptionUrl,
-            callId: callRecord.id,
-            phoneNumber: callRecord.phoneNumber,
-            customMessage: callRecord.customMessage,
-            callType: callRecord.callType,
-            storytellerId: callRecord.storytellerId,
-            familyMemberId: callRecord.familyMemberId,
-            scheduledCallId: callRecord.scheduledCallId,
-            apiKeyInfo: callRecord.apiKeyInfo
-          };
-          
-          console.log('📤 Sending transcription webhook to main backend:', process.env.MAIN_BACKEND_URL);
-          
-          makeHttpRequest(`${process.env.MAIN_BACKEND_URL}/api/calls/transcription-complete`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' }
-          }, JSON.stringify(webhookData))
-          .then(async response => {
-            if (response.ok) {
-              const responseData = await response.json();
-              console.log('✅ Transcription webhook sent to main backend successfully:', responseData);
-            } else {
-              console.error('❌ Failed to send transcription webhook to main backend:', response.status, response.statusText);
-            }
-          })
-          .catch(error => {
-            console.error('❌ Error sending transcription webhook to main backend:', error.message);
-          });
-        } catch (error) {
-          console.error('❌ Error preparing transcription webhook:', error.message);
-        }
-      } else {
-        console.log('ℹ️  MAIN_BACKEND_URL not configured or no transcription text - skipping webhook');
+  // 💬 Set the texts (send null to turn them all off)
+  router.put('/sms-settings', validateApiKey, requireScope('call'), (req, res) => {
+    try {
+      const { smsSettings } = req.body;
+      if (smsSettings === undefined) {
+        return res.status(400).json({ error: 'Missing required fields', required: ['smsSettings'] });
       }
 
-      res.status(200).json({ message: 'Transcription webhook received and processing started' });
+      const errors = validateSmsSettings(smsSettings);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid SMS settings', details: errors });
+      }
+
+      const result = apiKeyService.updateSmsSettings(req.account.id, smsSettings);
+      res.json({
+        success: true,
+        message: result.message,
+        smsSettings: result.apiKey.smsSettings,
+        effective: resolveSmsSettings(result.apiKey)
+      });
     } catch (error) {
-      console.error('❌ Error in transcription webhook:', error);
-      res.status(500).json({ error: 'Transcription webhook processing failed' });
+      res.status(500).json({ error: error.message });
     }
   });
 
-  // 📊 Recording status webhook (Twilio)
-  router.post('/recording-status', (req, res) => {
+  // 📋 List calls
+  router.get('/calls', validateApiKey, requireScope('read'), (req, res) => {
     try {
-      const { CallSid, RecordingSid, RecordingStatus, RecordingUrl, RecordingDuration } = req.body;
-      
-      console.log('🎵 Recording status webhook received:', {
-        CallSid,
-        RecordingSid,
-        RecordingStatus,
-        RecordingDuration
-      });
+      const calls = callService.getCallsByApiKey(req.account.id);
+      res.json({ calls });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
 
-      if (CallSid && RecordingSid) {
-        // Find and update call with recording status
-        for (const [id, call] of callService.calls) {
-          if (call.twilioSid === CallSid) {
-            // Update call metadata with recording status
-            callService.updateCallStatus(id, call.status, {
-              metadata: {
-                ...call.metadata,
-                recordingStatus: RecordingStatus,
-                recordingSid: RecordingSid,
-                recordingDuration: RecordingDuration
-              }
-            });
-            console.log('✅ Recording status updated for call', id);
-            break;
-          }
-        }
+  // 📞 Get call details
+  router.get('/calls/:callId', validateApiKey, requireScope('read'), (req, res) => {
+    try {
+      const call = callService.getCall(req.params.callId);
+      if (!canAccessCall(req, call)) {
+        return res.status(404).json({ error: 'Call not found' });
       }
-
-      res.status(200).json({ message: 'Recording status webhook received' });
+      const stories = call.longStory ? recordingPipeline.getStories(call) : undefined;
+      res.json({ call, attempts: callService.getCallAttempts(call.id), stories });
     } catch (error) {
-      console.error('❌ Error in recording status webhook:', error);
-      res.status(500).json({ error: 'Webhook processing failed' });
+      res.status(500).json({ error: error.message });
     }
   });
 
-  // 📊 Call status webhook (Twilio)
-  router.post('/call-status', (req, res) => {
+  // 🛑 Cancel a call: whichever attempt in its retry chain is still queued or
+  // ringing is canceled (or hung up when in progress), and any scheduled
+  // retries are dropped. Attempts that already ended keep their status.
+  const cancelCall = async (req, res) => {
     try {
-      const { CallSid, CallStatus, CallDuration, CallDurationMinutes, CallDurationSeconds } = req.body;
-      
-      console.log('📊 Call status webhook received:', {
-        CallSid,
-        CallStatus,
-        CallDuration,
-        CallDurationMinutes,
-        CallDurationSeconds
-      });
+      const call = callService.getCall(req.params.callId);
+      if (!canAccessCall(req, call)) {
+        return res.status(404).json({ error: 'Call not found' });
+      }
+
+      const attempts = callService.getCallAttempts(call.id).map(attempt => callService.getCall(attempt.callId));
+      const activeAttempt = attempts.find(attempt => !attempt.callEndedAt && !ENDED_CALL_STATUSES.includes(attempt.status));
+      const hasPendingRetry = attempts.some(attempt => attempt.retry && attempt.retry.status === 'scheduled');
+      if (!activeAttempt && !hasPendingRetry) {
+        return call.status === 'canceled_by_client'
+          ? res.status(409).json({ error: 'Call is already canceled', call })
+          : res.status(409).json({ error: `Call has already ended (${call.status})`, call });
+      }
+
+      // Without a SID yet the dialer hangs up as soon as Twilio answers
+      let twilioResult = null;
+      if (activeAttempt && activeAttempt.twilioSid && twilioService.isReady()) {
+        try {
+          twilioResult = await twilioService.endCall(activeAttempt.twilioSid);
+        } catch (error) {
+          return res.status(502).json({ error: 'Failed to end the call with Twilio', details: error.message });
+        }
+      }
+
+      const canceledRetries = attempts
+        .filter(attempt => retryService.cancelPendingRetry(attempt.id, 'canceled_by_client'))
+        .map(attempt => attempt.id);
+
+      const canceledAt = new Date().toISOString();
+      const statusBeforeCancel = activeAttempt ? activeAttempt.status : null;
+      if (activeAttempt) {
+        callService.updateCallStatus(activeAttempt.id, 'canceled_by_client', {
+          metadata: {
+            canceledAt,
+            canceledByApiKey: req.account.id,
+            statusBeforeCancel,
+            twilioEndStatus: twilioResult ? twilioResult.status : null,
+            callOutcome: 'canceled_by_client'
+          }
+        });
+      }
+
+      console.log(`🛑 Call ${call.id} canceled by client (${activeAttempt ? `attempt ${activeAttempt.id} was ${statusBeforeCancel}` : 'no attempt in progress'}, ${canceledRetries.length} retr${canceledRetries.length === 1 ? 'y' : 'ies'} dropped)`);
+
+      webhookService.send('call-canceled', {
+        ...webhookService.buildCallPayload(activeAttempt || call),
+        canceledAt,
+        statusBeforeCancel,
+        wasActive: !!activeAttempt,
+        canceledAttemptId: activeAttempt ? activeAttempt.id : null,
+        canceledRetries
+      });
+
+      res.json({
+        success: true,
+        message: activeAttempt ? 'Call canceled' : 'Scheduled retry canceled',
+        call: callService.getCall(call.id),
+        canceledAttemptId: activeAttempt ? activeAttempt.id : null,
+        canceledRetries
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  router.delete('/calls/:callId', validateApiKey, requireScope('call'), cancelCall);
+  router.post('/calls/:callId/cancel', validateApiKey, requireScope('call'), cancelCall);
+
+  // 🎵 List recordings
+  router.get('/recordings', validateApiKey, requireScope('recordings'), async (req, res) => {
+    try {
+      const callIds = getAccessibleCallIds(req);
+      const recordings = await recordingService.listRecordings(callIds ? { callIds } : {});
+      res.json({ recordings });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // 🎵 Get recording details
+  router.get('/recordings/:filename', validateApiKey, requireScope('recordings'), async (req, res) => {
+    try {
+      const recording = await recordingService.getRecording(req.params.filename);
+      if (!recording || !canAccessCall(req, callService.getCall(recording.callId))) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+      res.json({ recording });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // 🔑 List API keys (admin only)
+  router.get('/api-keys', validateApiKey, requireAdmin, (req, res) => {
+    try {
+      const apiKeys = apiKeyService.getAllApiKeys();
+      res.json({ apiKeys });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // 🔑 Create API key with explicit type, scopes and limits (admin only)
+  router.post('/api-keys', validateApiKey, requireAdmin, (req, res) => {
+    try {
+      const { clientName, email, companyWebsite, phoneNumber, description, keyType, permissions, limits, retryPolicy, voicePersona, smsSettings } = req.body;
+
+      if (!clientName) {
+        return res.status(400).json({
+          error: 'Missing required fields',
+          required: ['clientName']
+        });
+      }
+
+      if (keyType && !['client', 'admin'].includes(keyType)) {
+        return res.status(400).json({ error: 'keyType must be "client" or "admin"' });
+      }
+
+      if (permissions) {
+        const validation = apiKeyService.validatePermissions(permissions);
+        if (!validation.valid) {
+          return res.status(400).json({ error: validation.message, allowed: validation.allowed });
+        }
+      }
+
+      const limitErrors = limits !== undefined ? apiKeyService.validateLimits(limits) : [];
+      if (limitErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid limits', details: limitErrors });
+      }
+
+      const retryErrors = retryPolicy !== undefined ? validateRetryPolicy(retryPolicy) : [];
+      if (retryErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid retry policy', details: retryErrors });
+      }
+
+      const personaErrors = voicePersona !== undefined ? validateVoicePersona(voicePersona) : [];
+      if (personaErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid voice persona', details: personaErrors });
+      }
+
+      const smsErrors = smsSettings !== undefined ? validateSmsSettings(smsSettings) : [];
+      if (smsErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid SMS settings', details: smsErrors });
+      }
+
+      const apiKey = apiKeyService.createApiKey({
+        clientName,
+        email,
+        companyWebsite,
+        phoneNumber,
+        description,
+        keyType,
+        permissions,
+        limits,
+        retryPolicy,
+        voicePersona,
+        smsSettings
+      });
+
+      res.status(201).json({
+        ...apiKey,
+        message: 'Store this API key securely. It will not be shown again.'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // 🔑 Get a single API key (admin only)
+  router.get('/api-keys/:keyId', validateApiKey, requireAdmin, (req, res) => {
+    const apiKey = apiKeyService.getApiKey(req.params.keyId);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json({ apiKey });
+  });
+
+  // 🔑 Revoke an API key (admin only)
+  router.post('/api-keys/:keyId/revoke', validateApiKey, requireAdmin, (req, res) => {
+    const result = apiKeyService.revokeApiKey(req.params.keyId);
+    if (!result.success) {
+      const statusCode = result.message === 'API key not found' ? 404 : 400;
+      return res.status(statusCode).json({ error: result.message });
+    }
+    res.json(result);
+  });
+
+  // 🔑 Reactivate a revoked API key (admin only)
+  router.post('/api-keys/:keyId/reactivate', validateApiKey, requireAdmin, (req, res) => {
+    const result = apiKeyService.reactivateApiKey(req.params.keyId);
+    if (!result.success) {
+      return res.status(404).json({ error: result.message });
+    }
+    res.json(result);
+  });
+
+  // 🔑 Replace an API key's permission scopes (admin only)
+  router.put('/api-keys/:keyId/permissions', validateApiKey, requireAdmin, (req, res) => {
+    const result = apiKeyService.updatePermissions(req.params.keyId, req.body.permissions);
+    if (!result.success) {
+      const statusCode = result.message === 'API key not found' ? 404 : 400;
+      return res.status(statusCode).json({ error: result.message });
+    }
+    res.json(result);
+  });
+
+  // 🩹 Check calls stuck waiting on Twilio callbacks now (admin only)
+  router.post('/reconcile', validateApiKey, requireAdmin, async (req, res) => {
+    const { stuckAfterMinutes } = req.body;
+    if (stuckAfterMinutes !== undefined && (!Number.isInteger(stuckAfterMinutes) || stuckAfterMinutes < 0)) {
+      return res.status(400).json({ error: 'stuckAfterMinutes must be a whole number of minutes' });
+    }
+    if (!twilioService.isReady()) {
+      return res.status(503).json({ error: 'Twilio service not configured' });
+    }
+
+    try {
+      const report = await reconcilerService.reconcile({ stuckAfterMinutes });
+      if (!report) {
+        return res.status(409).json({ error: 'A reconciler run is already in progress' });
+      }
+
+      res.json({
+        stuckAfterMinutes: stuckAfterMinutes !== undefined ? stuckAfterMinutes : reconcilerService.stuckAfterMinutes,
+        checked: report.length,
+        repaired: report.filter(entry => ['repaired', 'never_dialed'].includes(entry.action)).length,
+        calls: report
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // 📊 Service statistics
+  router.get('/stats', validateApiKey, requireScope('read'), async (req, res) => {
+    try {
+      // Global aggregates are admin-only; everyone else sees their own usage
+      if (apiKeyService.isAdmin(req.account)) {
+        return res.json({
+          scope: 'global',
+          apiKeys: apiKeyService.getStats(),
+          calls: callService.getCallStats(),
+          recordings: await recordingService.getRecordingsStats()
+        });
+      }
+
+      res.json({
+        scope: 'api_key',
+        keyId: req.account.id,
+        calls: callService.getCallStats({ apiKeyId: req.account.id }),
+        recordings: await recordingService.getRecordingsStats({ callIds: getAccessibleCallIds(req) })
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // 🎭 Voice and script for a call (records from before personas use the defaults)
+  const getVoicePersona = (callRecord) => callRecord
+    ? resolveVoicePersona(null, callRecord.voicePersona, callRecord.locale)
+    : resolveVoicePersona(null);
+
+  // 🌐 A fixed prompt in the call's language (English for unknown calls)
+  const promptText = (callRecord, key) => translate(callRecord && callRecord.locale, key);
+
+  // 🗣️ <Say> in the call's voice, at its rate and pitch. The text is escaped,
+  // keeping only the SSML tags questions are allowed to use.
+  const sayTwiml = (callRecord, text) => {
+    const persona = getVoicePersona(callRecord);
+    const prosody = personaProsody(persona);
+
+    return element('Say', {
+      voice: persona.voice,
+      language: SUPPORTED_VOICES[persona.voice]
+    }, prosody ? element('prosody', prosody, speechXml(text)) : speechXml(text));
+  };
+
+  // ⏸️ One of the call's configured pauses; a zero-second pause is left out
+  const pauseTwiml = (callRecord, name) => {
+    const seconds = getVoicePersona(callRecord).pauses[name];
+    return seconds > 0 ? element('Pause', { length: seconds }) : '';
+  };
+
+  // ❓ Ordered questions for a call (records from before interviews have one)
+  const getQuestions = (callRecord) => callRecord.questions || [callRecord.customMessage];
+
+  // ❓ The callId and question index ride along on every callback so each
+  // answer (or keypress) lands on the right question. Query strings are
+  // plain text; element() escapes them for the TwiML.
+  const callbackQuery = (callRecord, questionIndex) => callRecord
+    ? `?callId=${encodeURIComponent(callRecord.id)}&question=${encodeURIComponent(questionIndex)}`
+    : '';
+
+  // 🎙️ Record one answer (or, in long-story mode, the next part of it). A
+  // stored call notes when each <Record> was handed out (previews aren't stored).
+  const recordTwiml = (callRecord, questionIndex, part = 1) => {
+    const query = `${callbackQuery(callRecord, questionIndex)}${part > 1 ? `&part=${encodeURIComponent(part)}` : ''}`;
+    if (callRecord && callService.getCall(callRecord.id)) {
+      callService.addRecordPrompt(callRecord.id, { questionIndex, part, servedAt: new Date().toISOString() });
+    }
+
+    return `<!-- Brief pause before recording starts -->
+  ${pauseTwiml(callRecord, 'beforeRecording')}
+
+  <!-- Enhanced recording with post-call transcription -->
+  ${element('Record', {
+    maxLength: MAX_RECORDING_SECONDS,
+    timeout: 15,
+    playBeep: true,
+    action: `/api/v1/recording-complete${query}`,
+    method: 'POST',
+    trim: 'trim-silence',
+    recordingStatusCallback: `/api/v1/recording-status${query}`,
+    recordingStatusCallbackMethod: 'POST',
+    transcribe: getCatalog(callRecord && callRecord.locale).transcribe,
+    transcribeCallback: `/api/v1/transcription-complete${query}`,
+    transcribeCallbackMethod: 'POST'
+  })}`;
+  };
+
+  // ❓ Ask one question and record the answer
+  const questionTwiml = (callRecord, questionIndex) => {
+    const question = callRecord ? getQuestions(callRecord)[questionIndex] : promptText(callRecord, 'defaultQuestion');
+
+    return `<!-- Question ${questionIndex + 1} -->
+  ${sayTwiml(callRecord, question)}
+  
+  ${recordTwiml(callRecord, questionIndex)}`;
+  };
+
+  // 🔢 Ask one question, then offer the keypad menu. With no keypress the
+  // answer is recorded anyway, so nobody is stuck in the menu.
+  const menuTwiml = (callRecord, questionIndex) => `<!-- Question ${questionIndex + 1} -->
+  ${sayTwiml(callRecord, getQuestions(callRecord)[questionIndex])}
+
+  ${element('Gather', { input: 'dtmf', numDigits: 1, timeout: 8, action: `/api/v1/menu${callbackQuery(callRecord, questionIndex)}`, method: 'POST' },
+    sayTwiml(callRecord, promptText(callRecord, 'menuPrompt')))}
+
+  ${sayTwiml(callRecord, promptText(callRecord, 'menuBegin'))}
+  
+  ${recordTwiml(callRecord, questionIndex)}`;
+
+  // ❓ Interactive calls get the keypad menu before each question is recorded
+  const promptTwiml = (callRecord, questionIndex) => callRecord && callRecord.interactive
+    ? menuTwiml(callRecord, questionIndex)
+    : questionTwiml(callRecord, questionIndex);
+
+  // 👋 Thank the storyteller and end the call
+  const closingTwiml = (callRecord) => `<!-- Handle recording completion or failure -->
+  ${sayTwiml(callRecord, getVoicePersona(callRecord).closing)}
+  
+  <Hangup/>`;
+
+  // 🔁 Play a take back and ask whether to keep it. No keypress keeps it.
+  const reviewTwiml = (callRecord, questionIndex, recordingSid, recordingUrl) => {
+    const reviewUrl = `/api/v1/review${callbackQuery(callRecord, questionIndex)}&recordingSid=${encodeURIComponent(recordingSid)}`;
+
+    return `<!-- Play the answer back -->
+  ${sayTwiml(callRecord, promptText(callRecord, 'reviewIntro'))}
+  ${element('Play', {}, escapeXml(recordingUrl))}
+
+  ${element('Gather', { input: 'dtmf', numDigits: 1, timeout: 8, action: reviewUrl, method: 'POST' },
+    sayTwiml(callRecord, promptText(callRecord, 'reviewPrompt')))}
+
+  ${element('Redirect', { method: 'POST' }, escapeXml(`${reviewUrl}&keep=true`))}`;
+  };
+
+  // 🏁 No more questions on this call. Finalizing sends webhooks, so it
+  // runs in the background after the TwiML is answered.
+  const completeInterview = (callRecord) => {
+    recordingPipeline.completeInterview(callRecord.id).catch(error => {
+      console.error(`❌ Failed to finalize call ${callRecord.id}:`, error.message);
+    });
+  };
+
+  // ➡️ After an answer is settled: ask the next question, or wrap up
+  const continueInterviewTwiml = (callRecord, questionIndex) => {
+    const nextQuestionIndex = questionIndex + 1;
+    if (nextQuestionIndex < getQuestions(callRecord).length) {
+      console.log(`❓ Call ${callRecord.id} moving to question ${nextQuestionIndex + 1}`);
+      return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${pauseTwiml(callRecord, 'betweenQuestions')}
+  
+  ${promptTwiml(callRecord, nextQuestionIndex)}
+
+  ${closingTwiml(callRecord)}
+</Response>`;
+    }
+
+    completeInterview(callRecord);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${closingTwiml(callRecord)}
+</Response>`;
+  };
+
+  // 👪 One side of a conference call joining its recorded bridge. The
+  // storyteller starts the conference and ends it on hanging up; the family
+  // member waits for them.
+  const conferenceTwiml = (callRecord, participant) => {
+    const isStoryteller = participant === 'storyteller';
+    const query = `?callId=${encodeURIComponent(callRecord.id)}`;
+
+    return element('Dial', {}, element('Conference', {
+      startConferenceOnEnter: isStoryteller,
+      endConferenceOnExit: isStoryteller,
+      beep: false,
+      record: 'record-from-start',
+      recordingStatusCallback: `/api/v1/conference-recording${query}`,
+      recordingStatusCallbackMethod: 'POST',
+      recordingStatusCallbackEvent: 'completed',
+      statusCallback: `/api/v1/conference-events${query}`,
+      statusCallbackEvent: 'start end join leave',
+      statusCallbackMethod: 'POST'
+    }, escapeXml(callRecord.conference.name)));
+  };
+
+  // ❓ Everything after the greeting: the first question, then goodbye. A
+  // conference call bridges the storyteller to the family member instead.
+  const callBodyTwiml = (callRecord) => `<!-- Brief pause between greeting and question -->
+  ${pauseTwiml(callRecord, 'afterGreeting')}
+  
+  ${callRecord && callRecord.conference ? `<!-- Question 1 -->
+  ${sayTwiml(callRecord, getQuestions(callRecord)[0])}
+  ${sayTwiml(callRecord, promptText(callRecord, 'conferenceConnecting'))}
+
+  ${conferenceTwiml(callRecord, 'storyteller')}` : promptTwiml(callRecord, 0)}
+
+  ${closingTwiml(callRecord)}`;
+
+  // ✋ Calls that need permission to record and don't have an answer yet
+  const needsConsent = (callRecord) => Boolean(callRecord && callRecord.requireConsent && !callRecord.consent);
+
+  // ✋ Ask for permission to record. With no answer the call comes back to
+  // /consent without one, which asks again or gives up. A conference call's
+  // family member is asked on their own leg.
+  const consentTwiml = (callRecord, attempt, participant = 'storyteller') => {
+    const consentUrl = `/api/v1/consent?callId=${encodeURIComponent(callRecord.id)}&attempt=${encodeURIComponent(attempt)}` +
+      (participant === 'family_member' ? '&participant=family_member' : '');
+
+    return `${element('Gather', {
+      input: 'dtmf speech',
+      numDigits: 1,
+      timeout: 8,
+      speechTimeout: 'auto',
+      language: getCatalog(callRecord.locale).consent.speechLanguage,
+      action: consentUrl,
+      method: 'POST'
+    }, sayTwiml(callRecord, promptText(callRecord, 'consentPrompt')))}
+
+  ${element('Redirect', { method: 'POST' }, escapeXml(consentUrl))}`;
+  };
+
+  // 👋 Start of a call: greeting, then the consent question if one is
+  // needed, otherwise straight into the call
+  const callOpeningTwiml = (callRecord, greeting = getVoicePersona(callRecord).greeting) => `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <!-- Delay after pickup -->
+  ${pauseTwiml(callRecord, 'afterPickup')}
+  
+  <!-- Greeting message -->
+  ${sayTwiml(callRecord, greeting)}
+  
+  ${needsConsent(callRecord) ? consentTwiml(callRecord, 1) : callBodyTwiml(callRecord)}
+</Response>`;
+
+  // 📼 Message left on answering machines. VOICEMAIL_MESSAGE replaces the
+  // default-language message only.
+  const voicemailMessage = (callRecord) => callRecord.voicemailMessage ||
+    (resolveLocale(callRecord.locale) === DEFAULT_LOCALE && process.env.VOICEMAIL_MESSAGE) ||
+    promptText(callRecord, 'voicemail');
+
+  // 📼 Leave the voicemail message and hang up
+  const voicemailTwiml = (callRecord) => `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${sayTwiml(callRecord, voicemailMessage(callRecord))}
+  <Hangup/>
+</Response>`;
+
+  // 🔢 Keep every keypress on the call for the main backend
+  const logKeypress = (callRecord, digit, questionIndex, action) => {
+    callService.updateCallStatus(callRecord.id, callRecord.status, {
+      metadata: {
+        keysPressed: [
+          ...(callRecord.metadata.keysPressed || []),
+          { digit, questionIndex, action, pressedAt: new Date().toISOString() }
+        ]
+      }
+    });
+  };
+
+  // 🔊 Voice webhook (Twilio)
+  router.post('/voice', validateTwilioRequest, (req, res) => {
+    // Get call information from Twilio
+    const { CallSid, From, To } = req.body;
+    
+    console.log('🎤 Voice webhook called with:', {
+      CallSid,
+      From,
+      To,
+      body: req.body
+    });
+
+    // Resolve the call record from the callId embedded in the webhook URL
+    const callRecord = callService.resolveWebhookCall(req.query.callId, CallSid);
+    
+    if (callRecord) {
+      console.log('✅ Found call record:', callRecord.id, 'with', getQuestions(callRecord).length, 'question(s)');
+    } else {
+      console.warn('⚠️  No call record found for webhook:', { callId: req.query.callId, CallSid });
+    }
+    
+    res.type('text/xml');
+
+    // 📼 Answering machine detection found voicemail: leave a short message
+    // and hang up instead of recording the machine
+    if (callRecord && (req.body.AnsweredBy || '').startsWith('machine')) {
+      callService.updateCallStatus(callRecord.id, 'voicemail_left', {
+        metadata: {
+          answeredBy: req.body.AnsweredBy,
+          voicemailLeftAt: new Date().toISOString(),
+          callOutcome: 'voicemail_left'
+        }
+      });
+      console.log(`📼 Call ${callRecord.id} reached voicemail (${req.body.AnsweredBy}) - leaving message`);
+
+      return res.send(voicemailTwiml(callRecord));
+    }
+
+    console.log('🎭 Using voice:', getVoicePersona(callRecord).voice);
+
+    // 👪 The storyteller picked up: ring the family member into the bridge,
+    // once they have agreed to be recorded
+    if (callRecord && callRecord.conference && !needsConsent(callRecord)) {
+      dialerService.dialFamilyMember(callRecord);
+    }
+    
+    res.send(callOpeningTwiml(callRecord));
+  });
+
+  // ✋ Answer to the recording consent question (Twilio <Gather> action)
+  router.post('/consent', validateTwilioRequest, (req, res) => {
+    const { Digits, SpeechResult, Confidence } = req.body;
+    const attempt = parseInt(req.query.attempt, 10) || 1;
+    const participant = req.query.participant === 'family_member' ? 'family_member' : 'storyteller';
+    const callRecord = callService.getCall(req.query.callId);
+
+    console.log('✋ Consent answer received:', { callId: req.query.callId, participant, attempt, Digits, SpeechResult });
+
+    res.type('text/xml');
+
+    if (!callRecord || (participant === 'family_member' && !callRecord.conference)) {
+      console.warn('⚠️  No call record found for consent answer:', { callId: req.query.callId, participant });
+      return res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${closingTwiml(null)}
+</Response>`);
+    }
+
+    const answer = interpretConsent({ digits: Digits, speechResult: SpeechResult }, callRecord.locale);
+
+    // Nothing usable heard: ask once more before giving up
+    if (!answer && attempt < MAX_CONSENT_ATTEMPTS) {
+      return res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${sayTwiml(callRecord, promptText(callRecord, 'notUnderstood'))}
+
+  ${consentTwiml(callRecord, attempt + 1, participant)}
+</Response>`);
+    }
+
+    // No answer after the last attempt counts as a refusal: nothing is recorded
+    const consent = {
+      status: answer === 'granted' ? 'granted' : 'declined',
+      method: Digits ? 'dtmf' : SpeechResult ? 'speech' : 'no_response',
+      digits: Digits || null,
+      speechResult: SpeechResult || null,
+      confidence: Confidence !== undefined ? parseFloat(Confidence) : null,
+      attempts: attempt,
+      recordedAt: new Date().toISOString()
+    };
+
+    // The family member joins the recorded bridge only once they agree. A
+    // refusal hangs up their leg; the storyteller's call carries on.
+    if (participant === 'family_member') {
+      callService.updateCall(callRecord.id, {
+        conference: { ...callService.getCall(callRecord.id).conference, familyMemberConsent: consent }
+      });
+      console.log(`✋ Family member on call ${callRecord.id} ${consent.status} recording (${consent.method})`);
+
+      return res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${sayTwiml(callRecord, promptText(callRecord, consent.status === 'granted' ? 'consentGranted' : 'consentDeclined'))}
+
+  ${consent.status === 'granted' ? conferenceTwiml(callRecord, 'family_member') : ''}
+
+  <Hangup/>
+</Response>`);
+    }
+
+    callService.updateCall(callRecord.id, { consent });
+
+    if (consent.status === 'granted') {
+      console.log(`✋ Call ${callRecord.id} consented to recording (${consent.method})`);
+
+      if (callRecord.conference) {
+        dialerService.dialFamilyMember(callRecord);
+      }
+
+      return res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${sayTwiml(callRecord, promptText(callRecord, 'consentGranted'))}
+
+  ${callBodyTwiml(callRecord)}
+</Response>`);
+    }
+
+    callService.updateCallStatus(callRecord.id, 'consent_declined', {
+      metadata: { callOutcome: 'consent_declined' }
+    });
+    console.log(`✋ Call ${callRecord.id} declined recording (${consent.method}) - ending call`);
+
+    // Let the main backend know this storyteller doesn't want to be recorded
+    webhookService.send('consent-declined', webhookService.buildCallPayload(callService.getCall(callRecord.id)));
+
+    res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${sayTwiml(callRecord, promptText(callRecord, 'consentDeclined'))}
+  <Hangup/>
+</Response>`);
+  });
+
+  // 👪 Family member picked up a conference call (Twilio voice URL of their leg)
+  router.post('/conference-join', validateTwilioRequest, (req, res) => {
+    const callRecord = callService.getCall(req.query.callId);
+
+    console.log('👪 Family member joining conference:', { callId: req.query.callId, CallSid: req.body.CallSid });
+
+    res.type('text/xml');
+
+    if (!callRecord || !callRecord.conference) {
+      console.warn('⚠️  No conference call found for family member:', { callId: req.query.callId });
+      return res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${closingTwiml(null)}
+</Response>`);
+    }
+
+    // Asked for consent like the storyteller before anything of theirs is recorded
+    const askConsent = callRecord.requireConsent && !callRecord.conference.familyMemberConsent;
+
+    res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${sayTwiml(callRecord, promptText(callRecord, 'conferenceFamilyIntro'))}
+
+  ${askConsent ? consentTwiml(callRecord, 1, 'family_member') : conferenceTwiml(callRecord, 'family_member')}
+
+  <Hangup/>
+</Response>`);
+  });
+
+  // 👪 Conference start/end and participant join/leave (Twilio <Conference statusCallback>)
+  router.post('/conference-events', validateTwilioRequest, (req, res) => {
+    try {
+      const { StatusCallbackEvent, CallSid, ConferenceSid } = req.body;
+      const callRecord = callService.getCall(req.query.callId);
+
+      console.log('👪 Conference event received:', { callId: req.query.callId, StatusCallbackEvent, CallSid, ConferenceSid });
+
+      if (callRecord && callRecord.conference && StatusCallbackEvent) {
+        const { conference } = callRecord;
+        const participant = CallSid === callRecord.twilioSid ? 'storyteller'
+          : CallSid && CallSid === conference.familyMemberTwilioSid ? 'family_member'
+          : null;
+
+        callService.addConferenceEvent(callRecord.id, {
+          event: StatusCallbackEvent,
+          participant,
+          callSid: CallSid || null,
+          at: new Date().toISOString()
+        });
+        if (ConferenceSid && !conference.conferenceSid) {
+          callService.updateCall(callRecord.id, {
+            conference: { ...callService.getCall(callRecord.id).conference, conferenceSid: ConferenceSid }
+          });
+        }
+
+        // The storyteller hung up before the family member picked up: stop ringing them
+        const familyJoined = conference.events.some(event => event.event === 'participant-join' && event.participant === 'family_member');
+        if (StatusCallbackEvent === 'conference-end' && conference.familyMemberTwilioSid && !familyJoined) {
+          twilioService.endCall(conference.familyMemberTwilioSid).catch(error => {
+            console.error(`❌ Failed to end family member leg of call ${callRecord.id}:`, error.message);
+          });
+        }
+      }
+
+      res.status(200).json({ message: 'Conference event received' });
+    } catch (error) {
+      console.error('❌ Error in conference event webhook:', error);
+      res.status(500).json({ error: 'Webhook processing failed' });
+    }
+  });
+
+  // 👪 Call status of the family member's leg (their own status callback, so
+  // it never touches the storyteller's call status)
+  router.post('/conference-leg-status', validateTwilioRequest, (req, res) => {
+    try {
+      const { CallSid, CallStatus } = req.body;
+      const callRecord = callService.getCall(req.query.callId);
+
+      if (callRecord && callRecord.conference && CallStatus) {
+        callService.addConferenceEvent(callRecord.id, {
+          event: 'call-status',
+          participant: 'family_member',
+          callSid: CallSid || null,
+          status: CallStatus,
+          at: new Date().toISOString()
+        });
+        console.log(`👪 Family member leg of call ${callRecord.id}: ${CallStatus}`);
+      }
+
+      res.status(200).json({ message: 'Conference leg status received' });
+    } catch (error) {
+      console.error('❌ Error in conference leg status webhook:', error);
+      res.status(500).json({ error: 'Webhook processing failed' });
+    }
+  });
+
+  // 👪 Conference recording finished (Twilio <Conference recordingStatusCallback>).
+  // The recording covers both sides and goes through the usual pipeline.
+  router.post('/conference-recording', validateTwilioRequest, (req, res) => {
+    try {
+      const { RecordingSid, RecordingUrl, RecordingDuration, RecordingStatus } = req.body;
+      const callRecord = callService.getCall(req.query.callId);
+
+      console.log('👪 Conference recording webhook received:', { callId: req.query.callId, RecordingSid, RecordingStatus, RecordingDuration });
+
+      const isNew = callRecord && RecordingSid && !(callRecord.segments || []).some(segment => segment.recordingSid === RecordingSid);
+      if (isNew && RecordingStatus === 'completed') {
+        recordingPipeline.receiveSegment(callRecord.id, {
+          questionIndex: 0,
+          recordingSid: RecordingSid,
+          recordingUrl: RecordingUrl,
+          recordingDuration: RecordingDuration,
+          lengthCapped: false
+        });
+      }
+
+      res.status(200).json({ message: 'Conference recording webhook received' });
+    } catch (error) {
+      console.error('❌ Error in conference recording webhook:', error);
+      res.status(500).json({ error: 'Webhook processing failed' });
+    }
+  });
+
+  // 📲 Inbound voice webhook (Twilio number's "A call comes in" URL). Known
+  // storytellers get their pending or next question and are recorded the same
+  // way as outbound calls.
+  router.post('/inbound', validateTwilioRequest, (req, res) => {
+    const { CallSid, From } = req.body;
+
+    console.log('📲 Inbound call received:', { CallSid, From });
+
+    // Twilio may ask again for the same call (e.g. after a redirect)
+    const existing = callService.getCallByTwilioSid(CallSid);
+    const inbound = existing ? { callRecord: existing } : inboundService.createInboundCall(From, CallSid);
+
+    res.type('text/xml');
+
+    if (!inbound) {
+      return res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${sayTwiml(null, promptText(null, 'unknownCaller'))}
+  <Hangup/>
+</Response>`);
+    }
+
+    res.send(callOpeningTwiml(inbound.callRecord, promptText(inbound.callRecord, 'inboundGreeting')));
+  });
+
+  // 🎙️ Recording complete webhook (Twilio <Record action>). Stores the answer
+  // as a segment, then replies with TwiML for the next question or goodbye.
+  router.post('/recording-complete', validateTwilioRequest, (req, res) => {
+    try {
+      const { CallSid, RecordingSid, RecordingUrl, RecordingDuration } = req.body;
+      
+      console.log('🎙️ Recording complete webhook received:', {
+        CallSid,
+        RecordingSid,
+        RecordingUrl,
+        RecordingDuration,
+        question: req.query.question
+      });
       
-      if (CallSid && CallStatus) {
-        // Find and update call status
-        for (const [id, call] of callService.calls) {
-          if (call.twilioSid === CallSid) {
-            // Enhanced status mapping for better call outcome tracking
-            let mappedStatus = CallStatus;
-            let outcome = 'unknown';
-            
-            switch (CallStatus) {
-              case 'completed':
-                outcome = 'successful_recording';
-                break;
-              case 'busy':
-                outcome = 'line_busy';
-                break;
-              case 'no-answer':
-                outcome = 'no_answer';
-                break;
-              case 'failed':
-                outcome = 'call_failed';
-                break;
-              case 'canceled':
-                outcome = 'call_canceled';
-                break;
-              case 'answered':
-                outcome = 'call_answered';
-                break;
-              case 'in-progress':
-                outcome = 'call_in_progress';
-                break;
-              case 'ringing':
-                outcome = 'call_ringing';
-                break;
-              default:
-                outcome = CallStatus;
-            }
-            
-            // Update call with enhanced metadata
-            callService.updateCallStatus(id, mappedStatus, { 
-              duration: CallDuration,
-              durationMinutes: CallDurationMinutes,
-              durationSeconds: CallDurationSeconds,
-              outcome: outcome,
-              statusUpdatedAt: new Date().toISOString(),
-              metadata: {
-                ...call.metadata,
-                lastStatus: CallStatus,
-                lastStatusAt: new Date().toISOString(),
-                callOutcome: outcome
-              }
-            });
-            
-            console.log(`✅ Call ${id} status updated to ${mappedStatus} (outcome: ${outcome})`);
-            break;
+      if (!CallSid || !RecordingSid || !RecordingUrl) {
+        console.warn('⚠️  Missing required recording data:', req.body);
+        return res.status(400).json({ error: 'Missing required recording data' });
+      }
+
+      // Resolve call by callId, falling back to the Twilio SID index
+      const callRecord = callService.resolveWebhookCall(req.query.callId, CallSid);
+      const questionIndex = parseInt(req.query.question) || 0;
+      const part = parseInt(req.query.part) || 1;
+
+      res.type('text/xml');
+
+      if (!callRecord) {
+        console.warn('⚠️  No call record found for webhook:', { callId: req.query.callId, CallSid });
+        return res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${closingTwiml(callRecord)}
+</Response>`);
+      }
+
+      // Twilio may repeat a callback; only the first delivery adds a segment
+      const existingSegment = (callRecord.segments || []).find(segment => segment.recordingSid === RecordingSid);
+      const isNewTake = !existingSegment;
+      const segment = existingSegment || recordingPipeline.receiveSegment(callRecord.id, {
+        questionIndex,
+        recordingSid: RecordingSid,
+        recordingUrl: RecordingUrl,
+        recordingDuration: RecordingDuration,
+        review: !!callRecord.reviewAnswers,
+        part
+      });
+
+      // Long-story mode: an answer cut off by the length cap keeps going as
+      // the next part instead of moving on
+      if (callRecord.longStory && segment.outcome === 'max_length_reached' && part < MAX_STORY_PARTS) {
+        console.log(`📖 Call ${callRecord.id} question ${questionIndex + 1} hit the length cap - recording part ${part + 1}`);
+        return res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${sayTwiml(callRecord, promptText(callRecord, 'keepGoing'))}
+
+  ${recordTwiml(callRecord, questionIndex, part + 1)}
+
+  ${closingTwiml(callRecord)}
+</Response>`);
+      }
+
+      // Review step: play the take back before moving on
+      if (callRecord.reviewAnswers && isNewTake) {
+        return res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${reviewTwiml(callRecord, questionIndex, RecordingSid, RecordingUrl)}
+</Response>`);
+      }
+
+      res.send(continueInterviewTwiml(callRecord, questionIndex));
+    } catch (error) {
+      console.error('❌ Error in recording webhook:', error);
+      res.status(500).json({ error: 'Webhook processing failed' });
+    }
+  });
+
+  // 🔢 Keypad menu selection (Twilio <Gather action>)
+  router.post('/menu', validateTwilioRequest, (req, res) => {
+    try {
+      const { CallSid, Digits } = req.body;
+      const callRecord = callService.resolveWebhookCall(req.query.callId, CallSid);
+      const questionIndex = parseInt(req.query.question) || 0;
+      const action = MENU_ACTIONS[Digits] || 'invalid';
+
+      console.log('🔢 Menu selection received:', { callId: req.query.callId, CallSid, Digits, action });
+
+      res.type('text/xml');
+
+      if (!callRecord) {
+        console.warn('⚠️  No call record found for webhook:', { callId: req.query.callId, CallSid });
+        return res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${closingTwiml(callRecord)}
+</Response>`);
+      }
+
+      logKeypress(callRecord, Digits, questionIndex, action);
+
+      if (action === 'record') {
+        return res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${sayTwiml(callRecord, promptText(callRecord, 'answerAfterBeep'))}
+  
+  ${recordTwiml(callRecord, questionIndex)}
+
+  ${closingTwiml(callRecord)}
+</Response>`);
+      }
+
+      if (action === 'callback') {
+        retryService.requestCallback(callRecord.id);
+        completeInterview(callRecord);
+
+        return res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${sayTwiml(callRecord, promptText(callRecord, 'callbackGoodbye'))}
+  
+  <Hangup/>
+</Response>`);
+      }
+
+      if (action === 'skip') {
+        callService.updateCallStatus(callRecord.id, callRecord.status, {
+          metadata: {
+            skippedQuestions: [...(callRecord.metadata.skippedQuestions || []), questionIndex]
           }
+        });
+
+        return res.send(continueInterviewTwiml(callRecord, questionIndex));
+      }
+
+      // 2 repeats the question; anything else gets a gentle nudge first
+      res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${action === 'invalid' ? sayTwiml(callRecord, promptText(callRecord, 'notUnderstood')) : ''}
+  ${menuTwiml(callRecord, questionIndex)}
+
+  ${closingTwiml(callRecord)}
+</Response>`);
+    } catch (error) {
+      console.error('❌ Error in menu webhook:', error);
+      res.status(500).json({ error: 'Webhook processing failed' });
+    }
+  });
+
+  // 🔁 Keep or re-record a reviewed answer (Twilio <Gather action>)
+  router.post('/review', validateTwilioRequest, (req, res) => {
+    try {
+      const { CallSid, Digits } = req.body;
+      const callRecord = callService.resolveWebhookCall(req.query.callId, CallSid);
+      const questionIndex = parseInt(req.query.question) || 0;
+      const segment = callRecord && (callRecord.segments || []).find(s => s.recordingSid === req.query.recordingSid);
+
+      console.log('🔁 Review selection received:', { callId: req.query.callId, CallSid, Digits, keep: req.query.keep });
+
+      res.type('text/xml');
+
+      if (!segment) {
+        console.warn('⚠️  No recording segment found for review:', { callId: req.query.callId, recordingSid: req.query.recordingSid });
+        return res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${closingTwiml(callRecord)}
+</Response>`);
+      }
+
+      const keep = req.query.keep === 'true' || Digits === '1';
+      const rerecord = !keep && Digits === '2';
+
+      if (Digits) {
+        logKeypress(callRecord, Digits, questionIndex, keep ? 'keep' : rerecord ? 'rerecord' : 'invalid');
+      }
+
+      if (keep) {
+        if (segment.status === 'pending_review') {
+          recordingPipeline.acceptSegment(callRecord.id, segment.recordingSid);
+        }
+        return res.send(continueInterviewTwiml(callRecord, questionIndex));
+      }
+
+      if (rerecord) {
+        if (segment.status === 'pending_review') {
+          recordingPipeline.supersedeSegment(callRecord.id, segment.recordingSid);
+        }
+        return res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${sayTwiml(callRecord, promptText(callRecord, 'rerecord'))}
+  
+  ${recordTwiml(callRecord, questionIndex)}
+
+  ${closingTwiml(callRecord)}
+</Response>`);
+      }
+
+      res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${sayTwiml(callRecord, promptText(callRecord, 'notUnderstood'))}
+  ${reviewTwiml(callRecord, questionIndex, segment.recordingSid, segment.recordingUrl)}
+</Response>`);
+    } catch (error) {
+      console.error('❌ Error in review webhook:', error);
+      res.status(500).json({ error: 'Webhook processing failed' });
+    }
+  });
+
+  // 📝 Transcription complete webhook (Twilio)
+  router.post('/transcription-complete', validateTwilioRequest, (req, res) => {
+    try {
+      const { CallSid, RecordingSid, TranscriptionSid, TranscriptionText, TranscriptionStatus, TranscriptionUrl } = req.body;
+      
+      console.log('📝 Transcription complete webhook received:', {
+        CallSid,
+        RecordingSid,
+        TranscriptionSid,
+        TranscriptionStatus,
+        TranscriptionText: TranscriptionText ? TranscriptionText.substring(0, 100) + '...' : 'No text'
+      });
+      
+      if (!CallSid || !TranscriptionSid) {
+        console.warn('⚠️  Missing required transcription data:', req.body);
+        return res.status(400).json({ error: 'Missing required transcription data' });
+      }
+
+      // Resolve call by callId, falling back to the Twilio SID index
+      const callRecord = callService.resolveWebhookCall(req.query.callId, CallSid);
+
+      if (!callRecord) {
+        console.warn('⚠️  No call record found for webhook:', { callId: req.query.callId, CallSid });
+        return res.status(200).json({ message: 'Call not found, but transcription webhook received' });
+      }
+
+      // Update call with transcription info
+      callService.updateCallStatus(callRecord.id, callRecord.status, {
+        metadata: {
+          ...callRecord.metadata,
+          transcriptionSid: TranscriptionSid,
+          transcriptionStatus: TranscriptionStatus,
+          transcriptionText: TranscriptionText,
+          transcriptionUrl: TranscriptionUrl,
+          transcriptionReceivedAt: new Date().toISOString()
         }
+      });
+
+      // Each answer is transcribed separately; keep the text with its segment
+      const segment = (callRecord.segments || []).find(s => s.recordingSid === RecordingSid);
+      if (segment) {
+        callService.updateRecordingSegment(callRecord.id, RecordingSid, {
+          transcriptionSid: TranscriptionSid,
+          transcriptionStatus: TranscriptionStatus,
+          transcriptionText: TranscriptionText
+        });
+      }
+
+      console.log(`📝 Transcription received for call ${callRecord.id}: ${TranscriptionStatus}`);
+
+      // Send transcription to main backend if configured (discarded takes stay local)
+      if (segment && segment.status === 'superseded') {
+        console.log(`ℹ️  Transcription for discarded take ${RecordingSid} - skipping webhook`);
+      } else if (TranscriptionText) {
+        webhookService.send('transcription-complete', {
+          ...webhookService.buildCallPayload(callRecord),
+          RecordingSid: RecordingSid || callRecord.metadata?.recordingSid,
+          questionIndex: segment ? segment.questionIndex : 0,
+          question: segment ? segment.question : callRecord.customMessage,
+          TranscriptionSid: TranscriptionSid,
+          TranscriptionText: TranscriptionText,
+          TranscriptionStatus: TranscriptionStatus,
+          TranscriptionUrl: TranscriptionUrl
+        });
+      } else {
+        console.log('ℹ️  No transcription text - skipping webhook');
+      }
+
+      res.status(200).json({ message: 'Transcription webhook received and processing started' });
+    } catch (error) {
+      console.error('❌ Error in transcription webhook:', error);
+      res.status(500).json({ error: 'Transcription webhook processing failed' });
+    }
+  });
+
+  // 💬 Incoming text (Twilio messaging webhook). STOP and START replies turn
+  // our texts off and on; Twilio sends the carrier's confirmation itself.
+  router.post('/sms', validateTwilioRequest, (req, res) => {
+    try {
+      const { From, Body } = req.body;
+      const action = From ? smsService.handleIncomingMessage({ from: From, body: Body }) : null;
+
+      console.log('💬 Incoming SMS webhook received:', { From, action });
+
+      res.type('text/xml');
+      res.send('<?xml version="1.0" encoding="UTF-8"?>\n<Response></Response>');
+    } catch (error) {
+      console.error('❌ Error in incoming SMS webhook:', error);
+      res.status(500).json({ error: 'Webhook processing failed' });
+    }
+  });
+
+  // 💬 Delivery status of a heads-up or thank-you text (Twilio statusCallback)
+  router.post('/sms-status', validateTwilioRequest, (req, res) => {
+    try {
+      const { MessageSid, MessageStatus, ErrorCode } = req.body;
+
+      console.log('💬 SMS status webhook received:', { MessageSid, MessageStatus, ErrorCode });
+
+      if (MessageSid && MessageStatus) {
+        smsService.updateDeliveryStatus(req.query, { MessageSid, MessageStatus, ErrorCode });
+      }
+
+      res.status(200).json({ message: 'SMS status webhook received' });
+    } catch (error) {
+      console.error('❌ Error in SMS status webhook:', error);
+      res.status(500).json({ error: 'Webhook processing failed' });
+    }
+  });
+
+  // 📊 Recording status webhook (Twilio)
+  router.post('/recording-status', validateTwilioRequest, (req, res) => {
+    try {
+      const { CallSid, RecordingSid, RecordingStatus, RecordingUrl, RecordingDuration } = req.body;
+      
+      console.log('🎵 Recording status webhook received:', {
+        CallSid,
+        RecordingSid,
+        RecordingStatus,
+        RecordingDuration
+      });
+
+      const call = RecordingSid ? callService.resolveWebhookCall(req.query.callId, CallSid) : null;
+
+      if (call) {
+        // Update call metadata with recording status
+        callService.updateCallStatus(call.id, call.status, {
+          metadata: {
+            ...call.metadata,
+            recordingStatus: RecordingStatus,
+            recordingSid: RecordingSid,
+            recordingDuration: RecordingDuration
+          }
+        });
+        console.log('✅ Recording status updated for call', call.id);
+      }
+
+      res.status(200).json({ message: 'Recording status webhook received' });
+    } catch (error) {
+      console.error('❌ Error in recording status webhook:', error);
+      res.status(500).json({ error: 'Webhook processing failed' });
+    }
+  });
+
+  // 📊 Call status webhook (Twilio)
+  router.post('/call-status', validateTwilioRequest, (req, res) => {
+    try {
+      const { CallSid, CallStatus, CallDuration, CallDurationMinutes, CallDurationSeconds } = req.body;
+      
+      console.log('📊 Call status webhook received:', {
+        CallSid,
+        CallStatus,
+        CallDuration,
+        CallDurationMinutes,
+        CallDurationSeconds
+      });
+      
+      const call = CallStatus ? callService.resolveWebhookCall(req.query.callId, CallSid) : null;
+
+      if (call) {
+        // Finalizing an ended call sends webhooks; the status is stored first
+        Promise.resolve(recordingPipeline.applyCallStatus(call.id, CallStatus, {
+          duration: CallDuration,
+          durationMinutes: CallDurationMinutes,
+          durationSeconds: CallDurationSeconds
+        })).catch(error => {
+          console.error(`❌ Failed to finalize call ${call.id} after status ${CallStatus}:`, error.message);
+        });
       }
 
       res.status(200).json({ message: 'Status webhook received' });
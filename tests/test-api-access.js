@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+
+/**
+ * 🧪 API Access Test
+ *
+ * This script tests what the API lets each key do, through the real routes:
+ * sliding-window call quotas answered with 429 and rate limit headers,
+ * permission scopes and key limits (key management is left to admin keys,
+ * including the one bootstrapped from ADMIN_API_KEY), each key seeing only
+ * its own calls and recordings, canceling a call across its retry chain,
+ * accepting conference calls that require consent and holding calls that
+ * ask for a heads-up text. Calls are created but never dialed (Twilio is
+ * not configured) and recordings are listed from memory.
+ */
+
+const assert = require('assert');
+const express = require('express');
+const SimpleApiKeyService = require('../utils/simple-api-key-service');
+const SimpleCallService = require('../utils/simple-call-service');
+const SimpleDialerService = require('../utils/simple-dialer-service');
+const SimpleRetryService = require('../utils/simple-retry-service');
+const SimpleWebhookService = require('../utils/simple-webhook-service');
+const memooraRoutes = require('../routes-memoora/simple-memoora');
+const { MemoryStore } = require('../utils/simple-storage');
+
+const ADMIN_API_KEY = 'test-admin-key-0123456789abcdefghijklmnop';
+
+// Start the API once for every test (the router can only be built once)
+function startApi() {
+  const apiKeyService = new SimpleApiKeyService({ type: 'memory', adminApiKey: ADMIN_API_KEY });
+  const callService = new SimpleCallService({ type: 'memory' });
+  // Only ready while a test hangs up a call; records the SIDs it ends
+  const twilioService = {
+    ready: false,
+    endedSids: [],
+    isReady: () => twilioService.ready,
+    endCall: async twilioSid => {
+      twilioService.endedSids.push(twilioSid);
+      return { success: true, sid: twilioSid, status: 'completed' };
+    }
+  };
+  const dialerService = new SimpleDialerService(apiKeyService, callService, twilioService);
+  const webhookService = new SimpleWebhookService({ mainBackendUrl: '' });
+  const retryService = new SimpleRetryService(apiKeyService, callService, dialerService);
+
+  // Recordings as the recording service lists them from disk
+  const recordings = [];
+  const recordingService = {
+    listRecordings: async ({ callIds } = {}) => recordings.filter(recording => !callIds || callIds.has(recording.callId)),
+    getRecording: async filename => recordings.find(recording => recording.filename === filename) || null
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1', memooraRoutes(apiKeyService, callService, twilioService, recordingService, dialerService, null, webhookService, retryService));
+
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve({ server, apiKeyService, callService, twilioService, dialerService, retryService, recordings }));
+  });
+}
+
+// Call the API with a key. Resolves with the status, headers and JSON body.
+async function request(api, method, path, apiKey, body) {
+  const response = await fetch(`http://127.0.0.1:${api.server.address().port}/api/v1${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'x-api-key': apiKey },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+const callBody = { phoneNumber: '+15555550100', customMessage: 'Where were you born?' };
+
+// Each test takes the running API and returns true on success
+const tests = {
+  async enforcesCallQuota(api) {
+    const { apiKey, keyId } = api.apiKeyService.createApiKey({ clientName: 'Quota Test', limits: { maxCallsPerHour: 2 } });
+
+    const first = await request(api, 'POST', '/call', apiKey, callBody);
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.headers.get('x-ratelimit-limit'), '2');
+    assert.strictEqual(first.headers.get('x-ratelimit-remaining'), '1');
+    assert.strictEqual(first.headers.get('x-ratelimit-window'), 'hourly');
+
+    assert.strictEqual((await request(api, 'POST', '/call', apiKey, callBody)).status, 200);
+
+    // The hourly window is full: refused, and told when to come back
+    const refused = await request(api, 'POST', '/call', apiKey, callBody);
+    assert.strictEqual(refused.status, 429);
+    assert.strictEqual(refused.body.error, 'Hourly rate limit exceeded');
+    assert.strictEqual(refused.headers.get('x-ratelimit-remaining'), '0');
+    const retryAfter = Number(refused.headers.get('retry-after'));
+    assert.ok(retryAfter > 3500 && retryAfter <= 3600);
+    assert.strictEqual(refused.body.retryAfter, retryAfter);
+    assert.ok(Number(refused.headers.get('x-ratelimit-reset')) > Date.now() / 1000);
+
+    // A refused call is neither created nor counted
+    assert.strictEqual(api.callService.getCallsByApiKey(keyId).length, 2);
+    const quota = await request(api, 'GET', '/quota', apiKey);
+    assert.strictEqual(quota.body.quota.find(window => window.window === 'hourly').used, 2);
+    assert.strictEqual(quota.body.allowed, false);
+
+    // The window slides: an hour later those calls only count for the day
+    const hourLater = api.apiKeyService.getQuota(keyId, Date.now() + 61 * 60 * 1000);
+    assert.strictEqual(hourLater.find(window => window.window === 'hourly').used, 0);
+    assert.strictEqual(hourLater.find(window => window.window === 'daily').used, 2);
+    return true;
+  },
+
+  async enforcesPermissionScopes(api) {
+    const { apiKey } = api.apiKeyService.createApiKey({ clientName: 'Read Only', permissions: ['read'] });
+
+    const call = await request(api, 'POST', '/call', apiKey, callBody);
+    assert.strictEqual(call.status, 403);
+    assert.deepStrictEqual(call.body, { error: 'Insufficient permissions', required: 'call' });
+    assert.strictEqual((await request(api, 'GET', '/recordings', apiKey)).status, 403);
+    assert.strictEqual((await request(api, 'GET', '/calls', apiKey)).status, 200);
+
+    // Key management is for admin keys only, whatever scopes a client holds
+    const { apiKey: fullClientKey } = api.apiKeyService.createApiKey({ clientName: 'Full Client' });
+    const listed = await request(api, 'GET', '/api-keys', fullClientKey);
+    assert.strictEqual(listed.status, 403);
+    assert.strictEqual(listed.body.error, 'Admin API key required');
+    assert.strictEqual((await request(api, 'POST', '/api-keys', fullClientKey, { clientName: 'Sneaky', keyType: 'admin' })).status, 403);
+    return true;
+  },
+
+  async bootstrapsAdminKey(api) {
+    // The ADMIN_API_KEY manages keys: create one with a single scope...
+    const created = await request(api, 'POST', '/api-keys', ADMIN_API_KEY, { clientName: 'Recordings Only', permissions: ['recordings'] });
+    assert.strictEqual(created.status, 201);
+    assert.deepStrictEqual(created.body.permissions, ['recordings']);
+    assert.strictEqual((await request(api, 'POST', '/call', created.body.apiKey, callBody)).status, 403);
+
+    // ...widen its scopes, then revoke it
+    const widened = await request(api, 'PUT', `/api-keys/${created.body.keyId}/permissions`, ADMIN_API_KEY, { permissions: ['recordings', 'call'] });
+    assert.strictEqual(widened.status, 200);
+    assert.strictEqual((await request(api, 'POST', '/call', created.body.apiKey, callBody)).status, 200);
+
+    assert.strictEqual((await request(api, 'POST', `/api-keys/${created.body.keyId}/revoke`, ADMIN_API_KEY)).status, 200);
+    assert.strictEqual((await request(api, 'GET', '/calls', created.body.apiKey)).status, 401);
+
+    // The bootstrapped key itself can't be revoked through the API
+    assert.strictEqual((await request(api, 'POST', '/api-keys/key_admin_bootstrap/revoke', ADMIN_API_KEY)).status, 400);
+    return true;
+  },
+
+  async validatesKeyLimits(api) {
+    // Limits are positive whole numbers of calls per quota window
+    const badLimits = await request(api, 'POST', '/api-keys', ADMIN_API_KEY, { clientName: 'Bad Limits', limits: { maxCallsPerHour: '5', maxCallsPerDay: -1, maxCalls: 3 } });
+    assert.strictEqual(badLimits.status, 400);
+    assert.deepStrictEqual(badLimits.body, {
+      error: 'Invalid limits',
+      details: [
+        'maxCalls is not supported (use maxCallsPerHour, maxCallsPerDay, maxCallsPerMonth)',
+        'maxCallsPerHour must be a positive whole number',
+        'maxCallsPerDay must be a positive whole number'
+      ]
+    });
+    assert.strictEqual((await request(api, 'POST', '/api-keys', ADMIN_API_KEY, { clientName: 'Bad Limits', limits: [] })).status, 400);
+    const limited = await request(api, 'POST', '/api-keys', ADMIN_API_KEY, { clientName: 'Limited', limits: { maxCallsPerDay: 50 } });
+    assert.strictEqual(limited.status, 201);
+    assert.deepStrictEqual(api.apiKeyService.getApiKey(limited.body.keyId).limits, { maxCallsPerDay: 50, maxCallsPerMonth: 100, maxCallsPerHour: 5 });
+    return true;
+  },
+
+  async rotatesBootstrapAdminKey() {
+    const store = new MemoryStore('api-keys');
+    new SimpleApiKeyService({ store, adminApiKey: ADMIN_API_KEY });
+    const stored = store.get('key_admin_bootstrap');
+    assert.strictEqual(stored.keyType, 'admin');
+    assert.ok(!Object.values(stored).includes(ADMIN_API_KEY));
+
+    // A new ADMIN_API_KEY replaces the old one on restart...
+    const rotatedKey = `${ADMIN_API_KEY}-rotated`;
+    const rotated = new SimpleApiKeyService({ store, adminApiKey: rotatedKey });
+    assert.strictEqual(rotated.validateApiKey(ADMIN_API_KEY).valid, false);
+    assert.strictEqual(rotated.validateApiKey(rotatedKey).keyRecord.keyType, 'admin');
+
+    // ...and leaving it unset turns the admin key off
+    const unset = new SimpleApiKeyService({ store });
+    assert.deepStrictEqual(unset.validateApiKey(rotatedKey), { valid: false, message: 'API key is inactive' });
+    return true;
+  },
+
+  async scopesCallsToTheirKey(api) {
+    const { apiKey: keyA } = api.apiKeyService.createApiKey({ clientName: 'Family A' });
+    const { apiKey: keyB } = api.apiKeyService.createApiKey({ clientName: 'Family B' });
+
+    const { callId } = (await request(api, 'POST', '/call', keyA, callBody)).body;
+    const filename = `2026-10-19T12-00-00-000Z_${callId}_RE0123456789abcdef0123456789abcdef.mp3`;
+    api.recordings.push({ filename, callId, recordingSid: 'RE0123456789abcdef0123456789abcdef' });
+
+    assert.strictEqual((await request(api, 'GET', `/calls/${callId}`, keyA)).status, 200);
+    assert.strictEqual((await request(api, 'GET', `/recordings/${filename}`, keyA)).status, 200);
+    assert.deepStrictEqual((await request(api, 'GET', '/recordings', keyA)).body.recordings.map(recording => recording.filename), [filename]);
+
+    // Key B can't tell key A's call or recording exists, let alone cancel it
+    const call = await request(api, 'GET', `/calls/${callId}`, keyB);
+    assert.strictEqual(call.status, 404);
+    assert.deepStrictEqual(call.body, { error: 'Call not found' });
+    assert.strictEqual((await request(api, 'DELETE', `/calls/${callId}`, keyB)).status, 404);
+    assert.deepStrictEqual((await request(api, 'GET', `/recordings/${filename}`, keyB)).body, { error: 'Recording not found' });
+    assert.deepStrictEqual((await request(api, 'GET', '/recordings', keyB)).body.recordings, []);
+    assert.deepStrictEqual((await request(api, 'GET', '/calls', keyB)).body.calls, []);
+    assert.strictEqual(api.callService.getCall(callId).status, 'initiated');
+
+    // Admin keys see every key's calls
+    assert.strictEqual((await request(api, 'GET', `/recordings/${filename}`, ADMIN_API_KEY)).status, 200);
+    return true;
+  },
+
+  async cancelsAcrossRetryChain(api) {
+    const { apiKey } = api.apiKeyService.createApiKey({ clientName: 'Cancel Test' });
+    const retryPolicy = { maxAttempts: 3, backoffMinutes: 10, retryOn: ['no_answer'] };
+    const endedAt = new Date('2026-10-19T15:00:00Z');
+
+    // An unanswered call with only its retry pending: the retry is dropped,
+    // the call keeps its no-answer status
+    const { callId } = (await request(api, 'POST', '/call', apiKey, { ...callBody, retryPolicy })).body;
+    api.callService.updateCall(callId, { status: 'no-answer', callEndedAt: endedAt.toISOString() });
+    api.retryService.handleOutcome(callId, 'no_answer', endedAt);
+
+    const retryCanceled = await request(api, 'DELETE', `/calls/${callId}`, apiKey);
+    assert.strictEqual(retryCanceled.status, 200);
+    assert.strictEqual(retryCanceled.body.message, 'Scheduled retry canceled');
+    assert.deepStrictEqual(retryCanceled.body.canceledRetries, [callId]);
+    assert.strictEqual(retryCanceled.body.canceledAttemptId, null);
+    assert.strictEqual(api.callService.getCall(callId).status, 'no-answer');
+    assert.strictEqual(api.callService.getCall(callId).retry.status, 'canceled');
+    assert.strictEqual((await request(api, 'DELETE', `/calls/${callId}`, apiKey)).status, 409);
+
+    // A retry attempt that is ringing is hung up, canceled through the
+    // original call's ID
+    const { callId: originalId } = (await request(api, 'POST', '/call', apiKey, { ...callBody, retryPolicy })).body;
+    api.callService.updateCall(originalId, { status: 'no-answer', callEndedAt: endedAt.toISOString() });
+    api.retryService.handleOutcome(originalId, 'no_answer', endedAt);
+    api.retryService.tick(new Date(endedAt.getTime() + 10 * 60 * 1000));
+    const retryId = api.callService.getCall(originalId).retry.retryCallId;
+    api.callService.updateCall(retryId, { twilioSid: 'CA0123456789abcdef0123456789abcdef', status: 'ringing' });
+
+    api.twilioService.ready = true;
+    const hungUp = await request(api, 'DELETE', `/calls/${originalId}`, apiKey);
+    api.twilioService.ready = false;
+    assert.strictEqual(hungUp.status, 200);
+    assert.strictEqual(hungUp.body.canceledAttemptId, retryId);
+    assert.deepStrictEqual(api.twilioService.endedSids, ['CA0123456789abcdef0123456789abcdef']);
+    assert.strictEqual(api.callService.getCall(retryId).status, 'canceled_by_client');
+    assert.strictEqual(api.callService.getCall(originalId).status, 'no-answer');
+    return true;
+  },
+
+  async acceptsConferenceWithConsent(api) {
+    const { apiKey } = api.apiKeyService.createApiKey({ clientName: 'Conference Consent Test' });
+    const conferenceBody = { ...callBody, conference: { familyMemberPhoneNumber: '+15555550199' } };
+
+    // The family member is asked on their own leg when they join
+    const accepted = await request(api, 'POST', '/call', apiKey, { ...conferenceBody, requireConsent: true });
+    assert.strictEqual(accepted.status, 200);
+    const callRecord = api.callService.getCall(accepted.body.callId);
+    assert.strictEqual(callRecord.requireConsent, true);
+    assert.strictEqual(callRecord.conference.familyMemberConsent, null);
+    return true;
+  },
+
+  async holdsCallForHeadsUp(api) {
+    const { apiKey } = api.apiKeyService.createApiKey({ clientName: 'Heads-Up Test' });
+
+    const invalid = await request(api, 'POST', '/call', apiKey, { ...callBody, headsUp: { leadMinutes: 0, enabled: true } });
+    assert.strictEqual(invalid.status, 400);
+    assert.deepStrictEqual(invalid.body.details, ['headsUp.enabled is not supported (use leadMinutes)', 'headsUp.leadMinutes must be a whole number from 1 to 1440']);
+
+    // The call waits out the lead time (the key's, 10 minutes by default) before it is dialed
+    const placedAt = Date.now();
+    const held = await request(api, 'POST', '/call', apiKey, { ...callBody, headsUp: true });
+    assert.strictEqual(held.status, 200);
+    assert.strictEqual(held.body.status, 'held');
+    const heldUntil = new Date(held.body.heldUntil).getTime();
+    assert.ok(heldUntil >= placedAt + 10 * 60 * 1000 && heldUntil <= Date.now() + 10 * 60 * 1000);
+
+    const custom = await request(api, 'POST', '/call', apiKey, { ...callBody, headsUp: { leadMinutes: 30 } });
+    assert.ok(new Date(custom.body.heldUntil).getTime() >= placedAt + 30 * 60 * 1000);
+
+    api.dialerService.tick(new Date(heldUntil - 1000));
+    assert.strictEqual(api.callService.getCall(held.body.callId).status, 'held');
+    api.dialerService.tick(new Date(heldUntil));
+    assert.strictEqual(api.callService.getCall(held.body.callId).status, 'initiated');
+    assert.strictEqual(api.callService.getCall(custom.body.callId).status, 'held');
+
+    // A held call can be canceled before it rings
+    assert.strictEqual((await request(api, 'DELETE', `/calls/${custom.body.callId}`, apiKey)).status, 200);
+    api.dialerService.tick(new Date(Date.now() + 60 * 60 * 1000));
+    assert.strictEqual(api.callService.getCall(custom.body.callId).status, 'canceled_by_client');
+    return true;
+  }
+};
+
+// Main test execution
+async function runApiAccessTests() {
+  console.log('🚀 Starting API Access Tests\n');
+
+  const api = await startApi();
+  const results = {};
+  for (const [name, test] of Object.entries(tests)) {
+    try {
+      results[name] = await test(api);
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      results[name] = false;
+    }
+  }
+  api.server.close();
+
+  console.log('\n📊 Test Results Summary');
+  console.log('=======================');
+  Object.entries(results).forEach(([test, result]) => {
+    console.log(`${test}: ${result ? '✅ PASS' : '❌ FAIL'}`);
+  });
+
+  const allPassed = Object.values(results).every(Boolean);
+  console.log(`\n🎯 Overall Result: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runApiAccessTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = {
+  runApiAccessTests
+};
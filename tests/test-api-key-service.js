@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+/**
+ * 🧪 API Key Service Test
+ *
+ * This script tests how API keys are stored and checked: only a salted hash
+ * of each key is kept (in memory and on disk), a wrong key is refused even
+ * when it shares the right key's prefix, and lastUsed is kept current
+ * without writing the keys file on every request.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SimpleApiKeyService = require('../utils/simple-api-key-service');
+const { MemoryStore, FileStore } = require('../utils/simple-storage');
+
+// A memory store that counts its writes
+class CountingStore extends MemoryStore {
+  constructor(name) {
+    super(name);
+    this.writes = 0;
+  }
+
+  set(id, record) {
+    this.writes++;
+    return super.set(id, record);
+  }
+}
+
+// Each test returns true on success
+const tests = {
+  async storesOnlyHashes() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'memoora-keys-'));
+    try {
+      const store = new FileStore('api-keys', dataDir);
+      const apiKeyService = new SimpleApiKeyService({ store });
+      const created = apiKeyService.createApiKey({ clientName: 'Hash Test' });
+      const other = apiKeyService.createApiKey({ clientName: 'Hash Test' });
+      store.flush();
+
+      const stored = store.get(created.keyId);
+      assert.strictEqual(stored.keyPrefix, created.apiKey.slice(0, 11));
+      assert.strictEqual(stored.keyHash, apiKeyService.hashApiKey(created.apiKey, stored.keySalt));
+      assert.notStrictEqual(stored.keySalt, store.get(other.keyId).keySalt);
+
+      // The plaintext key is in neither the record nor the file, and hash
+      // material never leaves the service
+      assert.ok(!Object.values(stored).includes(created.apiKey));
+      assert.ok(!fs.readFileSync(store.filePath, 'utf8').includes(created.apiKey));
+      assert.strictEqual(created.keyHash, undefined);
+      assert.strictEqual(apiKeyService.getApiKey(created.keyId).keySalt, undefined);
+      assert.strictEqual(apiKeyService.validateApiKey(created.apiKey).keyRecord.keyHash, undefined);
+
+      // Keys still work after a restart
+      store.flush();
+      const restartedStore = new FileStore('api-keys', dataDir);
+      const restarted = new SimpleApiKeyService({ store: restartedStore });
+      assert.strictEqual(restarted.validateApiKey(created.apiKey).keyRecord.id, created.keyId);
+      restartedStore.flush();
+    } finally {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+    return true;
+  },
+
+  async refusesWrongKeys() {
+    const apiKeyService = new SimpleApiKeyService({ type: 'memory' });
+    const { apiKey, keyId } = apiKeyService.createApiKey({ clientName: 'Wrong Key Test' });
+
+    assert.strictEqual(apiKeyService.validateApiKey(apiKey).valid, true);
+
+    // Same prefix, different secret: found by prefix, refused by the hash
+    const lastCharacter = apiKey.slice(-1) === 'A' ? 'B' : 'A';
+    const samePrefix = apiKey.slice(0, -1) + lastCharacter;
+    assert.deepStrictEqual(apiKeyService.validateApiKey(samePrefix), { valid: false, message: 'API key not found' });
+    assert.deepStrictEqual(apiKeyService.validateApiKey('mk_00000000_nope'), { valid: false, message: 'API key not found' });
+    assert.deepStrictEqual(apiKeyService.validateApiKey(undefined), { valid: false, message: 'Invalid API key format' });
+
+    apiKeyService.revokeApiKey(keyId);
+    assert.deepStrictEqual(apiKeyService.validateApiKey(apiKey), { valid: false, message: 'API key is inactive' });
+    return true;
+  },
+
+  async throttlesLastUsedWrites() {
+    const store = new CountingStore('api-keys');
+    const apiKeyService = new SimpleApiKeyService({ store });
+    const { apiKey, keyId } = apiKeyService.createApiKey({ clientName: 'Last Used Test' });
+    const start = Date.parse('2026-10-19T12:00:00Z');
+    const writesAfterCreate = store.writes;
+
+    apiKeyService.validateApiKey(apiKey, start);
+    apiKeyService.validateApiKey(apiKey, start + 10 * 1000);
+    apiKeyService.validateApiKey(apiKey, start + 59 * 1000);
+    assert.strictEqual(store.writes, writesAfterCreate + 1);
+
+    // lastUsed is current in memory even when it isn't written
+    assert.strictEqual(apiKeyService.getApiKey(keyId).lastUsed, '2026-10-19T12:00:59.000Z');
+
+    apiKeyService.validateApiKey(apiKey, start + 60 * 1000);
+    assert.strictEqual(store.writes, writesAfterCreate + 2);
+    return true;
+  }
+};
+
+// Main test execution
+async function runApiKeyServiceTests() {
+  console.log('🚀 Starting API Key Service Tests\n');
+
+  const results = {};
+  for (const [name, test] of Object.entries(tests)) {
+    try {
+      results[name] = await test();
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      results[name] = false;
+    }
+  }
+
+  console.log('\n📊 Test Results Summary');
+  console.log('=======================');
+  Object.entries(results).forEach(([test, result]) => {
+    console.log(`${test}: ${result ? '✅ PASS' : '❌ FAIL'}`);
+  });
+
+  const allPassed = Object.values(results).every(Boolean);
+  console.log(`\n🎯 Overall Result: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runApiKeyServiceTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = {
+  runApiKeyServiceTests
+};
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * 🧪 Call Preview Test
+ *
+ * This script tests previewing a call without placing it: the plain-text
+ * script for each kind of call, the spoken duration estimate, warnings about
+ * the custom text, and that building the preview's call record stores
+ * nothing.
+ */
+
+const assert = require('assert');
+const express = require('express');
+const SimpleApiKeyService = require('../utils/simple-api-key-service');
+const SimpleCallService = require('../utils/simple-call-service');
+const SimpleDialerService = require('../utils/simple-dialer-service');
+const memooraRoutes = require('../routes-memoora/simple-memoora');
+const { estimateSpeechSeconds, buildCallPreview } = require('../utils/simple-call-preview');
+
+const keyRecord = { id: 'key_test', clientName: 'Preview Test' };
+
+// A call record as POST /call/preview builds it, without storing it
+function previewRecord(callData) {
+  const callService = new SimpleCallService({ type: 'memory' });
+  const callRecord = callService.buildCallRecord({
+    phoneNumber: '+15555550100',
+    customMessage: callData.questions[0],
+    apiKeyInfo: keyRecord,
+    ...callData
+  }, 'call_preview');
+
+  assert.strictEqual(callService.calls.size, 0);
+  return callRecord;
+}
+
+// Start the API with only what POST /call/preview needs (nothing is dialed)
+function startApi() {
+  const apiKeyService = new SimpleApiKeyService({ type: 'memory' });
+  const callService = new SimpleCallService({ type: 'memory' });
+  const twilioService = { isReady: () => false };
+  const dialerService = new SimpleDialerService(apiKeyService, callService, twilioService);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1', memooraRoutes(apiKeyService, callService, twilioService, null, dialerService));
+
+  const { apiKey } = apiKeyService.createApiKey({ clientName: 'Preview Test' });
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve({ server, apiKey }));
+  });
+}
+
+async function postPreview({ server, apiKey }, body) {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/api/v1/call/preview`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-api-key': apiKey },
+    body: JSON.stringify(body)
+  });
+  return response.json();
+}
+
+// Each test returns true on success
+const tests = {
+  async estimatesSpeechDuration() {
+    // 150 words a minute at rate 1, slower at lower rates
+    const thirtyWords = Array(30).fill('word').join(' ');
+    assert.strictEqual(estimateSpeechSeconds(thirtyWords), 12);
+    assert.strictEqual(estimateSpeechSeconds(thirtyWords, 0.5), 24);
+
+    // Chinese is counted by character
+    assert.strictEqual(estimateSpeechSeconds('你在哪里出生'), 1.5);
+    return true;
+  },
+
+  async scriptsInterview() {
+    const callRecord = previewRecord({ questions: ['Where were you born?', 'What was your first job?'], requireConsent: true });
+    const preview = buildCallPreview(callRecord);
+
+    assert.deepStrictEqual(preview.steps.map(step => step.label), [
+      'afterPickup', 'Greeting', 'Consent', 'Consent given', 'afterGreeting',
+      'Question 1', 'beforeRecording', 'Answer 1 is recorded',
+      'betweenQuestions', 'Question 2', 'beforeRecording', 'Answer 2 is recorded',
+      'Closing'
+    ]);
+    assert.ok(preview.script.includes('Question 2: What was your first job?'));
+    assert.strictEqual(preview.estimatedDuration.pauseSeconds, 6);
+    assert.strictEqual(preview.estimatedDuration.totalSeconds, preview.estimatedDuration.spokenSeconds + 6);
+    assert.deepStrictEqual(preview.warnings, []);
+    assert.strictEqual(preview.voicemail, null);
+    return true;
+  },
+
+  async warnsAboutCustomText() {
+    const longQuestion = `${Array(60).fill('and then').join(' ')}?`;
+    const callRecord = previewRecord({ questions: ['Where did you & Grandpa live? 🏡', longQuestion], locale: 'en-US' });
+    const preview = buildCallPreview(callRecord, { requestedLocale: 'de-DE', voicemailMessage: 'Call us back at #1!' });
+
+    assert.deepStrictEqual(preview.warnings, [
+      'No de-DE catalog - the call will be spoken in en-US',
+      'Question 1 contains characters the voice can\'t read naturally: 🏡',
+      'Question 2 takes about 53 seconds to read; long questions are hard to follow by phone',
+      'Voicemail message contains characters the voice can\'t read naturally: #'
+    ]);
+    assert.strictEqual(preview.voicemail.text, 'Call us back at #1!');
+
+    // SSML tags aren't part of the script, but their breaks take time
+    const pausedPreview = buildCallPreview(previewRecord({ questions: ['Where were you born? <break time="3s"/> Take your time.'] }));
+    const question = pausedPreview.steps.find(step => step.label === 'Question 1');
+    assert.strictEqual(question.text, 'Where were you born? Take your time.');
+    assert.strictEqual(question.seconds, estimateSpeechSeconds(question.text, 0.9) + 3);
+    return true;
+  },
+
+  async requestsDefaultToKeypadMenu() {
+    const api = await startApi();
+    try {
+      // A request that leaves `interactive` out gets the keypad menu
+      const preview = await postPreview(api, { phoneNumber: '+15555550100', customMessage: 'Where were you born?' });
+      assert.ok(preview.twiml.includes('<Gather input="dtmf"'));
+      assert.ok(preview.steps.some(step => step.label === 'Keypad menu'));
+
+      const plain = await postPreview(api, { phoneNumber: '+15555550100', customMessage: 'Where were you born?', interactive: false });
+      assert.ok(!plain.twiml.includes('<Gather'));
+      assert.ok(!plain.steps.some(step => step.label === 'Keypad menu'));
+
+      // A conference call has no keypad menu to default to
+      const conference = await postPreview(api, { phoneNumber: '+15555550100', customMessage: 'Where were you born?', conference: { familyMemberPhoneNumber: '+15555550101' } });
+      assert.ok(!conference.steps.some(step => step.label === 'Keypad menu'));
+
+      // The ids in the TwiML are marked as placeholders
+      assert.deepStrictEqual(plain.placeholders, { callId: 'call_preview', conferenceName: null });
+      assert.deepStrictEqual(conference.placeholders, { callId: 'call_preview', conferenceName: 'memoora-call_preview' });
+      assert.ok(conference.twiml.includes('>memoora-call_preview</Conference>'));
+      return true;
+    } finally {
+      api.server.close();
+    }
+  }
+};
+
+// Main test execution
+async function runCallPreviewTests() {
+  console.log('🚀 Starting Call Preview Tests\n');
+
+  const results = {};
+  for (const [name, test] of Object.entries(tests)) {
+    try {
+      results[name] = await test();
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      results[name] = false;
+    }
+  }
+
+  console.log('\n📊 Test Results Summary');
+  console.log('=======================');
+  Object.entries(results).forEach(([test, result]) => {
+    console.log(`${test}: ${result ? '✅ PASS' : '❌ FAIL'}`);
+  });
+
+  const allPassed = Object.values(results).every(Boolean);
+  console.log(`\n🎯 Overall Result: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runCallPreviewTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = {
+  runCallPreviewTests
+};
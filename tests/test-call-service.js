@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * 🧪 Call Service Test
+ *
+ * This script tests how Twilio webhooks find their call: by the callId
+ * embedded in every callback URL, falling back to the CallSid index, with
+ * two calls to the same number kept apart and a callback that arrives
+ * before Twilio's makeCall response still linking the SID. A call canceled
+ * before that response is hung up as soon as it arrives. The Twilio client
+ * is replaced with one that hands out sequential call SIDs.
+ */
+
+const assert = require('assert');
+const SimpleCallService = require('../utils/simple-call-service');
+const SimpleDialerService = require('../utils/simple-dialer-service');
+
+const keyRecord = { id: 'key_test', clientName: 'Call Service Test', isActive: true };
+
+// Build a dialer whose Twilio stand-in runs `beforeAnswer` before makeCall
+// resolves, and records the SIDs it is asked to end
+function createDialer(beforeAnswer = () => {}) {
+  const apiKeyService = { incrementUsage: () => {} };
+  const endedSids = [];
+  let placed = 0;
+  const twilioService = {
+    isReady: () => true,
+    makeCall: async callData => {
+      const twilioSid = `CA${++placed}`;
+      beforeAnswer(callData, twilioSid);
+      return { twilioSid, status: 'queued', callerId: '+15555550000', callerIdType: 'phone_number' };
+    },
+    endCall: async twilioSid => {
+      endedSids.push(twilioSid);
+      return { success: true, sid: twilioSid, status: 'completed' };
+    }
+  };
+
+  const callService = new SimpleCallService({ type: 'memory' });
+  const dialerService = new SimpleDialerService(apiKeyService, callService, twilioService);
+  return { callService, dialerService, endedSids };
+}
+
+const callData = {
+  phoneNumber: '+15555550100',
+  customMessage: 'Where were you born?',
+  apiKeyInfo: keyRecord
+};
+
+// Let the stand-in Twilio promises settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+// Each test returns true on success
+const tests = {
+  async keepsCallsToSameNumberApart() {
+    const { callService, dialerService } = createDialer();
+    const first = dialerService.placeCall(callData);
+    const second = dialerService.placeCall({ ...callData, customMessage: 'What was your first job?' });
+    await settle();
+
+    // By callId, whatever SID the callback carries...
+    assert.strictEqual(callService.resolveWebhookCall(first.id, 'CA2').id, first.id);
+    assert.strictEqual(callService.resolveWebhookCall(second.id, 'CA1').id, second.id);
+
+    // ...and by CallSid when there is no callId
+    assert.strictEqual(callService.resolveWebhookCall(undefined, 'CA1').customMessage, 'Where were you born?');
+    assert.strictEqual(callService.resolveWebhookCall(undefined, 'CA2').customMessage, 'What was your first job?');
+    assert.strictEqual(callService.resolveWebhookCall(undefined, 'CA_UNKNOWN'), null);
+    assert.strictEqual(callService.resolveWebhookCall('call_unknown'), null);
+    return true;
+  },
+
+  async linksSidFromEarlyCallback() {
+    // The status callback for the call arrives before makeCall resolves
+    let earlyCall = null;
+    const { callService, dialerService } = createDialer((placedCall, twilioSid) => {
+      earlyCall = callService.resolveWebhookCall(placedCall.callId, twilioSid);
+      callService.updateCallStatus(earlyCall.id, 'ringing');
+    });
+
+    const call = dialerService.placeCall(callData);
+    assert.strictEqual(earlyCall.id, call.id);
+    assert.strictEqual(callService.getCallByTwilioSid('CA1').id, call.id);
+
+    // The late makeCall response keeps the SID and doesn't move the call back
+    await settle();
+    assert.strictEqual(call.twilioSid, 'CA1');
+    assert.strictEqual(call.status, 'ringing');
+    assert.strictEqual(call.metadata.callerId, '+15555550000');
+    return true;
+  },
+
+  async hangsUpCallCanceledWhileDialing() {
+    // The client cancels before Twilio has answered with a SID
+    const { callService, dialerService, endedSids } = createDialer(placedCall => {
+      callService.updateCallStatus(placedCall.callId, 'canceled_by_client');
+    });
+
+    const call = dialerService.placeCall(callData);
+    await settle();
+
+    // The SID is linked so its callbacks still land, and the call is ended
+    assert.deepStrictEqual(endedSids, ['CA1']);
+    assert.strictEqual(callService.resolveWebhookCall(undefined, 'CA1').id, call.id);
+    assert.strictEqual(call.status, 'canceled_by_client');
+    return true;
+  }
+};
+
+// Main test execution
+async function runCallServiceTests() {
+  console.log('🚀 Starting Call Service Tests\n');
+
+  const results = {};
+  for (const [name, test] of Object.entries(tests)) {
+    try {
+      results[name] = await test();
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      results[name] = false;
+    }
+  }
+
+  console.log('\n📊 Test Results Summary');
+  console.log('=======================');
+  Object.entries(results).forEach(([test, result]) => {
+    console.log(`${test}: ${result ? '✅ PASS' : '❌ FAIL'}`);
+  });
+
+  const allPassed = Object.values(results).every(Boolean);
+  console.log(`\n🎯 Overall Result: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runCallServiceTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = {
+  runCallServiceTests
+};
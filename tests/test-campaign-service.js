@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+
+/**
+ * 🧪 Campaign Service Test
+ *
+ * This script tests call campaigns without Twilio: reading a spreadsheet
+ * CSV, dialing at the campaign's pace, waiting when the key is over quota,
+ * pausing and resuming, and following each call to a final status. The
+ * dialer is a stand-in that creates call records without dialing them.
+ */
+
+const assert = require('assert');
+const SimpleCallService = require('../utils/simple-call-service');
+const SimpleCampaignService = require('../utils/simple-campaign-service');
+
+const keyRecord = { id: 'key_test', clientName: 'Campaign Test', isActive: true };
+
+const START = new Date('2026-10-19T15:00:00Z');
+const secondsLater = seconds => new Date(START.getTime() + seconds * 1000);
+
+// Build a campaign service whose key allows `quota` more calls
+function createCampaignService({ quota = Infinity } = {}) {
+  const placedCalls = [];
+  const callService = new SimpleCallService({ type: 'memory' });
+  const apiKeyService = {
+    getApiKey: () => keyRecord,
+    checkRateLimits: () => placedCalls.length < quota
+      ? { allowed: true }
+      : { allowed: false, retryAfter: 600, message: 'Hourly call limit reached' }
+  };
+  const dialerService = {
+    placeCall: callData => {
+      placedCalls.push(callData);
+      return callService.createCall(callData);
+    }
+  };
+
+  const campaignService = new SimpleCampaignService(apiKeyService, dialerService, callService, { type: 'memory', intervalSeconds: 5 });
+  return { callService, campaignService, placedCalls };
+}
+
+function createCampaign(campaignService, count, callsPerMinute = 12) {
+  const calls = Array.from({ length: count }, (_, index) => ({
+    phoneNumber: `+1555555010${index}`,
+    questions: ['Where were you born?'],
+    storytellerId: `storyteller_${index}`
+  }));
+  return campaignService.createCampaign({ name: 'Fall stories', calls, callsPerMinute, requireConsent: true }, keyRecord);
+}
+
+// Each test returns true on success
+const tests = {
+  async readsSpreadsheetCsv() {
+    const { campaignService } = createCampaignService();
+    const csv = [
+      'Phone Number,Storyteller ID,Question 1,Question 2',
+      '+15555550100,st_1,"Where were you born?","What was your first job, and did you like it?"',
+      '',
+      '+15555550101,st_2,"Who taught you to say ""thank you""?",'
+    ].join('\r\n');
+
+    const { calls, errors } = campaignService.parseCsv(csv);
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(calls.length, 2);
+    assert.deepStrictEqual(calls[0].questions, ['Where were you born?', 'What was your first job, and did you like it?']);
+    assert.deepStrictEqual(calls[1].questions, ['Who taught you to say "thank you"?']);
+    assert.strictEqual(calls[1].storytellerId, 'st_2');
+
+    assert.deepStrictEqual(campaignService.parseCsv('name,notes\nGrandma,hi').errors, [
+      'CSV needs a "phoneNumber" column',
+      'CSV needs at least one "question" column'
+    ]);
+    assert.deepStrictEqual(campaignService.validateCampaign({ calls: [{ phoneNumber: '+15555550100', questions: [] }], callsPerMinute: 0 }), [
+      'calls[0]: questions must be a list of 1-10 non-empty strings',
+      'callsPerMinute must be a whole number from 1 to 60'
+    ]);
+
+    // Calls are checked like POST /call; a shared setting's problem is reported once
+    assert.deepStrictEqual(campaignService.validateCampaign({
+      calls: [{ phoneNumber: '+15555550100', customMessage: 'Hi?' }, { phoneNumber: '+15555550101', questions: ['<emphasis>Hi?'] }],
+      longStory: true
+    }), [
+      'calls[1]: questions[0]: <emphasis> is never closed with </emphasis>'
+    ]);
+    assert.deepStrictEqual(campaignService.validateCampaign({
+      calls: [{ phoneNumber: '+15555550100', customMessage: 'Hi?' }, { phoneNumber: '+15555550101', customMessage: 'Hello?' }],
+      voicemailMessage: ''
+    }), [
+      'voicemailMessage must be a non-empty string of at most 500 characters'
+    ]);
+
+    // Every call can be held for a heads-up text
+    assert.deepStrictEqual(campaignService.validateCampaign({ calls: [{ phoneNumber: '+15555550100', customMessage: 'Hi?' }], headsUp: { leadMinutes: 5 } }), []);
+    assert.deepStrictEqual(campaignService.validateCampaign({ calls: [{ phoneNumber: '+15555550100', customMessage: 'Hi?' }], headsUp: 'yes' }), [
+      'calls[0]: headsUp must be true, false or an object with leadMinutes'
+    ]);
+    return true;
+  },
+
+  async dialsAtCampaignPace() {
+    const { campaignService, placedCalls } = createCampaignService();
+    const campaign = createCampaign(campaignService, 6);
+
+    // 12 calls a minute is one every 5 seconds
+    campaignService.tick(START);
+    assert.strictEqual(placedCalls.length, 1);
+    campaignService.tick(secondsLater(3));
+    assert.strictEqual(placedCalls.length, 1);
+    campaignService.tick(secondsLater(5));
+    assert.strictEqual(placedCalls.length, 2);
+
+    assert.strictEqual(placedCalls[0].campaignId, campaign.id);
+    assert.strictEqual(placedCalls[0].requireConsent, true);
+    assert.strictEqual(placedCalls[0].interactive, true);
+    assert.strictEqual(placedCalls[1].storytellerId, 'storyteller_1');
+    assert.deepStrictEqual(campaign.progress, { total: 6, queued: 4, dialing: 2, completed: 0, failed: 0, canceled: 0 });
+
+    // A long gap (downtime) only catches up one tick's worth of calls
+    campaignService.tick(secondsLater(600));
+    assert.strictEqual(placedCalls.length, 4);
+    return true;
+  },
+
+  async waitsWhenOverQuota() {
+    const { campaignService, placedCalls } = createCampaignService({ quota: 1 });
+    const campaign = createCampaign(campaignService, 3, 60);
+
+    campaignService.tick(START);
+    campaignService.tick(secondsLater(1));
+    assert.strictEqual(placedCalls.length, 1);
+    assert.strictEqual(campaign.lastError, 'Hourly call limit reached');
+    assert.strictEqual(campaign.nextDialAt, secondsLater(601).toISOString());
+
+    campaignService.tick(secondsLater(300));
+    assert.strictEqual(placedCalls.length, 1);
+    return true;
+  },
+
+  async pausesAndResumes() {
+    const { campaignService, placedCalls } = createCampaignService();
+    const campaign = createCampaign(campaignService, 3);
+
+    campaignService.tick(START);
+    campaignService.updateCampaign(campaign.id, { status: 'paused' });
+    campaignService.tick(secondsLater(30));
+    assert.strictEqual(placedCalls.length, 1);
+
+    campaignService.updateCampaign(campaign.id, { status: 'active', callsPerMinute: 30 });
+    campaignService.tick(new Date());
+    assert.strictEqual(placedCalls.length, 2);
+    assert.strictEqual(campaign.callsPerMinute, 30);
+
+    assert.throws(() => campaignService.updateCampaign(campaign.id, { status: 'completed' }), /status can only be changed/);
+    campaignService.cancelCampaign(campaign.id);
+    assert.deepStrictEqual(campaign.calls.map(call => call.status), ['dialing', 'dialing', 'canceled']);
+    assert.throws(() => campaignService.cancelCampaign(campaign.id), /already canceled/);
+    return true;
+  },
+
+  async followsCallsToFinalStatus() {
+    const { callService, campaignService } = createCampaignService();
+    const campaign = createCampaign(campaignService, 3, 60);
+    [0, 1, 2].forEach(seconds => campaignService.tick(secondsLater(seconds)));
+
+    const [answered, unanswered, retried] = campaign.calls.map(call => call.callId);
+    callService.updateCallStatus(answered, 'completed', { metadata: { finalOutcome: 'successful' } });
+    callService.updateCallStatus(unanswered, 'no-answer', { metadata: { callOutcome: 'no_answer' } });
+    callService.updateCallStatus(retried, 'busy', { metadata: { callOutcome: 'line_busy' } });
+    callService.updateCall(retried, { retry: { status: 'scheduled', nextRetryAt: secondsLater(900).toISOString() } });
+
+    campaignService.getCampaign(campaign.id);
+    assert.deepStrictEqual(campaign.calls.map(call => [call.status, call.outcome]), [
+      ['completed', 'successful'],
+      ['failed', 'no_answer'],
+      ['dialing', null]
+    ]);
+    assert.strictEqual(campaign.status, 'active');
+
+    // The retry answers, which settles the last call and the campaign
+    const retryCall = callService.createCall({ phoneNumber: '+15555550102', customMessage: 'Where were you born?', originalCallId: retried, attemptNumber: 2, apiKeyInfo: keyRecord });
+    callService.updateCall(retried, { retry: { status: 'retried', retryCallId: retryCall.id }, retryCallIds: [retryCall.id] });
+    callService.updateCallStatus(retryCall.id, 'completed', { metadata: { finalOutcome: 'successful' } });
+
+    campaignService.getCampaign(campaign.id);
+    assert.strictEqual(campaign.calls[2].status, 'completed');
+    assert.strictEqual(campaign.calls[2].attempts, 2);
+    assert.strictEqual(campaign.status, 'completed');
+    assert.deepStrictEqual(campaign.progress, { total: 3, queued: 0, dialing: 0, completed: 2, failed: 1, canceled: 0 });
+    return true;
+  },
+
+  async waitsForRecordingsToFinalize() {
+    const { callService, campaignService } = createCampaignService();
+    const campaign = createCampaign(campaignService, 1);
+    campaignService.tick(START);
+
+    // The call hangs up before its answer is finalized, which may schedule a retry
+    const callId = campaign.calls[0].callId;
+    callService.addRecordingSegment(callId, { recordingSid: 'RE1', questionIndex: 0, status: 'received' });
+    callService.updateCallStatus(callId, 'completed');
+    campaignService.getCampaign(campaign.id);
+    assert.strictEqual(campaign.calls[0].status, 'dialing');
+
+    // The answer was silent: finalizing schedules a retry, so the call is still going
+    callService.updateCall(callId, {
+      recordingsFinalizedAt: new Date().toISOString(),
+      retry: { status: 'scheduled', nextRetryAt: secondsLater(900).toISOString() }
+    });
+    campaignService.getCampaign(campaign.id);
+    assert.strictEqual(campaign.calls[0].status, 'dialing');
+    assert.strictEqual(campaign.status, 'active');
+
+    // Without a retry, a finalized call is done
+    callService.updateCall(callId, { retry: null });
+    campaignService.getCampaign(campaign.id);
+    assert.strictEqual(campaign.calls[0].status, 'completed');
+    assert.strictEqual(campaign.status, 'completed');
+    return true;
+  }
+};
+
+// Main test execution
+async function runCampaignTests() {
+  console.log('🚀 Starting Campaign Service Tests\n');
+
+  const results = {};
+  for (const [name, test] of Object.entries(tests)) {
+    try {
+      results[name] = await test();
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      results[name] = false;
+    }
+  }
+
+  console.log('\n📊 Test Results Summary');
+  console.log('=======================');
+  Object.entries(results).forEach(([test, result]) => {
+    console.log(`${test}: ${result ? '✅ PASS' : '❌ FAIL'}`);
+  });
+
+  const allPassed = Object.values(results).every(Boolean);
+  console.log(`\n🎯 Overall Result: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runCampaignTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = {
+  runCampaignTests
+};
@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+
+/**
+ * 🧪 Call Reconciler Test
+ *
+ * This script tests how calls whose Twilio callbacks never arrived are
+ * repaired: finding stuck calls, applying the status Twilio reports,
+ * recovering missed recordings and retrying lost downloads. Twilio is
+ * replaced with a stand-in that reports canned call statuses and
+ * recordings; downloads and outbound webhooks are stand-ins too.
+ */
+
+const assert = require('assert');
+const SimpleCallService = require('../utils/simple-call-service');
+const SimpleRecordingPipeline = require('../utils/simple-recording-pipeline');
+const SimpleReconcilerService = require('../utils/simple-reconciler-service');
+
+const keyRecord = { id: 'key_test', clientName: 'Reconciler Test' };
+
+// Well past the default 30 minute threshold for calls created now
+const later = () => new Date(Date.now() + 60 * 60 * 1000);
+
+// Build a reconciler around an in-memory call store and a stand-in Twilio
+function createReconciler() {
+  const twilioCalls = {};
+  const twilioRecordings = {};
+  const sentWebhooks = [];
+  const outcomes = [];
+  const scheduledDownloads = [];
+
+  const callService = new SimpleCallService({ type: 'memory' });
+  const recordingService = {
+    downloadRecording: async (recordingUrl, callId, recordingSid) => ({ filename: `ts_${callId}_${recordingSid}.mp3`, size: 1024 })
+  };
+  const webhookService = {
+    buildCallPayload: call => ({ callId: call.id }),
+    send: async (event, payload) => {
+      sentWebhooks.push({ event, payload });
+      return { sent: true };
+    }
+  };
+  const retryService = { handleOutcome: (callId, outcome) => outcomes.push({ callId, outcome }) };
+  const twilioService = {
+    isReady: () => true,
+    getCallStatus: async sid => ({ sid, status: twilioCalls[sid], duration: '42' }),
+    getCallRecordings: async sid => twilioRecordings[sid] || [],
+    getConferenceRecordings: async sid => twilioRecordings[sid] || []
+  };
+
+  // Downloads are triggered by hand so the test controls their order
+  const recordingPipeline = new SimpleRecordingPipeline(callService, recordingService, webhookService, retryService);
+  recordingPipeline.scheduleDownload = (callId, recordingSid) => scheduledDownloads.push(recordingSid);
+
+  const reconcilerService = new SimpleReconcilerService(callService, twilioService, recordingPipeline);
+  return { callService, recordingPipeline, reconcilerService, twilioCalls, twilioRecordings, sentWebhooks, outcomes, scheduledDownloads };
+}
+
+// An interview Twilio accepted, as the dialer leaves it
+function placeCall(callService, twilioSid) {
+  const call = callService.createCall({
+    phoneNumber: '+15555550100',
+    customMessage: 'Where were you born?',
+    questions: ['Where were you born?', 'What was your first job?'],
+    apiKeyInfo: keyRecord
+  });
+  callService.updateCallStatus(call.id, 'twilio_initiated', { twilioSid });
+  return call;
+}
+
+// A <Record> the call handed to Twilio, as the voice routes note it
+function askedAt(callService, call, questionIndex, servedAt, part = 1) {
+  callService.addRecordPrompt(call.id, { questionIndex, part, servedAt });
+}
+
+function recording(sid, startTime, source = 'RecordVerb') {
+  return { sid, duration: '30', startTime, source, uri: `/2010-04-01/Accounts/AC1/Recordings/${sid}.json` };
+}
+
+// Each test returns true on success
+const tests = {
+  async findsOnlyStuckCalls() {
+    const { callService, recordingPipeline, reconcilerService } = createReconciler();
+    const stuck = placeCall(callService, 'CA1');
+    const finished = placeCall(callService, 'CA2');
+    recordingPipeline.receiveSegment(finished.id, { questionIndex: 0, recordingSid: 'RE1', recordingUrl: 'https://example.com/RE1', recordingDuration: '30' });
+    await recordingPipeline.downloadSegment(finished.id, 'RE1');
+    await recordingPipeline.completeInterview(finished.id);
+
+    assert.deepStrictEqual(reconcilerService.findStuckCalls().map(call => call.id), []);
+    assert.deepStrictEqual(reconcilerService.findStuckCalls(30, later()).map(call => call.id), [stuck.id]);
+    return true;
+  },
+
+  async appliesMissedStatus() {
+    const { callService, reconcilerService, twilioCalls, outcomes } = createReconciler();
+    const call = placeCall(callService, 'CA1');
+    twilioCalls.CA1 = 'no-answer';
+
+    const [entry] = await reconcilerService.reconcile({ now: later() });
+    assert.strictEqual(entry.action, 'repaired');
+    assert.strictEqual(entry.previousStatus, 'twilio_initiated');
+    assert.strictEqual(call.status, 'no-answer');
+    assert.strictEqual(call.duration, '42');
+    assert.ok(call.callEndedAt && call.lastReconciledAt);
+    assert.deepStrictEqual(outcomes, [{ callId: call.id, outcome: 'no_answer' }]);
+    return true;
+  },
+
+  async recoversMissedRecordings() {
+    const { callService, recordingPipeline, reconcilerService, twilioCalls, twilioRecordings, sentWebhooks, scheduledDownloads } = createReconciler();
+    const call = placeCall(callService, 'CA1');
+    askedAt(callService, call, 0, '2026-10-19T15:00:40Z');
+    recordingPipeline.receiveSegment(call.id, { questionIndex: 0, recordingSid: 'RE1', recordingUrl: 'https://example.com/RE1', recordingDuration: '30' });
+    await recordingPipeline.downloadSegment(call.id, 'RE1');
+    askedAt(callService, call, 1, '2026-10-19T15:02:40Z');
+
+    // The second answer's callback never came; the whole-call recording is not an answer
+    twilioCalls.CA1 = 'completed';
+    twilioRecordings.CA1 = [
+      recording('RE2', '2026-10-19T15:03:00Z'),
+      recording('RE_CALL', '2026-10-19T15:00:00Z', 'OutboundAPI'),
+      recording('RE1', '2026-10-19T15:01:00Z')
+    ];
+
+    const [entry] = await reconcilerService.reconcile({ now: later() });
+    assert.deepStrictEqual(entry.recoveredRecordings, ['RE2']);
+    const recovered = call.segments.find(segment => segment.recordingSid === 'RE2');
+    assert.strictEqual(recovered.questionIndex, 1);
+    assert.strictEqual(recovered.recordingUrl, 'https://api.twilio.com/2010-04-01/Accounts/AC1/Recordings/RE2');
+    assert.strictEqual(recovered.recoveredByReconciler, true);
+    assert.deepStrictEqual(scheduledDownloads, ['RE1', 'RE2']);
+
+    // The call finalizes once the recovered answer is downloaded
+    assert.strictEqual(sentWebhooks.length, 0);
+    await recordingPipeline.downloadSegment(call.id, 'RE2');
+    assert.strictEqual(call.status, 'completed');
+    assert.strictEqual(sentWebhooks[0].payload.segments.length, 2);
+    return true;
+  },
+
+  async matchesTakesByStartTime() {
+    const { callService, recordingPipeline, reconcilerService, twilioCalls, twilioRecordings } = createReconciler();
+    const call = placeCall(callService, 'CA1');
+    callService.updateCall(call.id, { reviewAnswers: true, longStory: true });
+
+    // Question 1 was re-recorded and its second take ran into a second part;
+    // none of those callbacks came. A take that started before any <Record>
+    // can't be placed.
+    askedAt(callService, call, 0, '2026-10-19T15:00:40Z');
+    recordingPipeline.receiveSegment(call.id, { questionIndex: 0, recordingSid: 'RE1', recordingUrl: 'https://example.com/RE1', recordingDuration: '30', review: true });
+    recordingPipeline.supersedeSegment(call.id, 'RE1');
+    askedAt(callService, call, 0, '2026-10-19T15:02:00Z');
+    askedAt(callService, call, 0, '2026-10-19T15:07:05Z', 2);
+    twilioCalls.CA1 = 'completed';
+    twilioRecordings.CA1 = [
+      recording('RE_EARLY', '2026-10-19T15:00:10Z'),
+      recording('RE1', '2026-10-19T15:01:00Z'),
+      recording('RE2', '2026-10-19T15:02:10Z'),
+      recording('RE3', '2026-10-19T15:07:10Z')
+    ];
+
+    const [entry] = await reconcilerService.reconcile({ now: later() });
+    assert.deepStrictEqual(entry.recoveredRecordings, ['RE2', 'RE3']);
+    const [take, part] = ['RE2', 'RE3'].map(sid => call.segments.find(segment => segment.recordingSid === sid));
+    assert.deepStrictEqual([take.questionIndex, take.take, take.part], [0, 2, 1]);
+    assert.deepStrictEqual([part.questionIndex, part.take, part.part, part.previousPartSid], [0, 2, 2, 'RE2']);
+    return true;
+  },
+
+  async recoversConferenceRecording() {
+    const { callService, recordingPipeline, reconcilerService, twilioCalls, twilioRecordings, scheduledDownloads } = createReconciler();
+    const call = callService.createCall({
+      phoneNumber: '+15555550100',
+      customMessage: 'How did you and Grandpa meet?',
+      conference: { familyMemberPhoneNumber: '+15555550199' },
+      apiKeyInfo: keyRecord
+    });
+    callService.updateCallStatus(call.id, 'twilio_initiated', { twilioSid: 'CA1' });
+    callService.updateCall(call.id, { conference: { ...call.conference, conferenceSid: 'CF1' } });
+
+    // The status webhook came, the conference recording callback never did
+    await recordingPipeline.applyCallStatus(call.id, 'completed');
+    twilioCalls.CA1 = 'completed';
+    twilioRecordings.CF1 = [{ ...recording('RE_CONF', '2026-10-19T15:01:00Z', 'Conference'), duration: '900' }];
+    assert.deepStrictEqual(reconcilerService.findStuckCalls(30, later()).map(stuck => stuck.id), [call.id]);
+
+    const [entry] = await reconcilerService.reconcile({ now: later() });
+    assert.deepStrictEqual(entry.recoveredRecordings, ['RE_CONF']);
+    const [segment] = call.segments;
+    assert.strictEqual(segment.questionIndex, 0);
+    assert.notStrictEqual(segment.outcome, 'max_length_reached');
+    assert.deepStrictEqual(scheduledDownloads, ['RE_CONF']);
+
+    // A conference call that really recorded nothing is only checked once
+    const empty = callService.createCall({ phoneNumber: '+15555550100', customMessage: 'Hi?', conference: { familyMemberPhoneNumber: '+15555550199' }, apiKeyInfo: keyRecord });
+    callService.updateCallStatus(empty.id, 'twilio_initiated', { twilioSid: 'CA2' });
+    await recordingPipeline.applyCallStatus(empty.id, 'completed');
+    twilioCalls.CA2 = 'completed';
+    await reconcilerService.reconcile({ now: later() });
+    assert.ok(!reconcilerService.findStuckCalls(30, new Date(Date.now() + 3 * 60 * 60 * 1000)).some(stuck => stuck.id === empty.id));
+    return true;
+  },
+
+  async retriesLostDownloads() {
+    const { callService, recordingPipeline, reconcilerService, twilioCalls, sentWebhooks, outcomes } = createReconciler();
+    const call = placeCall(callService, 'CA1');
+    recordingPipeline.receiveSegment(call.id, { questionIndex: 0, recordingSid: 'RE1', recordingUrl: 'https://example.com/RE1', recordingDuration: '30' });
+    recordingPipeline.applyCallStatus(call.id, 'completed');
+    outcomes.length = 0;
+    twilioCalls.CA1 = 'completed';
+
+    const [entry] = await reconcilerService.reconcile({ now: later() });
+    assert.deepStrictEqual(entry.retriedDownloads, ['RE1']);
+    assert.strictEqual(call.segments[0].status, 'downloaded');
+    assert.strictEqual(sentWebhooks[0].event, 'recording-complete');
+    assert.deepStrictEqual(outcomes, [{ callId: call.id, outcome: 'successful' }]);
+    return true;
+  },
+
+  async leavesActiveCallsAndMarksUndialed() {
+    const { callService, reconcilerService, twilioCalls } = createReconciler();
+    const talking = placeCall(callService, 'CA1');
+    twilioCalls.CA1 = 'in-progress';
+    const undialed = callService.createCall({ phoneNumber: '+15555550100', customMessage: 'Hi?', apiKeyInfo: keyRecord });
+
+    const report = await reconcilerService.reconcile({ now: later() });
+    assert.deepStrictEqual(report.map(entry => entry.action), ['still_active', 'never_dialed']);
+    assert.strictEqual(talking.status, 'twilio_initiated');
+    assert.strictEqual(undialed.status, 'twilio_failed');
+    return true;
+  }
+};
+
+// Main test execution
+async function runReconcilerTests() {
+  console.log('🚀 Starting Call Reconciler Tests\n');
+
+  const results = {};
+  for (const [name, test] of Object.entries(tests)) {
+    try {
+      results[name] = await test();
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      results[name] = false;
+    }
+  }
+
+  console.log('\n📊 Test Results Summary');
+  console.log('=======================');
+  Object.entries(results).forEach(([test, result]) => {
+    console.log(`${test}: ${result ? '✅ PASS' : '❌ FAIL'}`);
+  });
+
+  const allPassed = Object.values(results).every(Boolean);
+  console.log(`\n🎯 Overall Result: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runReconcilerTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = {
+  runReconcilerTests
+};
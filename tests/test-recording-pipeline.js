@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+
+/**
+ * 🧪 Recording Pipeline Test
+ *
+ * This script tests how answered questions become recording segments
+ * without Twilio: segment storage, waiting for every download before
+ * finalizing, long stories chained as parts, and the single
+ * recording-complete webhook that describes all segments. Downloads and
+ * outbound webhooks are replaced with stand-ins.
+ */
+
+const assert = require('assert');
+const SimpleCallService = require('../utils/simple-call-service');
+const SimpleRecordingPipeline = require('../utils/simple-recording-pipeline');
+
+const keyRecord = { id: 'key_test', clientName: 'Pipeline Test' };
+
+// Build a pipeline whose downloads succeed unless the URL says "broken"
+function createPipeline() {
+  const sentWebhooks = [];
+  const callService = new SimpleCallService({ type: 'memory' });
+  const recordingService = {
+    downloadRecording: async (recordingUrl, callId, recordingSid) => {
+      if (recordingUrl.includes('broken')) {
+        throw new Error('Failed to download recording: 404');
+      }
+      return { filename: `ts_${callId}_${recordingSid}.mp3`, size: 1024, recordingUrl, recordingSid, callId };
+    }
+  };
+  const webhookService = {
+    buildCallPayload: call => ({ callId: call.id }),
+    send: async (event, payload) => {
+      sentWebhooks.push({ event, payload });
+      return { sent: true };
+    }
+  };
+  const retryService = { handleOutcome: () => null };
+
+  // Downloads are triggered by hand so the test controls their order
+  const recordingPipeline = new SimpleRecordingPipeline(callService, recordingService, webhookService, retryService);
+  recordingPipeline.scheduleDownload = () => {};
+
+  return { callService, recordingPipeline, sentWebhooks };
+}
+
+function createInterview(callService) {
+  return callService.createCall({
+    phoneNumber: '+15555550100',
+    customMessage: 'Where were you born?',
+    questions: ['Where were you born?', 'What was your first job?'],
+    apiKeyInfo: keyRecord
+  });
+}
+
+// Each test returns true on success
+const tests = {
+  async catchesFailedBackgroundDownload() {
+    const { callService, recordingPipeline } = createPipeline();
+    const call = callService.createCall({ phoneNumber: '+15555550100', customMessage: 'Where were you born?', apiKeyInfo: keyRecord });
+
+    // Downloads run on a timer; a failure while finalizing must not escape it
+    const downloadingPipeline = new SimpleRecordingPipeline(callService, recordingPipeline.recordingService, {
+      buildCallPayload: () => ({}),
+      send: async () => {
+        throw new Error('backend exploded');
+      }
+    }, recordingPipeline.retryService, null, { downloadDelayMs: 0 });
+
+    const unhandled = [];
+    const onUnhandled = error => unhandled.push(error);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+      downloadingPipeline.receiveSegment(call.id, { questionIndex: 0, recordingSid: 'RE1', recordingUrl: 'https://r/1', recordingDuration: '40' });
+      await downloadingPipeline.completeInterview(call.id);
+      await new Promise(resolve => setTimeout(resolve, 20));
+    } finally {
+      process.removeListener('unhandledRejection', onUnhandled);
+    }
+
+    assert.deepStrictEqual(unhandled, []);
+    assert.strictEqual(callService.getCall(call.id).segments[0].status, 'downloaded');
+    return true;
+  },
+
+  async storesEachAnswerAsSegment() {
+    const { callService, recordingPipeline } = createPipeline();
+    const call = createInterview(callService);
+
+    recordingPipeline.receiveSegment(call.id, { questionIndex: 1, recordingSid: 'RE2', recordingUrl: 'https://r/2', recordingDuration: '2' });
+
+    assert.strictEqual(call.segments.length, 1);
+    assert.strictEqual(call.segments[0].question, 'What was your first job?');
+    assert.strictEqual(call.segments[0].outcome, 'too_short');
+    assert.strictEqual(call.status, 'recording_received');
+    return true;
+  },
+
+  async waitsForInterviewAndDownloads() {
+    const { callService, recordingPipeline, sentWebhooks } = createPipeline();
+    const call = createInterview(callService);
+
+    recordingPipeline.receiveSegment(call.id, { questionIndex: 0, recordingSid: 'RE1', recordingUrl: 'https://r/1', recordingDuration: '40' });
+    await recordingPipeline.downloadSegment(call.id, 'RE1');
+    assert.strictEqual(sentWebhooks.length, 0, 'second question still to come');
+
+    recordingPipeline.receiveSegment(call.id, { questionIndex: 1, recordingSid: 'RE2', recordingUrl: 'https://r/2', recordingDuration: '55' });
+    await recordingPipeline.completeInterview(call.id);
+    assert.strictEqual(sentWebhooks.length, 0, 'second download still pending');
+
+    await recordingPipeline.downloadSegment(call.id, 'RE2');
+    assert.strictEqual(sentWebhooks.length, 1);
+    assert.strictEqual(call.status, 'completed');
+    assert.strictEqual(call.recording.recordingSid, 'RE1');
+
+    const { event, payload } = sentWebhooks[0];
+    assert.strictEqual(event, 'recording-complete');
+    assert.strictEqual(payload.RecordingSid, 'RE1');
+    assert.deepStrictEqual(payload.segments.map(s => [s.questionIndex, s.question, s.RecordingSid, s.status]), [
+      [0, 'Where were you born?', 'RE1', 'downloaded'],
+      [1, 'What was your first job?', 'RE2', 'downloaded']
+    ]);
+    return true;
+  },
+
+  async finalizesWhenCallEndsEarly() {
+    const { callService, recordingPipeline, sentWebhooks } = createPipeline();
+    const call = createInterview(callService);
+
+    recordingPipeline.receiveSegment(call.id, { questionIndex: 0, recordingSid: 'RE1', recordingUrl: 'https://r/1', recordingDuration: '40' });
+    await recordingPipeline.downloadSegment(call.id, 'RE1');
+    await recordingPipeline.markCallEnded(call.id);
+    await recordingPipeline.markCallEnded(call.id);
+
+    assert.strictEqual(sentWebhooks.length, 1);
+    assert.strictEqual(sentWebhooks[0].payload.segments.length, 1);
+    return true;
+  },
+
+  async sendsOnlyAcceptedTakes() {
+    const { callService, recordingPipeline, sentWebhooks } = createPipeline();
+    const call = createInterview(callService);
+    const downloaded = [];
+    const download = recordingPipeline.downloadSegment.bind(recordingPipeline);
+    recordingPipeline.scheduleDownload = (callId, recordingSid) => downloaded.push(download(callId, recordingSid));
+
+    recordingPipeline.receiveSegment(call.id, { questionIndex: 0, recordingSid: 'RE1', recordingUrl: 'https://r/1', recordingDuration: '40', review: true });
+    recordingPipeline.supersedeSegment(call.id, 'RE1');
+    recordingPipeline.receiveSegment(call.id, { questionIndex: 0, recordingSid: 'RE1b', recordingUrl: 'https://r/1b', recordingDuration: '45', review: true });
+    recordingPipeline.acceptSegment(call.id, 'RE1b');
+
+    // Caller hangs up while reviewing the second answer: that take is kept
+    recordingPipeline.receiveSegment(call.id, { questionIndex: 1, recordingSid: 'RE2', recordingUrl: 'https://r/2', recordingDuration: '50', review: true });
+    recordingPipeline.markCallEnded(call.id);
+    await Promise.all(downloaded);
+
+    assert.strictEqual(downloaded.length, 2);
+    assert.deepStrictEqual(call.segments.map(s => [s.recordingSid, s.take, s.status]), [
+      ['RE1', 1, 'superseded'],
+      ['RE1b', 2, 'downloaded'],
+      ['RE2', 1, 'downloaded']
+    ]);
+    assert.strictEqual(sentWebhooks.length, 1);
+    assert.deepStrictEqual(sentWebhooks[0].payload.segments.map(s => s.RecordingSid), ['RE1b', 'RE2']);
+    return true;
+  },
+
+  async reportsFailedDownloadsInSegments() {
+    const { callService, recordingPipeline, sentWebhooks } = createPipeline();
+    const call = createInterview(callService);
+
+    recordingPipeline.receiveSegment(call.id, { questionIndex: 0, recordingSid: 'RE1', recordingUrl: 'https://r/broken', recordingDuration: '40' });
+    recordingPipeline.receiveSegment(call.id, { questionIndex: 1, recordingSid: 'RE2', recordingUrl: 'https://r/2', recordingDuration: '40' });
+    await recordingPipeline.completeInterview(call.id);
+    await recordingPipeline.downloadSegment(call.id, 'RE1');
+    await recordingPipeline.downloadSegment(call.id, 'RE2');
+
+    assert.strictEqual(sentWebhooks.length, 1);
+    assert.strictEqual(sentWebhooks[0].payload.RecordingSid, 'RE2');
+    assert.deepStrictEqual(sentWebhooks[0].payload.segments.map(s => s.status), ['download_failed', 'downloaded']);
+    return true;
+  },
+
+  async chainsLongStoryParts() {
+    const { callService, recordingPipeline, sentWebhooks } = createPipeline();
+    const call = callService.createCall({ phoneNumber: '+15555550100', customMessage: 'Tell me about the farm.', longStory: true, apiKeyInfo: keyRecord });
+
+    recordingPipeline.receiveSegment(call.id, { questionIndex: 0, recordingSid: 'RE1', recordingUrl: 'https://r/1', recordingDuration: '300' });
+    recordingPipeline.receiveSegment(call.id, { questionIndex: 0, recordingSid: 'RE2', recordingUrl: 'https://r/2', recordingDuration: '299', part: 2 });
+    recordingPipeline.receiveSegment(call.id, { questionIndex: 0, recordingSid: 'RE3', recordingUrl: 'https://r/3', recordingDuration: '75', part: 3 });
+    await recordingPipeline.completeInterview(call.id);
+    for (const recordingSid of ['RE1', 'RE2', 'RE3']) {
+      await recordingPipeline.downloadSegment(call.id, recordingSid);
+    }
+
+    assert.deepStrictEqual(call.segments.map(s => [s.take, s.part, s.previousPartSid]), [[1, 1, null], [1, 2, 'RE1'], [1, 3, 'RE2']]);
+    assert.deepStrictEqual(sentWebhooks.map(webhook => webhook.event), ['recording-complete', 'story-complete']);
+
+    const story = sentWebhooks[1].payload;
+    assert.strictEqual(story.partCount, 3);
+    assert.strictEqual(story.totalDurationSeconds, 674);
+    assert.deepStrictEqual(story.parts.map(part => [part.part, part.RecordingSid]), [[1, 'RE1'], [2, 'RE2'], [3, 'RE3']]);
+    assert.strictEqual(call.metadata.finalOutcome, 'successful');
+    return true;
+  }
+};
+
+// Main test execution
+async function runPipelineTests() {
+  console.log('🚀 Starting Recording Pipeline Tests\n');
+
+  const results = {};
+  for (const [name, test] of Object.entries(tests)) {
+    try {
+      results[name] = await test();
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      results[name] = false;
+    }
+  }
+
+  console.log('\n📊 Test Results Summary');
+  console.log('=======================');
+  Object.entries(results).forEach(([test, result]) => {
+    console.log(`${test}: ${result ? '✅ PASS' : '❌ FAIL'}`);
+  });
+
+  const allPassed = Object.values(results).every(Boolean);
+  console.log(`\n🎯 Overall Result: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runPipelineTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = {
+  runPipelineTests
+};
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+/**
+ * 🧪 Call Retry Test
+ *
+ * This script tests automatic redials without Twilio: policy validation,
+ * key defaults vs per-call overrides, backoff timing and how attempts are
+ * chained back to the original call. Calls are kept in memory and the
+ * Twilio client is replaced with one that is never ready.
+ */
+
+const assert = require('assert');
+const SimpleCallService = require('../utils/simple-call-service');
+const SimpleDialerService = require('../utils/simple-dialer-service');
+const SimpleRetryService = require('../utils/simple-retry-service');
+const { validateRetryPolicy, resolveRetryPolicy } = require('../utils/simple-retry-policy');
+
+const MINUTE = 60 * 1000;
+
+// Build the retry pipeline around an in-memory call store
+function createRetryPipeline(keyRecord) {
+  const apiKeyService = {
+    getApiKey: () => keyRecord,
+    checkRateLimits: () => ({ allowed: true }),
+    incrementUsage: () => {}
+  };
+  const twilioService = { isReady: () => false };
+
+  const callService = new SimpleCallService({ type: 'memory' });
+  const dialerService = new SimpleDialerService(apiKeyService, callService, twilioService);
+  const retryService = new SimpleRetryService(apiKeyService, callService, dialerService);
+  return { callService, dialerService, retryService };
+}
+
+const keyRecord = {
+  id: 'key_test',
+  clientName: 'Retry Test',
+  isActive: true,
+  retryPolicy: { maxAttempts: 3, backoffMinutes: [10, 30] }
+};
+
+const callData = {
+  phoneNumber: '+15555550100',
+  customMessage: 'What was your first car?',
+  apiKeyInfo: keyRecord
+};
+
+// Each test returns true on success
+const tests = {
+  validatesPolicies() {
+    assert.deepStrictEqual(validateRetryPolicy({ maxAttempts: 2, backoffMinutes: 5, retryOn: ['no_answer'] }), []);
+    assert.deepStrictEqual(validateRetryPolicy(false), []);
+    assert.ok(validateRetryPolicy({ maxAttempts: 9 }).length > 0);
+    assert.ok(validateRetryPolicy({ retryOn: ['successful'] }).length > 0);
+    return true;
+  },
+
+  callOverridesKeyDefault() {
+    assert.strictEqual(resolveRetryPolicy(keyRecord, false), null);
+    assert.strictEqual(resolveRetryPolicy({ id: 'key_plain' }), null);
+
+    const resolved = resolveRetryPolicy(keyRecord, { retryOn: ['line_busy'] });
+    assert.strictEqual(resolved.maxAttempts, 3);
+    assert.deepStrictEqual(resolved.retryOn, ['line_busy']);
+    assert.deepStrictEqual(resolveRetryPolicy(keyRecord, resolved), resolved);
+    return true;
+  },
+
+  schedulesRetryWithBackoff() {
+    const { callService, dialerService, retryService } = createRetryPipeline(keyRecord);
+    const call = dialerService.placeCall(callData);
+    const endedAt = new Date('2026-10-19T15:00:00Z');
+
+    retryService.handleOutcome(call.id, 'no_answer', endedAt);
+    assert.strictEqual(call.retry.status, 'scheduled');
+    assert.strictEqual(call.retry.nextAttemptNumber, 2);
+    assert.strictEqual(call.retry.nextRetryAt, new Date(endedAt.getTime() + 10 * MINUTE).toISOString());
+
+    // A second outcome reported for the same call does not reschedule
+    retryService.handleOutcome(call.id, 'line_busy', endedAt);
+    assert.strictEqual(call.retry.reason, 'no_answer');
+
+    assert.strictEqual(callService.getCallsAwaitingRetry(new Date(endedAt.getTime() + 5 * MINUTE)).length, 0);
+    return true;
+  },
+
+  chainsAttemptsToOriginalCall() {
+    const { callService, dialerService, retryService } = createRetryPipeline(keyRecord);
+    const first = dialerService.placeCall(callData);
+    let now = new Date('2026-10-19T15:00:00Z');
+
+    retryService.handleOutcome(first.id, 'no_answer', now);
+    now = new Date(now.getTime() + 10 * MINUTE);
+    retryService.tick(now);
+
+    const second = callService.getCall(first.retry.retryCallId);
+    assert.strictEqual(second.attemptNumber, 2);
+    assert.strictEqual(second.originalCallId, first.id);
+    assert.strictEqual(second.previousCallId, first.id);
+
+    // The last backoff value repeats for the third attempt
+    retryService.handleOutcome(second.id, 'silent_recording', now);
+    assert.strictEqual(second.retry.nextRetryAt, new Date(now.getTime() + 30 * MINUTE).toISOString());
+    retryService.tick(new Date(now.getTime() + 30 * MINUTE));
+
+    const third = callService.getCall(second.retry.retryCallId);
+    assert.strictEqual(third.attemptNumber, 3);
+    assert.strictEqual(third.originalCallId, first.id);
+    assert.deepStrictEqual(first.retryCallIds, [second.id, third.id]);
+
+    // No attempts left after the third
+    retryService.handleOutcome(third.id, 'no_answer', now);
+    assert.strictEqual(third.retry.status, 'exhausted');
+
+    const attempts = callService.getCallAttempts(third.id);
+    assert.deepStrictEqual(attempts.map(attempt => attempt.attemptNumber), [1, 2, 3]);
+    return true;
+  },
+
+  callsBackOnRequestWithoutPolicy() {
+    const { callService, dialerService, retryService } = createRetryPipeline(keyRecord);
+    const call = dialerService.placeCall({ ...callData, retryPolicy: false });
+    const pressedAt = new Date('2026-10-19T15:00:00Z');
+
+    retryService.requestCallback(call.id, pressedAt);
+    assert.strictEqual(call.retry.reason, 'callback_requested');
+    assert.strictEqual(call.retry.nextRetryAt, new Date(pressedAt.getTime() + 60 * MINUTE).toISOString());
+
+    retryService.tick(new Date(pressedAt.getTime() + 60 * MINUTE));
+    const callback = callService.getCall(call.retry.retryCallId);
+    assert.strictEqual(callback.attemptNumber, 2);
+    assert.strictEqual(callback.retryPolicy, null);
+    return true;
+  },
+
+  redialsVoicemailWithSameMessage() {
+    const { callService, dialerService, retryService } = createRetryPipeline(keyRecord);
+    const call = dialerService.placeCall({ ...callData, machineDetection: true, voicemailMessage: 'Memoora here, we will call back.' });
+    const endedAt = new Date('2026-10-19T15:00:00Z');
+
+    retryService.handleOutcome(call.id, 'voicemail_left', endedAt);
+    retryService.tick(new Date(endedAt.getTime() + 10 * MINUTE));
+
+    const retryCall = callService.getCall(call.retry.retryCallId);
+    assert.strictEqual(retryCall.machineDetection, true);
+    assert.strictEqual(retryCall.voicemailMessage, 'Memoora here, we will call back.');
+    assert.strictEqual(dialerService.placeCall(callData).machineDetection, false);
+    return true;
+  },
+
+  dropsRetriesOfCanceledCalls() {
+    const { callService, dialerService, retryService } = createRetryPipeline(keyRecord);
+    const busyCall = dialerService.placeCall(callData);
+    const endedAt = new Date('2026-10-19T15:00:00Z');
+
+    retryService.handleOutcome(busyCall.id, 'line_busy', endedAt);
+    retryService.cancelPendingRetry(busyCall.id, 'canceled_by_client');
+    assert.strictEqual(busyCall.retry.status, 'canceled');
+    assert.strictEqual(callService.getCallsAwaitingRetry(new Date(endedAt.getTime() + 60 * MINUTE)).length, 0);
+
+    // The no-answer status that trails a cancel schedules nothing
+    const canceledCall = dialerService.placeCall(callData);
+    callService.updateCallStatus(canceledCall.id, 'canceled_by_client');
+    retryService.handleOutcome(canceledCall.id, 'no_answer', endedAt);
+    assert.strictEqual(canceledCall.retry, null);
+    return true;
+  },
+
+  ignoresOutcomesOutsidePolicy() {
+    const { dialerService, retryService } = createRetryPipeline(keyRecord);
+    const call = dialerService.placeCall({ ...callData, retryPolicy: { retryOn: ['line_busy'] } });
+
+    retryService.handleOutcome(call.id, 'successful_recording');
+    retryService.handleOutcome(call.id, 'no_answer');
+    assert.strictEqual(call.retry, null);
+    return true;
+  }
+};
+
+// Main test execution
+function runRetryTests() {
+  console.log('🚀 Starting Call Retry Tests\n');
+
+  const results = {};
+  for (const [name, test] of Object.entries(tests)) {
+    try {
+      results[name] = test();
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      results[name] = false;
+    }
+  }
+
+  console.log('\n📊 Test Results Summary');
+  console.log('=======================');
+  Object.entries(results).forEach(([test, result]) => {
+    console.log(`${test}: ${result ? '✅ PASS' : '❌ FAIL'}`);
+  });
+
+  const allPassed = Object.values(results).every(Boolean);
+  console.log(`\n🎯 Overall Result: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  process.exit(runRetryTests() ? 0 : 1);
+}
+
+module.exports = {
+  runRetryTests
+};
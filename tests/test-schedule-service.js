@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+
+/**
+ * 🧪 Call Scheduler Test
+ *
+ * This script tests schedule timing without Twilio: time zone and DST
+ * handling, calling windows and missed-run handling after downtime. The
+ * dialer and API key service are replaced with in-memory stand-ins.
+ */
+
+const assert = require('assert');
+const SimpleScheduleService = require('../utils/simple-schedule-service');
+
+// Weekday and wall-clock time of an instant in Chicago
+function getZonedDay(isoString) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/Chicago',
+    weekday: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(new Date(isoString));
+}
+
+const keyRecord = { id: 'key_test', clientName: 'Scheduler Test', isActive: true };
+
+// Build a scheduler whose dialer just records the calls it was asked to place
+function createScheduler() {
+  const placedCalls = [];
+  const apiKeyService = {
+    getApiKey: () => keyRecord,
+    checkRateLimits: () => ({ allowed: true })
+  };
+  const dialerService = {
+    placeCall: callData => {
+      placedCalls.push(callData);
+      return { id: `call_test_${placedCalls.length}` };
+    }
+  };
+
+  const scheduleService = new SimpleScheduleService(apiKeyService, dialerService, { type: 'memory' });
+  return { scheduleService, placedCalls };
+}
+
+const sundayAtFour = {
+  phoneNumber: '+15555550100',
+  customMessage: 'What was your first car?',
+  timeZone: 'America/Chicago',
+  frequency: 'weekly',
+  daysOfWeek: ['sunday'],
+  time: '16:00',
+  callingWindow: { start: '09:00', end: '20:00' }
+};
+
+// Each test returns true on success
+const tests = {
+  rejectsInvalidInput() {
+    const { scheduleService } = createScheduler();
+
+    // A one-off call in the past would never be placed
+    assert.deepStrictEqual(scheduleService.validateSchedule({ ...sundayAtFour, frequency: 'once', runAt: '2020-01-05T10:30' }), ['runAt must be in the future']);
+    const errors = scheduleService.validateSchedule({ ...sundayAtFour, timeZone: 'Mars/Base', time: '21:00' });
+    assert.ok(errors.some(error => error.includes('timeZone')));
+    assert.deepStrictEqual(scheduleService.validateSchedule(sundayAtFour), []);
+    return true;
+  },
+
+  takesCallRequestFields() {
+    const { scheduleService, placedCalls } = createScheduler();
+    const { customMessage, ...interview } = sundayAtFour;
+    const questions = ['Where did you grow up?', 'Who was your best friend?'];
+
+    // The call is checked the way POST /call checks it
+    assert.deepStrictEqual(scheduleService.validateSchedule({ ...interview, questions: [] }), ['questions must be a list of 1-10 non-empty strings']);
+    assert.deepStrictEqual(scheduleService.validateSchedule({ ...interview, questions, longStory: true, reviewAnswers: true }), ['longStory cannot be combined with reviewAnswers']);
+    assert.deepStrictEqual(scheduleService.validateSchedule({ ...interview, questions, retryPolicy: { maxAttempts: 9 } }), ['maxAttempts must be an integer between 1 and 5']);
+
+    const schedule = scheduleService.createSchedule({ ...interview, questions, reviewAnswers: true, interactive: false, retryPolicy: { maxAttempts: 2 } }, keyRecord);
+    scheduleService.tick(new Date(new Date(schedule.nextRunAt).getTime() + 1000));
+    assert.deepStrictEqual(placedCalls[0].questions, questions);
+    assert.strictEqual(placedCalls[0].customMessage, questions[0]);
+    assert.strictEqual(placedCalls[0].reviewAnswers, true);
+    assert.strictEqual(placedCalls[0].interactive, false);
+    assert.deepStrictEqual(placedCalls[0].retryPolicy, { maxAttempts: 2 });
+
+    // Clearing a field with null falls back to the default
+    scheduleService.updateSchedule(schedule.id, { retryPolicy: null, interactive: null });
+    assert.strictEqual(schedule.call.retryPolicy, undefined);
+    assert.strictEqual(schedule.call.interactive, true);
+    assert.deepStrictEqual(schedule.call.questions, questions);
+    return true;
+  },
+
+  followsLocalTimeAcrossDst() {
+    const { scheduleService } = createScheduler();
+    const schedule = scheduleService.createSchedule(sundayAtFour, keyRecord);
+    assert.strictEqual(schedule.call.interactive, true);
+
+    // 4pm CDT is 21:00Z; after US DST ends on Nov 1 2026, 4pm CST is 22:00Z
+    const beforeDstEnds = scheduleService.computeNextRunAt(schedule, new Date('2026-10-20T00:00:00Z'));
+    const afterDstEnds = scheduleService.computeNextRunAt(schedule, new Date('2026-11-02T00:00:00Z'));
+    assert.strictEqual(beforeDstEnds.toISOString(), '2026-10-25T21:00:00.000Z');
+    assert.strictEqual(afterDstEnds.toISOString(), '2026-11-08T22:00:00.000Z');
+    return true;
+  },
+
+  firesDueScheduleAndAdvances() {
+    const { scheduleService, placedCalls } = createScheduler();
+    const schedule = scheduleService.createSchedule(sundayAtFour, keyRecord);
+    const dueAt = new Date(schedule.nextRunAt);
+
+    scheduleService.tick(new Date(dueAt.getTime() + 1000));
+
+    assert.strictEqual(placedCalls.length, 1);
+    assert.strictEqual(placedCalls[0].scheduleId, schedule.id);
+    assert.strictEqual(placedCalls[0].scheduledCallId, schedule.id);
+    assert.strictEqual(schedule.runs[0].status, 'fired');
+    assert.strictEqual(schedule.nextRunAt, scheduleService.computeNextRunAt(schedule, dueAt).toISOString());
+    assert.strictEqual(getZonedDay(schedule.nextRunAt), 'Sunday 16:00');
+    return true;
+  },
+
+  defersMissedRunToCallingWindow() {
+    const { scheduleService, placedCalls } = createScheduler();
+    const schedule = scheduleService.createSchedule(sundayAtFour, keyRecord);
+    const dueAt = new Date(schedule.nextRunAt);
+
+    // Service comes back two weeks later at 2am Chicago time
+    const restartedAt = new Date(dueAt.getTime() + 14 * 24 * 60 * 60 * 1000 + 10 * 60 * 60 * 1000);
+    scheduleService.tick(restartedAt);
+    assert.strictEqual(placedCalls.length, 0);
+    assert.ok(schedule.deferredUntil);
+
+    scheduleService.tick(new Date(schedule.deferredUntil));
+    assert.strictEqual(placedCalls.length, 1);
+    assert.strictEqual(schedule.runs[0].status, 'fired_late');
+    assert.strictEqual(schedule.runs[0].missedOccurrences, 2);
+    assert.ok(new Date(schedule.nextRunAt) > new Date(schedule.lastRunAt));
+    return true;
+  },
+
+  skipsMissedRunWhenConfigured() {
+    const { scheduleService, placedCalls } = createScheduler();
+    const schedule = scheduleService.createSchedule({ ...sundayAtFour, missedRunPolicy: 'skip' }, keyRecord);
+    const dueAt = new Date(schedule.nextRunAt);
+
+    scheduleService.tick(new Date(dueAt.getTime() + 60 * 60 * 1000));
+
+    assert.strictEqual(placedCalls.length, 0);
+    assert.strictEqual(schedule.runs[0].status, 'missed');
+    assert.ok(new Date(schedule.nextRunAt) > dueAt);
+    return true;
+  },
+
+  keepsDeferredRunWhenSkipping() {
+    const { scheduleService, placedCalls } = createScheduler();
+    const schedule = scheduleService.createSchedule({ ...sundayAtFour, missedRunPolicy: 'skip', callingWindow: { start: '17:00', end: '20:00' }, time: '18:00' }, keyRecord);
+    const dueAt = new Date(schedule.nextRunAt);
+
+    // Held back by the quota while the service stays up...
+    let allowed = false;
+    scheduleService.apiKeyService.checkRateLimits = () => allowed ? { allowed: true } : { allowed: false, retryAfter: 3600, message: 'Hourly rate limit exceeded' };
+    scheduleService.tick(dueAt);
+    assert.strictEqual(schedule.deferredUntil, new Date(dueAt.getTime() + 60 * 60 * 1000).toISOString());
+
+    // ...it is called when the quota frees up, not dropped as missed
+    allowed = true;
+    scheduleService.tick(new Date(schedule.deferredUntil));
+    assert.strictEqual(placedCalls.length, 1);
+    assert.strictEqual(schedule.runs[0].status, 'fired_late');
+
+    // Missing the time it was held back to still counts as missed
+    const nextDueAt = new Date(schedule.nextRunAt);
+    allowed = false;
+    scheduleService.tick(nextDueAt);
+    allowed = true;
+    scheduleService.tick(new Date(new Date(schedule.deferredUntil).getTime() + 30 * 60 * 1000));
+    assert.strictEqual(placedCalls.length, 1);
+    assert.strictEqual(schedule.runs[1].status, 'missed');
+    return true;
+  },
+
+  completesOneOffSchedule() {
+    const { scheduleService, placedCalls } = createScheduler();
+    const schedule = scheduleService.createSchedule({
+      ...sundayAtFour,
+      frequency: 'once',
+      runAt: '2030-01-05T10:30'
+    }, keyRecord);
+
+    assert.strictEqual(schedule.nextRunAt, '2030-01-05T16:30:00.000Z');
+    scheduleService.tick(new Date('2030-01-05T16:31:00Z'));
+    assert.strictEqual(placedCalls.length, 1);
+    assert.strictEqual(schedule.status, 'completed');
+    assert.strictEqual(schedule.nextRunAt, null);
+    return true;
+  }
+};
+
+// Main test execution
+function runScheduleTests() {
+  console.log('🚀 Starting Call Scheduler Tests\n');
+
+  const results = {};
+  for (const [name, test] of Object.entries(tests)) {
+    try {
+      results[name] = test();
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      results[name] = false;
+    }
+  }
+
+  console.log('\n📊 Test Results Summary');
+  console.log('=======================');
+  Object.entries(results).forEach(([test, result]) => {
+    console.log(`${test}: ${result ? '✅ PASS' : '❌ FAIL'}`);
+  });
+
+  const allPassed = Object.values(results).every(Boolean);
+  console.log(`\n🎯 Overall Result: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  process.exit(runScheduleTests() ? 0 : 1);
+}
+
+module.exports = {
+  runScheduleTests
+};
@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+
+/**
+ * 🧪 SMS Service Test
+ *
+ * This script tests the texts around a call without Twilio: per-key settings
+ * and templates, the heads-up before a scheduled or held call, the thank-you
+ * after a recorded story, delivery status callbacks and STOP/START opt-outs.
+ * The Twilio client is replaced with one that records the texts it is asked
+ * to send.
+ */
+
+const assert = require('assert');
+const SimpleCallService = require('../utils/simple-call-service');
+const SimpleScheduleService = require('../utils/simple-schedule-service');
+const SimpleSmsService = require('../utils/simple-sms-service');
+const { validateSmsSettings, resolveSmsSettings, renderSmsText, interpretSmsKeyword } = require('../utils/simple-sms-settings');
+
+const keyRecord = {
+  id: 'key_test',
+  clientName: 'SMS Test',
+  isActive: true,
+  smsSettings: { headsUp: { enabled: true, leadMinutes: 10 }, thankYou: { enabled: true } }
+};
+
+// Build the SMS service with a real scheduler and call store, and a Twilio
+// stand-in that accepts every text (or fails with `failWith`)
+function createSmsService({ failWith = null } = {}) {
+  const sentTexts = [];
+  const callService = new SimpleCallService({ type: 'memory' });
+  const apiKeyService = {
+    getApiKey: () => keyRecord,
+    checkRateLimits: () => ({ allowed: true })
+  };
+  const dialerService = { placeCall: callData => callService.createCall(callData) };
+  const twilioService = {
+    isReady: () => true,
+    sendSms: async text => {
+      if (failWith) {
+        const error = new Error('Attempt to send to unsubscribed recipient');
+        error.code = failWith;
+        throw error;
+      }
+      sentTexts.push(text);
+      return { messageSid: `SM${sentTexts.length}`, status: 'queued' };
+    }
+  };
+
+  const scheduleService = new SimpleScheduleService(apiKeyService, dialerService, { type: 'memory' });
+  const smsService = new SimpleSmsService(apiKeyService, callService, scheduleService, twilioService, { type: 'memory' });
+  return { callService, scheduleService, smsService, sentTexts };
+}
+
+// A call whose story was recorded with the given outcome
+function recordedCall(callService, finalOutcome, locale = 'en-US') {
+  const call = callService.createCall({ phoneNumber: '+15555550100', customMessage: 'Where were you born?', locale, apiKeyInfo: keyRecord });
+  callService.updateCallStatus(call.id, 'completed', { metadata: { finalOutcome } });
+  return call;
+}
+
+const minutesBefore = (isoString, minutes) => new Date(new Date(isoString).getTime() - minutes * 60 * 1000);
+
+// Each test returns true on success
+const tests = {
+  async validatesSettings() {
+    assert.deepStrictEqual(validateSmsSettings({ headsUp: { enabled: true, leadMinutes: 30, text: 'Calling in {minutes} min - Memoora' } }), []);
+    assert.deepStrictEqual(validateSmsSettings({ headsUp: { leadMinutes: 0, text: 'Hi {name}' }, thankYou: { enabled: 'yes', sendAt: 'noon' }, reminder: {} }), [
+      'headsUp.leadMinutes must be a whole number from 1 to 1440',
+      'headsUp.text can\'t use {name} (use {minutes})',
+      'thankYou.sendAt is not supported (use enabled, text)',
+      'thankYou.enabled must be true or false',
+      'reminder is not supported (use headsUp, thankYou)'
+    ]);
+
+    // Without a key template, the text comes from the call's language
+    const settings = resolveSmsSettings(keyRecord);
+    assert.strictEqual(settings.headsUp.leadMinutes, 10);
+    assert.strictEqual(renderSmsText(settings, 'headsUp', 'en-US', { minutes: 10 }), 'Memoora will call you in 10 minutes with this week\'s question.');
+    assert.strictEqual(renderSmsText(settings, 'headsUp', 'es-MX', { minutes: 5 }), 'Memoora le llamará en 5 minutos con la pregunta de esta semana.');
+
+    assert.strictEqual(interpretSmsKeyword(' stop '), 'opt_out');
+    assert.strictEqual(interpretSmsKeyword('Unsubscribe.'), 'opt_out');
+    assert.strictEqual(interpretSmsKeyword('Start'), 'opt_in');
+    assert.strictEqual(interpretSmsKeyword('Please stop by later'), null);
+    return true;
+  },
+
+  async sendsHeadsUpBeforeScheduledCall() {
+    const { callService, scheduleService, smsService, sentTexts } = createSmsService();
+    const schedule = scheduleService.createSchedule({
+      phoneNumber: '+15555550100',
+      customMessage: 'What was your first car?',
+      timeZone: 'America/Chicago',
+      frequency: 'weekly',
+      daysOfWeek: ['sunday'],
+      time: '16:00'
+    }, keyRecord);
+    const runAt = schedule.nextRunAt;
+
+    await smsService.tick(minutesBefore(runAt, 11));
+    assert.strictEqual(sentTexts.length, 0);
+
+    // One heads-up per run, however many ticks fall inside the lead time
+    await smsService.tick(minutesBefore(runAt, 10));
+    await smsService.tick(minutesBefore(runAt, 9));
+    assert.strictEqual(sentTexts.length, 1);
+    assert.strictEqual(sentTexts[0].to, '+15555550100');
+    assert.strictEqual(sentTexts[0].body, 'Memoora will call you in 10 minutes with this week\'s question.');
+    assert.ok(sentTexts[0].statusCallbackUrl.endsWith(`/api/v1/sms-status?scheduleId=${schedule.id}&message=headsUp`));
+
+    // The call carries the heads-up it was announced with
+    scheduleService.tick(new Date(runAt));
+    const call = callService.getCall(schedule.runs[0].callId);
+    assert.strictEqual(call.sms.headsUp.messageSid, 'SM1');
+    assert.strictEqual(schedule.headsUp.callId, call.id);
+
+    // Delivery reaches the schedule and the call; a late 'sent' changes nothing
+    smsService.updateDeliveryStatus({ scheduleId: schedule.id, message: 'headsUp' }, { MessageSid: 'SM1', MessageStatus: 'delivered' });
+    assert.strictEqual(smsService.updateDeliveryStatus({ scheduleId: schedule.id, message: 'headsUp' }, { MessageSid: 'SM1', MessageStatus: 'sent' }), null);
+    assert.strictEqual(schedule.headsUp.status, 'delivered');
+    assert.strictEqual(callService.getCall(call.id).sms.headsUp.status, 'delivered');
+    assert.ok(callService.getCall(call.id).sms.headsUp.deliveredAt);
+    return true;
+  },
+
+  async sendsHeadsUpForHeldCall() {
+    const { callService, smsService, sentTexts } = createSmsService();
+    const now = new Date();
+    const heldUntil = new Date(now.getTime() + 15 * 60 * 1000).toISOString();
+    const call = callService.createCall({ phoneNumber: '+15555550100', customMessage: 'Where were you born?', heldUntil, apiKeyInfo: keyRecord });
+    assert.strictEqual(call.status, 'held');
+
+    // Sent on the first tick, with the time left until the call is dialed
+    await smsService.tick(now);
+    await smsService.tick(new Date(now.getTime() + 60 * 1000));
+    assert.strictEqual(sentTexts.length, 1);
+    assert.strictEqual(sentTexts[0].body, 'Memoora will call you in 15 minutes with this week\'s question.');
+    assert.ok(sentTexts[0].statusCallbackUrl.endsWith(`/api/v1/sms-status?callId=${call.id}&message=headsUp`));
+    assert.strictEqual(call.sms.headsUp.scheduledFor, heldUntil);
+
+    smsService.updateDeliveryStatus({ callId: call.id, message: 'headsUp' }, { MessageSid: 'SM1', MessageStatus: 'delivered' });
+    assert.strictEqual(callService.getCall(call.id).sms.headsUp.status, 'delivered');
+
+    // A held call already due gets no heads-up; it is about to ring
+    callService.createCall({ phoneNumber: '+15555550101', customMessage: 'Where were you born?', heldUntil: now.toISOString(), apiKeyInfo: keyRecord });
+    await smsService.tick(now);
+    assert.strictEqual(sentTexts.length, 1);
+    return true;
+  },
+
+  async thanksAfterRecordedStory() {
+    const { callService, smsService, sentTexts } = createSmsService();
+
+    const recorded = recordedCall(callService, 'successful', 'es-US');
+    const thankYou = await smsService.sendThankYou(recorded.id);
+    assert.strictEqual(thankYou.messageSid, 'SM1');
+    assert.strictEqual(thankYou.status, 'queued');
+    assert.strictEqual(sentTexts[0].body, 'Gracias por compartir su historia con Memoora hoy. Su familia la atesorará.');
+
+    // Only once per call, and only for a story that was actually recorded
+    assert.strictEqual(await smsService.sendThankYou(recorded.id), null);
+    assert.strictEqual(await smsService.sendThankYou(recordedCall(callService, 'silent_recording').id), null);
+    assert.strictEqual(sentTexts.length, 1);
+
+    smsService.updateDeliveryStatus({ callId: recorded.id, message: 'thankYou' }, { MessageSid: 'SM1', MessageStatus: 'undelivered', ErrorCode: '30003' });
+    assert.strictEqual(callService.getCall(recorded.id).sms.thankYou.status, 'undelivered');
+    assert.strictEqual(callService.getCall(recorded.id).sms.thankYou.errorCode, 30003);
+    return true;
+  },
+
+  async honorsOptOuts() {
+    const { callService, smsService, sentTexts } = createSmsService();
+
+    assert.strictEqual(smsService.handleIncomingMessage({ from: '+15555550100', body: 'STOP' }), 'opt_out');
+    const optedOut = await smsService.sendThankYou(recordedCall(callService, 'successful').id);
+    assert.strictEqual(optedOut.status, 'opted_out');
+    assert.strictEqual(sentTexts.length, 0);
+
+    // The same number written another way is the same opt-out
+    assert.ok(smsService.isOptedOut('+1 (555) 555-0100'));
+    smsService.handleIncomingMessage({ from: '555-555-0100', body: 'START' });
+    assert.strictEqual(smsService.isOptedOut('+15555550100'), false);
+    smsService.handleIncomingMessage({ from: '(555) 555-0100', body: 'STOP' });
+    assert.strictEqual((await smsService.sendThankYou(recordedCall(callService, 'successful').id)).status, 'opted_out');
+
+    smsService.handleIncomingMessage({ from: '+15555550100', body: 'START' });
+    assert.strictEqual((await smsService.sendThankYou(recordedCall(callService, 'successful').id)).status, 'queued');
+
+    // A number Twilio knows has opted out is remembered from the send error
+    const blocked = createSmsService({ failWith: 21610 });
+    const refused = await blocked.smsService.sendThankYou(recordedCall(blocked.callService, 'successful').id);
+    assert.strictEqual(refused.status, 'opted_out');
+    assert.strictEqual(refused.errorCode, 21610);
+    assert.ok(blocked.smsService.isOptedOut('+15555550100'));
+    return true;
+  }
+};
+
+// Main test execution
+async function runSmsTests() {
+  console.log('🚀 Starting SMS Service Tests\n');
+
+  const results = {};
+  for (const [name, test] of Object.entries(tests)) {
+    try {
+      results[name] = await test();
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      results[name] = false;
+    }
+  }
+
+  console.log('\n📊 Test Results Summary');
+  console.log('=======================');
+  Object.entries(results).forEach(([test, result]) => {
+    console.log(`${test}: ${result ? '✅ PASS' : '❌ FAIL'}`);
+  });
+
+  const allPassed = Object.values(results).every(Boolean);
+  console.log(`\n🎯 Overall Result: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runSmsTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = {
+  runSmsTests
+};
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * 🧪 Storage Test
+ *
+ * This script tests the file-backed record store: records survive a restart
+ * (a new store over the same directory reads them back), a burst of changes
+ * is batched into one write, files are written through a temp file and
+ * renamed into place, and changes not yet written are flushed on exit.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { FileStore } = require('../utils/simple-storage');
+
+// A fresh data directory for each test, removed once they've all run
+const dataDirs = [];
+function tempDataDir() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'memoora-storage-'));
+  dataDirs.push(dataDir);
+  return dataDir;
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Each test returns true on success
+const tests = {
+  async survivesRestart() {
+    const dataDir = tempDataDir();
+    const store = new FileStore('calls', dataDir, { writeDelayMs: 10 });
+    store.set('call_1', { id: 'call_1', status: 'completed' });
+    store.set('call_2', { id: 'call_2', status: 'queued' });
+    store.delete('call_2');
+    store.flush();
+
+    // A new store over the same directory is what a restarted service sees
+    const reloaded = new FileStore('calls', dataDir);
+    assert.strictEqual(reloaded.size, 1);
+    assert.deepStrictEqual(reloaded.get('call_1'), { id: 'call_1', status: 'completed' });
+    assert.ok(!reloaded.has('call_2'));
+    return true;
+  },
+
+  async batchesWrites() {
+    const dataDir = tempDataDir();
+    const store = new FileStore('calls', dataDir, { writeDelayMs: 20 });
+
+    let writes = 0;
+    const persist = store.persist.bind(store);
+    store.persist = () => {
+      writes++;
+      persist();
+    };
+
+    for (let index = 0; index < 50; index++) {
+      store.set(`call_${index}`, { id: `call_${index}` });
+    }
+    assert.strictEqual(writes, 0);
+    assert.ok(!fs.existsSync(store.filePath));
+
+    await wait(60);
+    assert.strictEqual(writes, 1);
+    assert.strictEqual(Object.keys(JSON.parse(fs.readFileSync(store.filePath, 'utf8'))).length, 50);
+
+    // Nothing changed, nothing written
+    store.flush();
+    assert.strictEqual(writes, 1);
+    return true;
+  },
+
+  async writesThroughTempFile() {
+    const dataDir = tempDataDir();
+    const store = new FileStore('api-keys', dataDir);
+
+    const renamed = [];
+    const renameSync = fs.renameSync;
+    fs.renameSync = (from, to) => {
+      // The whole collection is in the temp file before it replaces the old one
+      renamed.push({ from, to, contents: JSON.parse(fs.readFileSync(from, 'utf8')) });
+      return renameSync(from, to);
+    };
+    try {
+      store.set('key_1', { id: 'key_1' });
+      store.flush();
+    } finally {
+      fs.renameSync = renameSync;
+    }
+
+    assert.deepStrictEqual(renamed, [{ from: `${store.filePath}.tmp`, to: store.filePath, contents: { key_1: { id: 'key_1' } } }]);
+    assert.ok(!fs.existsSync(`${store.filePath}.tmp`));
+    return true;
+  },
+
+  async flushesOnExit() {
+    const dataDir = tempDataDir();
+
+    // A process that changes a record and exits before the write is due
+    const script = `
+      const { FileStore } = require(${JSON.stringify(require.resolve('../utils/simple-storage'))});
+      const store = new FileStore('schedules', ${JSON.stringify(dataDir)}, { writeDelayMs: 60000 });
+      store.set('sched_1', { id: 'sched_1', status: 'active' });
+      process.exit(0);
+    `;
+    execFileSync(process.execPath, ['-e', script], { stdio: 'ignore', timeout: 10000 });
+
+    const reloaded = new FileStore('schedules', dataDir);
+    assert.deepStrictEqual(reloaded.get('sched_1'), { id: 'sched_1', status: 'active' });
+    return true;
+  }
+};
+
+// Main test execution
+async function runStorageTests() {
+  console.log('🚀 Starting Storage Tests\n');
+
+  const results = {};
+  for (const [name, test] of Object.entries(tests)) {
+    try {
+      results[name] = await test();
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      results[name] = false;
+    }
+  }
+  dataDirs.forEach(dataDir => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  console.log('\n📊 Test Results Summary');
+  console.log('=======================');
+  Object.entries(results).forEach(([test, result]) => {
+    console.log(`${test}: ${result ? '✅ PASS' : '❌ FAIL'}`);
+  });
+
+  const allPassed = Object.values(results).every(Boolean);
+  console.log(`\n🎯 Overall Result: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runStorageTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = {
+  runStorageTests
+};
@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+
+/**
+ * 🧪 Twilio Webhook Signature Test
+ *
+ * This script tests the X-Twilio-Signature middleware without contacting
+ * Twilio. Signatures are computed locally with the same HMAC-SHA1 scheme
+ * Twilio uses, then sent to a throwaway Express app.
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const express = require('express');
+const { createTwilioWebhookValidator } = require('../utils/simple-twilio-webhook-auth');
+
+const AUTH_TOKEN = 'test_auth_token_1234567890';
+const BASE_URL = 'https://memoora-calls.example.com';
+
+// Compute a signature the way Twilio does: HMAC-SHA1 over the full URL
+// followed by each POST param name and value, sorted by name
+function computeSignature(url, params = {}) {
+  const data = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => acc + key + params[key], url);
+  return crypto.createHmac('sha1', AUTH_TOKEN).update(Buffer.from(data, 'utf-8')).digest('base64');
+}
+
+// Start an app with the validator in front of a webhook route
+function startApp(validatorOptions) {
+  const app = express();
+  const captureRawBody = (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  };
+  app.use(express.json({ verify: captureRawBody }));
+  app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
+
+  const validateTwilioRequest = createTwilioWebhookValidator({
+    authToken: AUTH_TOKEN,
+    baseUrl: BASE_URL,
+    isProduction: false,
+    skipValidation: false,
+    ...validatorOptions
+  });
+
+  app.post('/api/v1/call-status', validateTwilioRequest, (req, res) => {
+    res.status(200).json({ ok: true });
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+async function postForm(server, path, params, headers = {}) {
+  const { port } = server.address();
+  const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+    body: new URLSearchParams(params).toString()
+  });
+  return response.status;
+}
+
+const params = {
+  CallSid: 'CA1234567890abcdef1234567890abcdef',
+  CallStatus: 'completed',
+  To: '+15555550100',
+  From: '+15555550199'
+};
+
+// Each test returns true on success
+const tests = {
+  async acceptsValidFormSignature() {
+    const server = await startApp();
+    try {
+      const signature = computeSignature(`${BASE_URL}/api/v1/call-status`, params);
+      const status = await postForm(server, '/api/v1/call-status', params, { 'X-Twilio-Signature': signature });
+      assert.strictEqual(status, 200);
+      return true;
+    } finally {
+      server.close();
+    }
+  },
+
+  async includesQueryStringInSignedUrl() {
+    const server = await startApp();
+    try {
+      const path = '/api/v1/call-status?callId=call_123_1';
+      const signature = computeSignature(`${BASE_URL}${path}`, params);
+      const status = await postForm(server, path, params, { 'X-Twilio-Signature': signature });
+      assert.strictEqual(status, 200);
+      return true;
+    } finally {
+      server.close();
+    }
+  },
+
+  async rejectsMissingSignature() {
+    const server = await startApp();
+    try {
+      const status = await postForm(server, '/api/v1/call-status', params);
+      assert.strictEqual(status, 403);
+      return true;
+    } finally {
+      server.close();
+    }
+  },
+
+  async rejectsTamperedParams() {
+    const server = await startApp();
+    try {
+      const signature = computeSignature(`${BASE_URL}/api/v1/call-status`, params);
+      const forged = { ...params, CallStatus: 'in-progress' };
+      const status = await postForm(server, '/api/v1/call-status', forged, { 'X-Twilio-Signature': signature });
+      assert.strictEqual(status, 403);
+      return true;
+    } finally {
+      server.close();
+    }
+  },
+
+  async rejectsSignatureForLocalHost() {
+    // A signature over the internal host must not pass when BASE_URL is the public URL
+    const server = await startApp();
+    try {
+      const { port } = server.address();
+      const signature = computeSignature(`http://127.0.0.1:${port}/api/v1/call-status`, params);
+      const status = await postForm(server, '/api/v1/call-status', params, { 'X-Twilio-Signature': signature });
+      assert.strictEqual(status, 403);
+      return true;
+    } finally {
+      server.close();
+    }
+  },
+
+  async usesForwardedHeadersWithoutBaseUrl() {
+    const server = await startApp({ baseUrl: '' });
+    try {
+      const signature = computeSignature('https://proxy.example.com/api/v1/call-status', params);
+      const status = await postForm(server, '/api/v1/call-status', params, {
+        'X-Twilio-Signature': signature,
+        'X-Forwarded-Proto': 'https',
+        'X-Forwarded-Host': 'proxy.example.com'
+      });
+      assert.strictEqual(status, 200);
+      return true;
+    } finally {
+      server.close();
+    }
+  },
+
+  async validatesJsonBodyHash() {
+    const server = await startApp();
+    try {
+      const body = JSON.stringify({ CallSid: params.CallSid, CallStatus: 'completed' });
+      const bodyHash = crypto.createHash('sha256').update(body).digest('hex');
+      const path = `/api/v1/call-status?bodySHA256=${bodyHash}`;
+      const signature = computeSignature(`${BASE_URL}${path}`);
+      const { port } = server.address();
+
+      const send = payload => fetch(`http://127.0.0.1:${port}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Twilio-Signature': signature },
+        body: payload
+      });
+
+      assert.strictEqual((await send(body)).status, 200);
+      assert.strictEqual((await send(body.replace('completed', 'failed'))).status, 403);
+      return true;
+    } finally {
+      server.close();
+    }
+  },
+
+  async bypassesInDevelopment() {
+    const server = await startApp({ skipValidation: true });
+    try {
+      const status = await postForm(server, '/api/v1/call-status', params);
+      assert.strictEqual(status, 200);
+      return true;
+    } finally {
+      server.close();
+    }
+  },
+
+  async ignoresBypassInProduction() {
+    const server = await startApp({ skipValidation: true, isProduction: true });
+    try {
+      const status = await postForm(server, '/api/v1/call-status', params);
+      assert.strictEqual(status, 403);
+      return true;
+    } finally {
+      server.close();
+    }
+  }
+};
+
+// Main test execution
+async function runSignatureTests() {
+  console.log('🚀 Starting Twilio Webhook Signature Tests\n');
+
+  const results = {};
+  for (const [name, test] of Object.entries(tests)) {
+    try {
+      results[name] = await test();
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      results[name] = false;
+    }
+  }
+
+  console.log('\n📊 Test Results Summary');
+  console.log('=======================');
+  Object.entries(results).forEach(([test, result]) => {
+    console.log(`${test}: ${result ? '✅ PASS' : '❌ FAIL'}`);
+  });
+
+  const allPassed = Object.values(results).every(Boolean);
+  console.log(`\n🎯 Overall Result: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runSignatureTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = {
+  computeSignature,
+  runSignatureTests
+};
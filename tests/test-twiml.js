@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * 🧪 TwiML Builder Test
+ *
+ * This script tests how spoken text reaches a call's TwiML: user text is
+ * escaped so it can't break the XML or add verbs of its own, the supported
+ * SSML tags (<break>, <emphasis>, <prosody>) are kept, and broken SSML is
+ * rejected by validation or read out as written.
+ */
+
+const assert = require('assert');
+const { escapeXml, element, validateSpeech, speechErrors, speechXml, speechText } = require('../utils/simple-twiml');
+const { validateVoicePersona } = require('../utils/simple-voice-persona');
+
+// Each test returns true on success
+const tests = {
+  async escapesUserText() {
+    assert.strictEqual(
+      speechXml('Tell me about Mom & Dad\'s <first> house'),
+      'Tell me about Mom &amp; Dad&apos;s &lt;first&gt; house'
+    );
+
+    // A question can't close the <Say> and dial somewhere else
+    const injected = speechXml('Hi</Say><Dial>+15555550199</Dial><Say>');
+    assert.ok(!injected.includes('<'));
+
+    assert.strictEqual(
+      element('Say', { voice: 'alice', rate: 0.9, pitch: null }, speechXml('"Hello"')),
+      '<Say voice="alice" rate="0.9">&quot;Hello&quot;</Say>'
+    );
+    assert.strictEqual(element('Play', {}, escapeXml('https://example.com/a?b=1&c=2')), '<Play>https://example.com/a?b=1&amp;c=2</Play>');
+    assert.strictEqual(element('Pause', { length: 2 }), '<Pause length="2"/>');
+    return true;
+  },
+
+  async keepsSupportedSsml() {
+    const question = 'Where were you born? <break time="2s" /> Tell me <emphasis level="strong">everything</emphasis>, ' +
+      '<prosody rate="slow" volume="+6dB">slowly & clearly</prosody>.';
+
+    assert.deepStrictEqual(validateSpeech(question), []);
+    assert.strictEqual(speechXml(question),
+      'Where were you born? <break time="2s"/> Tell me <emphasis level="strong">everything</emphasis>, ' +
+      '<prosody rate="slow" volume="+6dB">slowly &amp; clearly</prosody>.');
+    assert.deepStrictEqual(speechText(question), {
+      text: 'Where were you born? Tell me everything, slowly & clearly.',
+      breakSeconds: 2
+    });
+    return true;
+  },
+
+  async rejectsBrokenSsml() {
+    assert.deepStrictEqual(validateSpeech('<break time="30s"/>Hello <emphasis level="loud">there</emphasis>'), [
+      '<break> time="30s" isn\'t supported, see <break time="1s"/>',
+      '<emphasis> level="loud" isn\'t supported, see <emphasis level="strong">this</emphasis>'
+    ]);
+    assert.deepStrictEqual(validateSpeech('<emphasis>Hello</prosody> <break onload="x"/> <break time=1s/>'), [
+      '</prosody> has no matching <prosody>',
+      '<break> doesn\'t take "onload" (use time, strength)',
+      '<break> attributes must be written name="value", like <break time="1s"/>',
+      '<emphasis> is never closed with </emphasis>'
+    ]);
+    assert.deepStrictEqual(speechErrors('questions[1]', '<prosody>Hi</prosody>'), [
+      'questions[1]: <prosody> needs one of: rate, pitch, volume'
+    ]);
+
+    // Text that got past validation is read exactly as written
+    assert.strictEqual(speechXml('<emphasis>Hi'), '&lt;emphasis&gt;Hi');
+
+    // A persona's greeting and closing follow the same rules
+    assert.deepStrictEqual(validateVoicePersona({ greeting: 'Hello <break time="1s">' }), [
+      'greeting: <break> must close itself, like <break time="1s"/>'
+    ]);
+    return true;
+  }
+};
+
+// Main test execution
+async function runTwimlTests() {
+  console.log('🚀 Starting TwiML Builder Tests\n');
+
+  const results = {};
+  for (const [name, test] of Object.entries(tests)) {
+    try {
+      results[name] = await test();
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      results[name] = false;
+    }
+  }
+
+  console.log('\n📊 Test Results Summary');
+  console.log('=======================');
+  Object.entries(results).forEach(([test, result]) => {
+    console.log(`${test}: ${result ? '✅ PASS' : '❌ FAIL'}`);
+  });
+
+  const allPassed = Object.values(results).every(Boolean);
+  console.log(`\n🎯 Overall Result: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runTwimlTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = {
+  runTwimlTests
+};
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * 🧪 Voice Persona Test
+ *
+ * This script tests voice persona validation, how key defaults and
+ * per-call overrides combine, and how a call's locale picks its catalog,
+ * voice and script, including on calls placed by the dialer. The Twilio
+ * client is replaced with one that is never ready.
+ */
+
+const assert = require('assert');
+const SimpleCallService = require('../utils/simple-call-service');
+const SimpleDialerService = require('../utils/simple-dialer-service');
+const { validateVoicePersona, resolveVoicePersona } = require('../utils/simple-voice-persona');
+const { resolveLocale, translate } = require('../utils/simple-locales');
+
+const keyRecord = {
+  id: 'key_test',
+  clientName: 'Persona Test',
+  isActive: true,
+  voicePersona: { voice: 'Polly.Matthew-Neural', rate: 1.1, greeting: 'Hello from Heritage Homes.', pauses: { afterPickup: 1 } }
+};
+
+// Each test returns true on success
+const tests = {
+  validatesPersonas() {
+    assert.deepStrictEqual(validateVoicePersona({ voice: 'alice', rate: 1, pitch: -0.2, pauses: { betweenQuestions: 0 } }), []);
+    assert.deepStrictEqual(validateVoicePersona(null), []);
+    assert.ok(validateVoicePersona({ voice: 'Robot.Unknown' })[0].includes('voice must be one of'));
+    assert.ok(validateVoicePersona({ rate: 3 }).length > 0);
+    assert.ok(validateVoicePersona({ greeting: '  ' }).length > 0);
+    assert.ok(validateVoicePersona({ pauses: { afterPickup: 2.5, beforeBeep: 1 } }).length === 2);
+    return true;
+  },
+
+  callOverridesKeyDefault() {
+    const persona = resolveVoicePersona(keyRecord, { closing: 'Bye for now.', pauses: { afterGreeting: 3 } });
+    assert.strictEqual(persona.voice, 'Polly.Matthew-Neural');
+    assert.strictEqual(persona.greeting, 'Hello from Heritage Homes.');
+    assert.strictEqual(persona.closing, 'Bye for now.');
+    assert.strictEqual(persona.pitch, 0.1);
+    assert.deepStrictEqual(persona.pauses, { afterPickup: 1, afterGreeting: 3, beforeRecording: 1, betweenQuestions: 1 });
+    assert.deepStrictEqual(resolveVoicePersona(keyRecord, persona), persona);
+    return true;
+  },
+
+  fallsBackToDefaultLocale() {
+    assert.strictEqual(resolveLocale('es-MX'), 'es-US');
+    assert.strictEqual(resolveLocale('zh_Hans_CN'), 'zh-CN');
+    assert.strictEqual(resolveLocale('tl'), 'fil-PH');
+    assert.strictEqual(resolveLocale('fr-FR'), 'en-US');
+    assert.strictEqual(resolveLocale(undefined), 'en-US');
+    assert.strictEqual(translate('fr-FR', 'closing'), 'Thank you for sharing your story with us.');
+    return true;
+  },
+
+  localePicksVoiceAndScript() {
+    // The key's English voice and greeting don't carry over to Spanish calls
+    const persona = resolveVoicePersona(keyRecord, null, 'es-US');
+    assert.strictEqual(persona.voice, 'Google.es-US-Neural2-A');
+    assert.strictEqual(persona.greeting, translate('es-US', 'greeting'));
+    assert.strictEqual(persona.rate, 1.1);
+    assert.strictEqual(persona.pauses.afterPickup, 1);
+
+    assert.deepStrictEqual(validateVoicePersona({ voice: 'Polly.Lupe-Neural' }, 'es-US'), []);
+    assert.ok(validateVoicePersona({ voice: 'alice' }, 'zh-CN')[0].includes('does not speak cmn-CN'));
+    return true;
+  },
+
+  storesResolvedPersonaOnCall() {
+    const apiKeyService = { incrementUsage: () => {} };
+    const callService = new SimpleCallService({ type: 'memory' });
+    const dialerService = new SimpleDialerService(apiKeyService, callService, { isReady: () => false });
+
+    const call = dialerService.placeCall({
+      phoneNumber: '+15555550100',
+      customMessage: 'What was your first car?',
+      voicePersona: { voice: 'alice' },
+      apiKeyInfo: keyRecord
+    });
+    assert.strictEqual(call.voicePersona.voice, 'alice');
+    assert.strictEqual(call.voicePersona.greeting, 'Hello from Heritage Homes.');
+
+    const plainCall = dialerService.placeCall({ phoneNumber: '+15555550100', customMessage: 'Hi?', apiKeyInfo: { id: 'key_plain', clientName: 'Plain' } });
+    assert.strictEqual(plainCall.voicePersona.voice, 'Google.en-US-Neural2-F');
+    assert.strictEqual(plainCall.locale, 'en-US');
+
+    const tagalogCall = dialerService.placeCall({ phoneNumber: '+15555550100', customMessage: 'Saan ka ipinanganak?', locale: 'tl-PH', apiKeyInfo: keyRecord });
+    assert.strictEqual(tagalogCall.locale, 'fil-PH');
+    assert.strictEqual(tagalogCall.voicePersona.voice, 'Google.fil-PH-Wavenet-A');
+    return true;
+  }
+};
+
+// Main test execution
+function runVoicePersonaTests() {
+  console.log('🚀 Starting Voice Persona Tests\n');
+
+  const results = {};
+  for (const [name, test] of Object.entries(tests)) {
+    try {
+      results[name] = test();
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      results[name] = false;
+    }
+  }
+
+  console.log('\n📊 Test Results Summary');
+  console.log('=======================');
+  Object.entries(results).forEach(([test, result]) => {
+    console.log(`${test}: ${result ? '✅ PASS' : '❌ FAIL'}`);
+  });
+
+  const allPassed = Object.values(results).every(Boolean);
+  console.log(`\n🎯 Overall Result: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  process.exit(runVoicePersonaTests() ? 0 : 1);
+}
+
+module.exports = {
+  runVoicePersonaTests
+};
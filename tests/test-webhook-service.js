@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * 🧪 Webhook Service Test
+ *
+ * This script tests delivery of webhooks to the main backend, using a local
+ * HTTP server as the backend: any 2xx answer is a delivery whatever its
+ * body, an error status is a failure, and a backend that never answers
+ * times out instead of holding the delivery open.
+ */
+
+const assert = require('assert');
+const http = require('http');
+const SimpleWebhookService = require('../utils/simple-webhook-service');
+
+// Start a backend that answers every request with `handler`
+function startBackend(handler) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ path: req.url, body: JSON.parse(body) });
+      handler(res);
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, () => resolve({ server, received, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+// Each test returns true on success
+const tests = {
+  async deliversWhateverTheBody() {
+    const backend = await startBackend(res => res.end('OK'));
+    try {
+      const webhookService = new SimpleWebhookService({ mainBackendUrl: backend.url });
+      assert.deepStrictEqual(await webhookService.send('recording-complete', { callId: 'call_1' }), { sent: true, status: 200 });
+      assert.deepStrictEqual(backend.received, [{ path: '/api/calls/recording-complete', body: { callId: 'call_1' } }]);
+    } finally {
+      backend.server.close();
+    }
+    return true;
+  },
+
+  async reportsErrorStatus() {
+    const backend = await startBackend(res => {
+      res.statusCode = 503;
+      res.end('{"error":"down"}');
+    });
+    try {
+      const webhookService = new SimpleWebhookService({ mainBackendUrl: backend.url });
+      assert.deepStrictEqual(await webhookService.send('call-canceled', { callId: 'call_1' }), { sent: false, status: 503 });
+    } finally {
+      backend.server.close();
+    }
+    return true;
+  },
+
+  async timesOutSilentBackend() {
+    // The backend reads the request and never answers
+    const backend = await startBackend(() => {});
+    try {
+      const webhookService = new SimpleWebhookService({ mainBackendUrl: backend.url, timeoutMs: 100 });
+      const startedAt = Date.now();
+      const result = await webhookService.send('recording-complete', { callId: 'call_1' });
+      assert.deepStrictEqual(result, { sent: false, error: 'No response within 100ms' });
+      assert.ok(Date.now() - startedAt < 2000);
+    } finally {
+      backend.server.closeAllConnections();
+      backend.server.close();
+    }
+    return true;
+  }
+};
+
+// Main test execution
+async function runWebhookTests() {
+  console.log('🚀 Starting Webhook Service Tests\n');
+
+  const results = {};
+  for (const [name, test] of Object.entries(tests)) {
+    try {
+      results[name] = await test();
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      results[name] = false;
+    }
+  }
+
+  console.log('\n📊 Test Results Summary');
+  console.log('=======================');
+  Object.entries(results).forEach(([test, result]) => {
+    console.log(`${test}: ${result ? '✅ PASS' : '❌ FAIL'}`);
+  });
+
+  const allPassed = Object.values(results).every(Boolean);
+  console.log(`\n🎯 Overall Result: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runWebhookTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = {
+  runWebhookTests
+};
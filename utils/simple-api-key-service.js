@@ -1,38 +1,211 @@
+const crypto = require('crypto');
+const { createStore } = require('./simple-storage');
+
+// Sliding quota windows, checked against each key's limits
+const QUOTA_WINDOWS = [
+  { name: 'hourly', limitField: 'maxCallsPerHour', durationMs: 60 * 60 * 1000 },
+  { name: 'daily', limitField: 'maxCallsPerDay', durationMs: 24 * 60 * 60 * 1000 },
+  { name: 'monthly', limitField: 'maxCallsPerMonth', durationMs: 30 * 24 * 60 * 60 * 1000 }
+];
+
+// Scopes a client key can hold. Admin keys implicitly hold every scope and
+// can also use the key management endpoints.
+const PERMISSIONS = ['call', 'recordings', 'read'];
+
+// Stable ID for the admin key bootstrapped from ADMIN_API_KEY
+const BOOTSTRAP_ADMIN_KEY_ID = 'key_admin_bootstrap';
+
+// Plaintext keys look like mk_<8 hex chars>_<secret>; the first 11 characters
+// are stored alongside the hash so a key can be looked up without storing it.
+const KEY_PREFIX_LENGTH = 11;
+
+// A key's lastUsed is kept current in memory but written to storage at most
+// this often, so authenticated requests don't each rewrite the keys file
+const LAST_USED_PERSIST_INTERVAL_MS = 60 * 1000;
+
 class SimpleApiKeyService {
-  constructor() {
-    // In-memory storage using Map for fast lookups
-    this.apiKeys = new Map();
-    this.keyUsage = new Map();
+  constructor(options = {}) {
+    // Durable storage keyed by key ID; only salted hashes of keys are kept
+    this.apiKeys = options.store || createStore('api-keys', options);
+
+    // Index of key prefix -> key IDs for lookups during validation
+    this.prefixIndex = new Map();
+    for (const [keyId, keyRecord] of this.apiKeys) {
+      this.indexKey(keyRecord.keyPrefix, keyId);
+    }
+
+    // When each key's lastUsed was last written to storage
+    this.lastUsedPersistedAt = new Map();
+
+    this.bootstrapAdminKey(options.adminApiKey);
     
-    console.log('🔑 Simple API Key Service initialized (in-memory storage)');
+    console.log(`🔑 Simple API Key Service initialized (${this.apiKeys.type} storage)`);
   }
 
-  // Generate a new API key
+  // Generate a new API key from a CSPRNG
   generateApiKey() {
-    const timestamp = Date.now();
-    const random = Math.random().toString(36).substr(2, 9);
-    return `mk_${timestamp}_${random}`;
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    return `mk_${prefix}_${secret}`;
   }
 
   // Generate a unique key ID
   generateKeyId() {
     const timestamp = Date.now();
-    const random = Math.random().toString(36).substr(2, 5);
+    const random = crypto.randomBytes(3).toString('hex');
     return `key_${timestamp}_${random}`;
   }
 
-  // Create and store a new API key
+  // Lookup prefix for a plaintext key
+  getKeyPrefix(apiKey) {
+    return apiKey.substring(0, KEY_PREFIX_LENGTH);
+  }
+
+  // Salted SHA-256 of a key. Keys carry 192 random bits, so a slow KDF is not
+  // needed to resist brute force.
+  hashApiKey(apiKey, salt) {
+    return crypto.createHash('sha256').update(`${salt}:${apiKey}`).digest('hex');
+  }
+
+  indexKey(keyPrefix, keyId) {
+    if (!this.prefixIndex.has(keyPrefix)) {
+      this.prefixIndex.set(keyPrefix, new Set());
+    }
+    this.prefixIndex.get(keyPrefix).add(keyId);
+  }
+
+  // Create, rotate or disable the admin key configured via ADMIN_API_KEY
+  bootstrapAdminKey(adminApiKey) {
+    const existing = this.apiKeys.get(BOOTSTRAP_ADMIN_KEY_ID);
+
+    if (!adminApiKey) {
+      if (existing && existing.isActive) {
+        existing.isActive = false;
+        this.apiKeys.set(BOOTSTRAP_ADMIN_KEY_ID, existing);
+        console.log('🔑 ADMIN_API_KEY not set - bootstrapped admin key deactivated');
+      }
+      return;
+    }
+
+    if (existing && this.keyMatches(existing, adminApiKey)) {
+      if (!existing.isActive) {
+        existing.isActive = true;
+        this.apiKeys.set(BOOTSTRAP_ADMIN_KEY_ID, existing);
+      }
+      return;
+    }
+
+    const keySalt = crypto.randomBytes(16).toString('hex');
+    const keyRecord = {
+      ...(existing || {
+        id: BOOTSTRAP_ADMIN_KEY_ID,
+        clientName: 'Memoora Admin',
+        email: null,
+        companyWebsite: null,
+        phoneNumber: null,
+        description: 'Bootstrapped from ADMIN_API_KEY',
+        createdAt: new Date().toISOString(),
+        lastUsed: null,
+        requestCount: 0,
+        limits: {
+          maxCallsPerDay: 20,
+          maxCallsPerMonth: 100,
+          maxCallsPerHour: 5
+        },
+        callTimestamps: []
+      }),
+      keyType: 'admin',
+      permissions: [...PERMISSIONS],
+      keyPrefix: this.getKeyPrefix(adminApiKey),
+      keyHash: this.hashApiKey(adminApiKey, keySalt),
+      keySalt,
+      isActive: true
+    };
+
+    this.apiKeys.set(BOOTSTRAP_ADMIN_KEY_ID, keyRecord);
+    this.indexKey(keyRecord.keyPrefix, BOOTSTRAP_ADMIN_KEY_ID);
+
+    console.log(`🔑 Admin API key ${existing ? 'rotated' : 'bootstrapped'} from ADMIN_API_KEY`);
+  }
+
+  // Validate a list of permission scopes
+  validatePermissions(permissions) {
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+      return { valid: false, message: 'permissions must be a non-empty array' };
+    }
+
+    const unknown = permissions.filter(permission => !PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+      return { valid: false, message: `Unknown permissions: ${unknown.join(', ')}`, allowed: PERMISSIONS };
+    }
+
+    return { valid: true };
+  }
+
+  // Validate quota limits, returning a list of problems. Each limit is a
+  // positive whole number of calls for one of the quota windows.
+  validateLimits(limits) {
+    if (typeof limits !== 'object' || limits === null || Array.isArray(limits)) {
+      return ['limits must be an object'];
+    }
+
+    const fields = QUOTA_WINDOWS.map(window => window.limitField);
+    const errors = Object.keys(limits)
+      .filter(field => !fields.includes(field))
+      .map(field => `${field} is not supported (use ${fields.join(', ')})`);
+    for (const field of fields) {
+      if (limits[field] !== undefined && (!Number.isInteger(limits[field]) || limits[field] < 1)) {
+        errors.push(`${field} must be a positive whole number`);
+      }
+    }
+    return errors;
+  }
+
+  // Check whether a key record is an admin key
+  isAdmin(keyRecord) {
+    return !!keyRecord && keyRecord.keyType === 'admin';
+  }
+
+  // Check whether a key record grants a scope
+  hasPermission(keyRecord, permission) {
+    if (!keyRecord) return false;
+    if (this.isAdmin(keyRecord)) return true;
+    return (keyRecord.permissions || []).includes(permission);
+  }
+
+  // Strip hash material before a key record leaves the service
+  toPublicRecord(keyRecord) {
+    const { keyHash, keySalt, callTimestamps, ...publicRecord } = keyRecord;
+    return publicRecord;
+  }
+
+  // Create and store a new API key. The plaintext key is only returned here.
   createApiKey(clientData) {
-    const { clientName, email, companyWebsite, phoneNumber, description } = clientData;
+    const { clientName, email, companyWebsite, phoneNumber, description, keyType, permissions, limits, retryPolicy, voicePersona, smsSettings } = clientData;
+
+    if (permissions) {
+      const validation = this.validatePermissions(permissions);
+      if (!validation.valid) {
+        throw new Error(validation.message);
+      }
+    }
+
+    const limitErrors = limits !== undefined ? this.validateLimits(limits) : [];
+    if (limitErrors.length > 0) {
+      throw new Error(`Invalid limits: ${limitErrors.join('; ')}`);
+    }
     
     // Generate unique key and ID
     const apiKey = this.generateApiKey();
     const keyId = this.generateKeyId();
+    const keySalt = crypto.randomBytes(16).toString('hex');
     
     // Create key record
     const keyRecord = {
       id: keyId,
-      key: apiKey,
+      keyPrefix: this.getKeyPrefix(apiKey),
+      keyHash: this.hashApiKey(apiKey, keySalt),
+      keySalt,
       clientName,
       email,
       companyWebsite,
@@ -40,45 +213,67 @@ class SimpleApiKeyService {
       description: description || '',
       createdAt: new Date().toISOString(),
       isActive: true,
-      permissions: ['call', 'recordings', 'read'],
+      keyType: keyType === 'admin' ? 'admin' : 'client',
+      permissions: keyType === 'admin' ? [...PERMISSIONS] : (permissions || [...PERMISSIONS]),
       lastUsed: null,
       requestCount: 0,
       limits: {
         maxCallsPerDay: 20,
         maxCallsPerMonth: 100,
-        maxCallsPerHour: 5
-      }
+        maxCallsPerHour: 5,
+        ...limits
+      },
+      // Default retry policy for this key's calls (null means no retries)
+      retryPolicy: retryPolicy || null,
+      // Default voice and script for this key's calls (see simple-voice-persona)
+      voicePersona: voicePersona || null,
+      // Heads-up and thank-you texts for this key's calls (see simple-sms-settings)
+      smsSettings: smsSettings || null,
+      // Timestamps of calls within the longest quota window
+      callTimestamps: []
     };
     
-    // Store in memory
-    this.apiKeys.set(apiKey, keyRecord);
-    this.keyUsage.set(apiKey, {
-      dailyCalls: 0,
-      monthlyCalls: 0,
-      hourlyCalls: 0,
-      lastReset: {
-        daily: new Date().toDateString(),
-        monthly: new Date().getMonth(),
-        hourly: new Date().getHours()
-      }
-    });
+    // Persist the hashed record
+    this.apiKeys.set(keyId, keyRecord);
+    this.indexKey(keyRecord.keyPrefix, keyId);
     
     console.log(`🔑 New API key created: ${keyId} for ${clientName}`);
     
     return {
       apiKey,
       keyId,
-      ...keyRecord
+      ...this.toPublicRecord(keyRecord)
     };
   }
 
+  // Compare a plaintext key against a stored hash in constant time
+  keyMatches(keyRecord, apiKey) {
+    const expected = Buffer.from(keyRecord.keyHash, 'hex');
+    const actual = Buffer.from(this.hashApiKey(apiKey, keyRecord.keySalt), 'hex');
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  // Find the stored record matching a plaintext key
+  findKeyRecord(apiKey) {
+    const candidates = this.prefixIndex.get(this.getKeyPrefix(apiKey)) || [];
+
+    for (const keyId of candidates) {
+      const keyRecord = this.apiKeys.get(keyId);
+      if (keyRecord && this.keyMatches(keyRecord, apiKey)) {
+        return keyRecord;
+      }
+    }
+
+    return null;
+  }
+
   // Validate an API key
-  validateApiKey(apiKey) {
+  validateApiKey(apiKey, now = Date.now()) {
     if (!apiKey || typeof apiKey !== 'string') {
       return { valid: false, message: 'Invalid API key format' };
     }
     
-    const keyRecord = this.apiKeys.get(apiKey);
+    const keyRecord = this.findKeyRecord(apiKey);
     if (!keyRecord) {
       return { valid: false, message: 'API key not found' };
     }
@@ -87,99 +282,103 @@ class SimpleApiKeyService {
       return { valid: false, message: 'API key is inactive' };
     }
     
-    // Update last used timestamp
-    keyRecord.lastUsed = new Date().toISOString();
+    // Update last used timestamp (persisted at most once a minute per key)
+    keyRecord.lastUsed = new Date(now).toISOString();
+    if (now - (this.lastUsedPersistedAt.get(keyRecord.id) || 0) >= LAST_USED_PERSIST_INTERVAL_MS) {
+      this.apiKeys.set(keyRecord.id, keyRecord);
+      this.lastUsedPersistedAt.set(keyRecord.id, now);
+    }
     
     return { 
       valid: true, 
       message: 'API key valid',
-      keyRecord 
+      keyRecord: this.toPublicRecord(keyRecord)
     };
   }
 
-  // Check rate limits for an API key
-  checkRateLimits(apiKey) {
-    const usage = this.keyUsage.get(apiKey);
-    if (!usage) {
-      return { allowed: false, message: 'API key not found' };
-    }
-    
-    const now = new Date();
-    const currentHour = now.getHours();
-    const currentDay = now.toDateString();
-    const currentMonth = now.getMonth();
-    
-    // Reset counters if needed
-    if (usage.lastReset.hourly !== currentHour) {
-      usage.hourlyCalls = 0;
-      usage.lastReset.hourly = currentHour;
-    }
-    
-    if (usage.lastReset.daily !== currentDay) {
-      usage.dailyCalls = 0;
-      usage.lastReset.daily = currentDay;
-    }
-    
-    if (usage.lastReset.monthly !== currentMonth) {
-      usage.monthlyCalls = 0;
-      usage.lastReset.monthly = currentMonth;
-    }
-    
-    // Check limits
-    const keyRecord = this.apiKeys.get(apiKey);
+  // Usage per quota window, counting calls in the trailing window rather than
+  // since the last clock-hour/day/month boundary
+  getQuota(keyId, now = Date.now()) {
+    const keyRecord = this.apiKeys.get(keyId);
     if (!keyRecord) {
-      return { allowed: false, message: 'API key not found' };
-    }
-    
-    if (usage.hourlyCalls >= keyRecord.limits.maxCallsPerHour) {
-      return { 
-        allowed: false, 
-        message: 'Hourly rate limit exceeded',
-        retryAfter: '1 hour'
-      };
+      return null;
     }
-    
-    if (usage.dailyCalls >= keyRecord.limits.maxCallsPerDay) {
-      return { 
-        allowed: false, 
-        message: 'Daily rate limit exceeded',
-        retryAfter: '24 hours'
+
+    const timestamps = (keyRecord.callTimestamps || [])
+      .map(timestamp => new Date(timestamp).getTime())
+      .sort((a, b) => a - b);
+
+    return QUOTA_WINDOWS.map(window => {
+      const limit = keyRecord.limits[window.limitField];
+      const inWindow = timestamps.filter(timestamp => timestamp > now - window.durationMs);
+      const used = inWindow.length;
+
+      // A slot frees up when the oldest call that keeps us at the limit ages out
+      const blockingCall = used >= limit ? inWindow[used - limit] : inWindow[0];
+      const resetAt = blockingCall !== undefined ? blockingCall + window.durationMs : now;
+
+      return {
+        window: window.name,
+        limit,
+        used,
+        remaining: Math.max(0, limit - used),
+        resetAt: new Date(resetAt).toISOString(),
+        retryAfterSeconds: used >= limit ? Math.max(1, Math.ceil((resetAt - now) / 1000)) : 0
       };
+    });
+  }
+
+  // Check rate limits for an API key
+  checkRateLimits(keyId) {
+    const quota = this.getQuota(keyId);
+    if (!quota) {
+      return { allowed: false, message: 'API key not found' };
     }
-    
-    if (usage.monthlyCalls >= keyRecord.limits.maxCallsPerMonth) {
-      return { 
-        allowed: false, 
-        message: 'Monthly rate limit exceeded',
-        retryAfter: 'Next month'
+
+    // Report the tightest window so headers reflect what will block next
+    const exceeded = quota.filter(window => window.remaining === 0);
+    const current = exceeded.length > 0
+      ? exceeded.reduce((a, b) => (a.retryAfterSeconds >= b.retryAfterSeconds ? a : b))
+      : quota.reduce((a, b) => (a.remaining <= b.remaining ? a : b));
+
+    if (exceeded.length > 0) {
+      const label = current.window.charAt(0).toUpperCase() + current.window.slice(1);
+      return {
+        allowed: false,
+        message: `${label} rate limit exceeded`,
+        retryAfter: current.retryAfterSeconds,
+        current,
+        quota
       };
     }
-    
-    return { allowed: true, message: 'Rate limits OK' };
+
+    return { allowed: true, message: 'Rate limits OK', current, quota };
   }
 
   // Increment usage for an API key
-  incrementUsage(apiKey, endpoint = 'general') {
-    const usage = this.keyUsage.get(apiKey);
-    if (!usage) return;
-    
-    usage.hourlyCalls++;
-    usage.dailyCalls++;
-    usage.monthlyCalls++;
-    
-    // Also increment the key record's request count
-    const keyRecord = this.apiKeys.get(apiKey);
-    if (keyRecord) {
-      keyRecord.requestCount++;
-    }
+  incrementUsage(keyId, endpoint = 'general') {
+    const keyRecord = this.apiKeys.get(keyId);
+    if (!keyRecord) return;
+
+    // Drop timestamps older than the longest window
+    const longestWindowMs = Math.max(...QUOTA_WINDOWS.map(window => window.durationMs));
+    const cutoff = Date.now() - longestWindowMs;
+    keyRecord.callTimestamps = (keyRecord.callTimestamps || [])
+      .filter(timestamp => new Date(timestamp).getTime() > cutoff);
+    keyRecord.callTimestamps.push(new Date().toISOString());
+    keyRecord.requestCount++;
+    this.apiKeys.set(keyId, keyRecord);
     
-    console.log(`📊 API key usage incremented: ${apiKey.substring(0, 8)}... (${endpoint})`);
+    console.log(`📊 API key usage incremented: ${keyId} (${endpoint})`);
   }
 
   // Get all API keys (for admin purposes)
   getAllApiKeys() {
     return Array.from(this.apiKeys.values()).map(key => ({
       id: key.id,
+      keyPrefix: key.keyPrefix,
+      keyType: key.keyType || 'client',
+      permissions: key.permissions,
       clientName: key.clientName,
       email: key.email,
       createdAt: key.createdAt,
@@ -189,19 +388,115 @@ class SimpleApiKeyService {
     }));
   }
 
+  // Get a single API key (without hash material)
+  getApiKey(keyId) {
+    const keyRecord = this.apiKeys.get(keyId);
+    return keyRecord ? this.toPublicRecord(keyRecord) : null;
+  }
+
   // Revoke an API key
-  revokeApiKey(apiKey) {
-    const keyRecord = this.apiKeys.get(apiKey);
+  revokeApiKey(keyId) {
+    const keyRecord = this.apiKeys.get(keyId);
     if (!keyRecord) {
       return { success: false, message: 'API key not found' };
     }
+
+    if (keyId === BOOTSTRAP_ADMIN_KEY_ID) {
+      return { success: false, message: 'The configured admin key is managed by ADMIN_API_KEY' };
+    }
     
     keyRecord.isActive = false;
-    this.apiKeys.set(apiKey, keyRecord);
+    keyRecord.revokedAt = new Date().toISOString();
+    this.apiKeys.set(keyId, keyRecord);
     
     console.log(`🗑️ API key revoked: ${keyRecord.id}`);
     
-    return { success: true, message: 'API key revoked successfully' };
+    return { success: true, message: 'API key revoked successfully', apiKey: this.toPublicRecord(keyRecord) };
+  }
+
+  // Reactivate a revoked API key
+  reactivateApiKey(keyId) {
+    const keyRecord = this.apiKeys.get(keyId);
+    if (!keyRecord) {
+      return { success: false, message: 'API key not found' };
+    }
+
+    keyRecord.isActive = true;
+    keyRecord.revokedAt = null;
+    this.apiKeys.set(keyId, keyRecord);
+
+    console.log(`🔑 API key reactivated: ${keyRecord.id}`);
+
+    return { success: true, message: 'API key reactivated successfully', apiKey: this.toPublicRecord(keyRecord) };
+  }
+
+  // Replace the permission scopes on a client key
+  updatePermissions(keyId, permissions) {
+    const keyRecord = this.apiKeys.get(keyId);
+    if (!keyRecord) {
+      return { success: false, message: 'API key not found' };
+    }
+
+    if (this.isAdmin(keyRecord)) {
+      return { success: false, message: 'Admin keys always hold every permission' };
+    }
+
+    const validation = this.validatePermissions(permissions);
+    if (!validation.valid) {
+      return { success: false, message: validation.message };
+    }
+
+    keyRecord.permissions = [...new Set(permissions)];
+    this.apiKeys.set(keyId, keyRecord);
+
+    console.log(`🔑 API key ${keyRecord.id} permissions set to: ${keyRecord.permissions.join(', ')}`);
+
+    return { success: true, message: 'API key permissions updated', apiKey: this.toPublicRecord(keyRecord) };
+  }
+
+  // Set the default retry policy for a key's calls (validated by the caller)
+  updateRetryPolicy(keyId, retryPolicy) {
+    const keyRecord = this.apiKeys.get(keyId);
+    if (!keyRecord) {
+      return { success: false, message: 'API key not found' };
+    }
+
+    keyRecord.retryPolicy = retryPolicy || null;
+    this.apiKeys.set(keyId, keyRecord);
+
+    console.log(`🔑 API key ${keyRecord.id} retry policy ${keyRecord.retryPolicy ? 'updated' : 'cleared'}`);
+
+    return { success: true, message: 'Retry policy updated', apiKey: this.toPublicRecord(keyRecord) };
+  }
+
+  // Set or clear (null) the default voice persona for a key's calls
+  updateVoicePersona(keyId, voicePersona) {
+    const keyRecord = this.apiKeys.get(keyId);
+    if (!keyRecord) {
+      return { success: false, message: 'API key not found' };
+    }
+
+    keyRecord.voicePersona = voicePersona || null;
+    this.apiKeys.set(keyId, keyRecord);
+
+    console.log(`🔑 API key ${keyRecord.id} voice persona ${keyRecord.voicePersona ? 'updated' : 'cleared'}`);
+
+    return { success: true, message: 'Voice persona updated', apiKey: this.toPublicRecord(keyRecord) };
+  }
+
+  // Set or clear (null) the heads-up and thank-you texts for a key's calls
+  updateSmsSettings(keyId, smsSettings) {
+    const keyRecord = this.apiKeys.get(keyId);
+    if (!keyRecord) {
+      return { success: false, message: 'API key not found' };
+    }
+
+    keyRecord.smsSettings = smsSettings || null;
+    this.apiKeys.set(keyId, keyRecord);
+
+    console.log(`🔑 API key ${keyRecord.id} SMS settings ${keyRecord.smsSettings ? 'updated' : 'cleared'}`);
+
+    return { success: true, message: 'SMS settings updated', apiKey: this.toPublicRecord(keyRecord) };
   }
 
   // Get service stats
@@ -214,7 +509,7 @@ class SimpleApiKeyService {
       totalKeys,
       activeKeys,
       totalRequests,
-      storageType: 'in-memory',
+      storageType: this.apiKeys.type,
       uptime: process.uptime()
     };
   }
@@ -0,0 +1,138 @@
+const { resolveVoicePersona } = require('./simple-voice-persona');
+const { translate } = require('./simple-locales');
+const { validateSpeech, speechText } = require('./simple-twiml');
+
+// Speaking speed at rate 1.0: words a minute, or characters a minute for
+// Chinese, which is written without spaces
+const WORDS_PER_MINUTE = 150;
+const HAN_CHARACTERS_PER_MINUTE = 240;
+
+// Questions that take longer than this to read are hard to follow by phone
+const LONG_QUESTION_SECONDS = 20;
+
+// Characters the voice reads out literally or skips
+const UNSPEAKABLE_CHARACTERS = /[\p{Extended_Pictographic}#*_~^|\\{}[\]]/gu;
+
+// Seconds it takes to say a text at a speaking rate
+function estimateSpeechSeconds(text, rate = 1) {
+  const hanCharacters = (text.match(/\p{Script=Han}/gu) || []).length;
+  const words = text.replace(/\p{Script=Han}/gu, ' ').split(/\s+/).filter(Boolean).length;
+  const minutes = words / WORDS_PER_MINUTE + hanCharacters / HAN_CHARACTERS_PER_MINUTE;
+
+  return Math.round(minutes / rate * 600) / 10;
+}
+
+// Seconds it takes to say a text, including any SSML <break>s in it
+function estimateSayingSeconds(text, rate) {
+  const spoken = speechText(text);
+  return Math.round((estimateSpeechSeconds(spoken.text, rate) + spoken.breakSeconds) * 10) / 10;
+}
+
+// Problems with a piece of custom text the storyteller will hear
+function textWarnings(label, text) {
+  const warnings = [];
+
+  const unspeakable = [...new Set(speechText(text).text.match(UNSPEAKABLE_CHARACTERS) || [])];
+  if (unspeakable.length > 0) {
+    warnings.push(`${label} contains characters the voice can't read naturally: ${unspeakable.join(' ')}`);
+  }
+
+  // Only possible for text that skipped validation, such as VOICEMAIL_MESSAGE
+  const ssmlErrors = validateSpeech(text);
+  if (ssmlErrors.length > 0) {
+    warnings.push(`${label} has SSML that can't be used, so it is read out as written: ${ssmlErrors.join('; ')}`);
+  }
+
+  return warnings;
+}
+
+// What a call will sound like, step by step, without placing it: the plain
+// text script, how long the questions and prompts take to say (answers not
+// included), and warnings about the custom text. `voicemailMessage` is what
+// an answering machine hears when machine detection is on.
+function buildCallPreview(callRecord, { voicemailMessage = null, requestedLocale = null } = {}) {
+  const persona = resolveVoicePersona(null, callRecord.voicePersona, callRecord.locale);
+  const questions = callRecord.questions || [callRecord.customMessage];
+  const prompt = key => translate(callRecord.locale, key);
+  const steps = [];
+
+  const say = (label, text) => steps.push({ type: 'say', label, text: speechText(text).text, seconds: estimateSayingSeconds(text, persona.rate) });
+  const pause = name => {
+    if (persona.pauses[name] > 0) steps.push({ type: 'pause', label: name, seconds: persona.pauses[name] });
+  };
+
+  pause('afterPickup');
+  say('Greeting', persona.greeting);
+
+  if (callRecord.requireConsent) {
+    say('Consent', prompt('consentPrompt'));
+    say('Consent given', prompt('consentGranted'));
+  }
+  pause('afterGreeting');
+
+  if (callRecord.conference) {
+    say('Question 1', questions[0]);
+    say('Connecting', prompt('conferenceConnecting'));
+    steps.push({ type: 'conference', label: 'Family member joins; the conversation is recorded', seconds: 0 });
+  } else {
+    questions.forEach((question, index) => {
+      if (index > 0) pause('betweenQuestions');
+      say(`Question ${index + 1}`, question);
+      if (callRecord.interactive) {
+        say('Keypad menu', prompt('menuPrompt'));
+        say('Begin', prompt('menuBegin'));
+      }
+      pause('beforeRecording');
+      steps.push({ type: 'record', label: `Answer ${index + 1} is recorded`, seconds: 0 });
+      if (callRecord.reviewAnswers) {
+        say('Review', prompt('reviewIntro'));
+        say('Review menu', prompt('reviewPrompt'));
+      }
+    });
+  }
+  say('Closing', persona.closing);
+
+  const script = steps.map(step => step.type === 'say'
+    ? `${step.label}: ${step.text}`
+    : step.type === 'pause' ? `(pause ${step.seconds}s)` : `(${step.label})`
+  ).join('\n');
+
+  const spokenSeconds = steps.filter(step => step.type === 'say').reduce((total, step) => total + step.seconds, 0);
+  const pauseSeconds = steps.filter(step => step.type === 'pause').reduce((total, step) => total + step.seconds, 0);
+
+  const warnings = [];
+  if (requestedLocale && requestedLocale !== callRecord.locale) {
+    warnings.push(`No ${requestedLocale} catalog - the call will be spoken in ${callRecord.locale}`);
+  }
+  questions.forEach((question, index) => {
+    const seconds = estimateSayingSeconds(question, persona.rate);
+    if (seconds > LONG_QUESTION_SECONDS) {
+      warnings.push(`Question ${index + 1} takes about ${Math.round(seconds)} seconds to read; long questions are hard to follow by phone`);
+    }
+    warnings.push(...textWarnings(`Question ${index + 1}`, question));
+  });
+  warnings.push(...textWarnings('Greeting', persona.greeting));
+  warnings.push(...textWarnings('Closing', persona.closing));
+  if (voicemailMessage) {
+    warnings.push(...textWarnings('Voicemail message', voicemailMessage));
+  }
+
+  return {
+    script,
+    steps,
+    voicemail: voicemailMessage
+      ? { text: speechText(voicemailMessage).text, seconds: estimateSayingSeconds(voicemailMessage, persona.rate) }
+      : null,
+    estimatedDuration: {
+      spokenSeconds: Math.round(spokenSeconds),
+      pauseSeconds,
+      totalSeconds: Math.round(spokenSeconds + pauseSeconds)
+    },
+    warnings
+  };
+}
+
+module.exports = {
+  estimateSpeechSeconds,
+  buildCallPreview
+};
@@ -0,0 +1,140 @@
+const { validateRetryPolicy } = require('./simple-retry-policy');
+const { validateVoicePersona } = require('./simple-voice-persona');
+const { SUPPORTED_LOCALES, isValidLocaleTag, resolveLocale } = require('./simple-locales');
+const { speechErrors } = require('./simple-twiml');
+const { validateCallHeadsUp } = require('./simple-sms-settings');
+
+// Longest interview a single call will walk through
+const MAX_QUESTIONS = 10;
+
+// Longest voicemail message a client can leave on an answering machine
+const MAX_VOICEMAIL_MESSAGE_LENGTH = 500;
+
+// Check the call fields of a POST /call body (schedules take the same ones).
+// Returns the 400 response body, or null when the call can be placed.
+function callRequestError(body) {
+  const { phoneNumber, customMessage, questions, interactive, reviewAnswers, longStory, conference, retryPolicy, machineDetection, voicemailMessage, requireConsent, voicePersona, locale } = body;
+
+  if (!phoneNumber || (!customMessage && !questions)) {
+    return {
+      error: 'Missing required fields',
+      required: ['phoneNumber', 'customMessage or questions']
+    };
+  }
+
+  // An interview asks several questions in order, recording each answer
+  if (questions !== undefined && (!Array.isArray(questions) || questions.length === 0 || questions.length > MAX_QUESTIONS ||
+      questions.some(question => typeof question !== 'string' || !question.trim()))) {
+    return { error: `questions must be a list of 1-${MAX_QUESTIONS} non-empty strings` };
+  }
+
+  const retryErrors = retryPolicy !== undefined ? validateRetryPolicy(retryPolicy) : [];
+  if (retryErrors.length > 0) {
+    return { error: 'Invalid retry policy', details: retryErrors };
+  }
+
+  if (machineDetection !== undefined && typeof machineDetection !== 'boolean') {
+    return { error: 'machineDetection must be true or false' };
+  }
+
+  if (requireConsent !== undefined && typeof requireConsent !== 'boolean') {
+    return { error: 'requireConsent must be true or false' };
+  }
+
+  // A heads-up text goes out first and the call is dialed after the lead time
+  const headsUpErrors = validateCallHeadsUp(body.headsUp);
+  if (headsUpErrors.length > 0) {
+    return { error: 'Invalid headsUp', details: headsUpErrors };
+  }
+
+  // A part cut off mid-sentence can't be re-recorded on its own
+  if (longStory === true && reviewAnswers === true) {
+    return { error: 'longStory cannot be combined with reviewAnswers' };
+  }
+
+  // A conference call bridges in a family member who asks their own follow-ups
+  if (conference !== undefined) {
+    if (typeof conference !== 'object' || conference === null ||
+        typeof conference.familyMemberPhoneNumber !== 'string' || !conference.familyMemberPhoneNumber.trim()) {
+      return { error: 'conference must be an object with a familyMemberPhoneNumber' };
+    }
+    if (interactive === true || reviewAnswers === true || longStory === true) {
+      return { error: 'conference cannot be combined with interactive, reviewAnswers or longStory' };
+    }
+  }
+
+  if (voicemailMessage !== undefined && (typeof voicemailMessage !== 'string' || !voicemailMessage.trim() ||
+      voicemailMessage.length > MAX_VOICEMAIL_MESSAGE_LENGTH)) {
+    return { error: `voicemailMessage must be a non-empty string of at most ${MAX_VOICEMAIL_MESSAGE_LENGTH} characters` };
+  }
+
+  // Spoken text may use <break>, <emphasis> and <prosody>, written correctly
+  const ssmlErrors = [
+    ...(questions ? questions.flatMap((question, index) => speechErrors(`questions[${index}]`, question)) : speechErrors('customMessage', customMessage)),
+    ...speechErrors('voicemailMessage', voicemailMessage)
+  ];
+  if (ssmlErrors.length > 0) {
+    return { error: 'Invalid SSML', details: ssmlErrors };
+  }
+
+  if (locale !== undefined && !isValidLocaleTag(locale)) {
+    return { error: 'locale must be a language tag such as "es-US"', supportedLocales: SUPPORTED_LOCALES };
+  }
+
+  // A per-call voice has to speak the call's language
+  const personaErrors = voicePersona !== undefined ? validateVoicePersona(voicePersona, resolveLocale(locale)) : [];
+  if (personaErrors.length > 0) {
+    return { error: 'Invalid voice persona', details: personaErrors };
+  }
+
+  return null;
+}
+
+// The same check as a list of problems, for bodies validated alongside
+// other fields (schedules)
+function callRequestErrors(body) {
+  const requestError = callRequestError(body);
+  if (!requestError) return [];
+  if (requestError.details) return requestError.details;
+  if (requestError.required) return [`${requestError.error}: ${requestError.required.join(', ')}`];
+  return [requestError.error];
+}
+
+// The call settings of a checked body, as a schedule stores them
+function callSettingsFromRequest(body) {
+  return {
+    phoneNumber: body.phoneNumber,
+    customMessage: body.customMessage || body.questions[0],
+    questions: body.questions,
+    storytellerId: body.storytellerId,
+    familyMemberId: body.familyMemberId,
+    scheduledCallId: body.scheduledCallId,
+    callType: body.callType || 'storytelling',
+    // The keypad menu is on unless turned off; a conference call has none
+    interactive: body.interactive !== false && !body.conference,
+    reviewAnswers: body.reviewAnswers === true,
+    longStory: body.longStory === true,
+    conference: body.conference,
+    retryPolicy: body.retryPolicy,
+    machineDetection: body.machineDetection,
+    voicemailMessage: body.voicemailMessage,
+    requireConsent: body.requireConsent,
+    voicePersona: body.voicePersona,
+    locale: body.locale,
+    headsUp: body.headsUp
+  };
+}
+
+// Call details from a checked body, in the shape the dialer takes
+function callDataFromRequest(body, account) {
+  return { ...callSettingsFromRequest(body), apiKeyInfo: account };
+}
+
+module.exports = {
+  MAX_QUESTIONS,
+  MAX_VOICEMAIL_MESSAGE_LENGTH,
+  callRequestError,
+  callRequestErrors,
+  callSettingsFromRequest,
+  callDataFromRequest
+};
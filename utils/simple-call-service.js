@@ -1,10 +1,20 @@
+const { createStore } = require('./simple-storage');
+
 class SimpleCallService {
-  constructor() {
-    // In-memory storage for calls
-    this.calls = new Map();
+  constructor(options = {}) {
+    // Pluggable storage for calls (file-backed by default, in-memory for tests)
+    this.calls = options.store || createStore('calls', options);
     this.callCounter = 0;
+
+    // Index of Twilio call SID -> Memoora call ID for webhook correlation
+    this.callIdsByTwilioSid = new Map();
+    for (const [id, call] of this.calls) {
+      if (call.twilioSid) {
+        this.callIdsByTwilioSid.set(call.twilioSid, id);
+      }
+    }
     
-    console.log('📞 Simple Call Service initialized (in-memory storage)');
+    console.log(`📞 Simple Call Service initialized (${this.calls.type} storage)`);
   }
 
   // Generate a unique call ID
@@ -15,32 +25,119 @@ class SimpleCallService {
 
   // Create a new call record
   createCall(callData) {
+    const callRecord = this.buildCallRecord(callData);
+
+    // Store the call
+    this.calls.set(callRecord.id, callRecord);
+    
+    console.log(`📞 New call created: ${callRecord.id} to ${callRecord.phoneNumber}`);
+    console.log(`📞 Call details:`, {
+      id: callRecord.id,
+      phoneNumber: callRecord.phoneNumber,
+      callType: callData.callType,
+      interactive: callData.interactive,
+      clientName: callRecord.clientName
+    });
+
+    return callRecord;
+  }
+
+  // Build a call record without storing it (call previews use this too)
+  buildCallRecord(callData, callId = this.generateCallId()) {
     const {
       phoneNumber,
       customMessage,
+      questions,
       storytellerId,
       familyMemberId,
       scheduledCallId,
+      scheduleId,
+      campaignId,
       callType,
       recordingType,
+      direction,
+      inResponseToCallId,
       interactive,
+      reviewAnswers,
+      longStory,
+      conference,
+      retryPolicy,
+      machineDetection,
+      voicemailMessage,
+      requireConsent,
+      voicePersona,
+      locale,
+      attemptNumber,
+      originalCallId,
+      previousCallId,
+      sms,
+      heldUntil,
       apiKeyInfo
     } = callData;
 
-    const callId = this.generateCallId();
     const now = new Date().toISOString();
 
     const callRecord = {
       id: callId,
       phoneNumber,
       customMessage,
+      // Questions asked in order; each answer becomes a recording segment
+      questions: questions && questions.length > 0 ? questions : [customMessage],
+      segments: [],
+      // Each <Record> handed to Twilio (question, part, when), so a recording
+      // whose callback never came can be matched to its question by start time
+      recordPrompts: [],
       storytellerId: storytellerId || null,
       familyMemberId: familyMemberId || null,
       scheduledCallId: scheduledCallId || null,
+      scheduleId: scheduleId || null,
+      campaignId: campaignId || null,
       callType: callType || 'storytelling',
       recordingType: recordingType || 'phone_call',
+      // Inbound calls are storytellers calling us; they may answer an earlier call's question
+      direction: direction || 'outbound',
+      inResponseToCallId: inResponseToCallId || null,
       interactive: interactive || false,
-      status: 'initiated',
+      // Play each answer back and let the caller keep it or re-record
+      reviewAnswers: reviewAnswers || false,
+      // Keep recording past the length cap, as numbered parts of one story
+      longStory: longStory || false,
+      // Three-way call: the storyteller and a family member meet in a recorded
+      // conference; join/leave events are kept in order
+      conference: conference ? {
+        name: `memoora-${callId}`,
+        familyMemberPhoneNumber: conference.familyMemberPhoneNumber,
+        familyMemberTwilioSid: null,
+        familyMemberDialedAt: null,
+        // The family member's own answer when the call asks for consent
+        familyMemberConsent: null,
+        conferenceSid: null,
+        events: []
+      } : null,
+      // Answering machine detection: machines get voicemailMessage instead of the questions
+      machineDetection: machineDetection || false,
+      voicemailMessage: voicemailMessage || null,
+      // Ask to be allowed to record before anything is recorded; the answer
+      // (granted or declined, how, and what was heard) is kept in `consent`
+      requireConsent: requireConsent || false,
+      consent: null,
+      // Voice, greeting, closing and pauses the call is spoken with
+      voicePersona: voicePersona || null,
+      // Catalog locale the call is spoken in (see simple-locales)
+      locale: locale || null,
+      // Retry chain: attempt 1 is the original call; retries point back to it
+      retryPolicy: retryPolicy || null,
+      attemptNumber: attemptNumber || 1,
+      originalCallId: originalCallId || null,
+      previousCallId: previousCallId || null,
+      retry: null,
+      // Texts around the call: `headsUp` before it, `thankYou` after (see
+      // simple-sms-service), each with its message SID and delivery status
+      sms: sms || null,
+      // A call announced by a heads-up text is held until then, and dialed
+      // by the dialer's tick
+      heldUntil: heldUntil || null,
+      status: heldUntil ? 'held' : 'initiated',
       apiKeyId: apiKeyInfo.id,
       clientName: apiKeyInfo.clientName,
       createdAt: now,
@@ -50,22 +147,11 @@ class SimpleCallService {
         callType: callType || 'storytelling',
         recordingType: recordingType || 'phone_call',
         initiatedAt: now,
-        apiKeyUsed: apiKeyInfo.id
+        apiKeyUsed: apiKeyInfo.id,
+        attemptNumber: attemptNumber || 1
       }
     };
 
-    // Store the call
-    this.calls.set(callId, callRecord);
-    
-    console.log(`📞 New call created: ${callId} to ${phoneNumber}`);
-    console.log(`📞 Call details:`, {
-      id: callId,
-      phoneNumber,
-      callType,
-      interactive,
-      clientName: apiKeyInfo.clientName
-    });
-
     return callRecord;
   }
 
@@ -74,6 +160,43 @@ class SimpleCallService {
     return this.calls.get(callId);
   }
 
+  // Get a call by its Twilio call SID
+  getCallByTwilioSid(twilioSid) {
+    const callId = this.callIdsByTwilioSid.get(twilioSid);
+    return callId ? this.calls.get(callId) : undefined;
+  }
+
+  // Resolve the call a Twilio webhook refers to. The callId we embed in every
+  // callback URL wins; the CallSid index covers callbacks without one. A call
+  // that has no SID yet (webhook beat the makeCall response) is linked here.
+  resolveWebhookCall(callId, twilioSid) {
+    let call = callId ? this.calls.get(callId) : undefined;
+
+    if (!call && twilioSid) {
+      call = this.getCallByTwilioSid(twilioSid);
+    }
+
+    if (call && twilioSid && !call.twilioSid) {
+      this.linkTwilioSid(call.id, twilioSid);
+    }
+
+    return call || null;
+  }
+
+  // Record the Twilio SID for a call and index it
+  linkTwilioSid(callId, twilioSid) {
+    const call = this.calls.get(callId);
+    if (!call) {
+      throw new Error(`Call not found: ${callId}`);
+    }
+
+    call.twilioSid = twilioSid;
+    this.callIdsByTwilioSid.set(twilioSid, callId);
+    this.calls.set(callId, call);
+
+    return call;
+  }
+
   // Get all calls for an API key
   getCallsByApiKey(apiKeyId) {
     const calls = [];
@@ -107,6 +230,7 @@ class SimpleCallService {
     
     if (additionalData.twilioSid) {
       call.twilioSid = additionalData.twilioSid;
+      this.callIdsByTwilioSid.set(additionalData.twilioSid, callId);
     }
     
     if (additionalData.duration) {
@@ -118,11 +242,134 @@ class SimpleCallService {
     }
     if (additionalData.completedAt) call.completedAt = additionalData.completedAt;
 
+    this.calls.set(callId, call);
+
     console.log(`📞 Call ${callId} status updated to: ${status}`);
     
     return call;
   }
 
+  // Append a recording segment (one answered question) to a call
+  addRecordingSegment(callId, segment) {
+    const call = this.calls.get(callId);
+    if (!call) {
+      throw new Error(`Call not found: ${callId}`);
+    }
+
+    call.segments = [...(call.segments || []), segment];
+    call.updatedAt = new Date().toISOString();
+    this.calls.set(callId, call);
+
+    return segment;
+  }
+
+  // Note a <Record> handed to Twilio for one question (or part of it)
+  addRecordPrompt(callId, prompt) {
+    const call = this.calls.get(callId);
+    if (!call) {
+      throw new Error(`Call not found: ${callId}`);
+    }
+
+    call.recordPrompts = [...(call.recordPrompts || []), prompt];
+    call.updatedAt = new Date().toISOString();
+    this.calls.set(callId, call);
+
+    return prompt;
+  }
+
+  // Append a join/leave (or other) event to a conference call
+  addConferenceEvent(callId, event) {
+    const call = this.calls.get(callId);
+    if (!call || !call.conference) {
+      throw new Error(`Conference call not found: ${callId}`);
+    }
+
+    call.conference = { ...call.conference, events: [...call.conference.events, event] };
+    call.updatedAt = new Date().toISOString();
+    this.calls.set(callId, call);
+
+    return event;
+  }
+
+  // Merge changes into the segment with the given recording SID
+  updateRecordingSegment(callId, recordingSid, changes) {
+    const call = this.calls.get(callId);
+    const segment = call && (call.segments || []).find(s => s.recordingSid === recordingSid);
+    if (!segment) {
+      throw new Error(`Recording segment not found: ${callId}/${recordingSid}`);
+    }
+
+    Object.assign(segment, changes);
+    call.updatedAt = new Date().toISOString();
+    this.calls.set(callId, call);
+
+    return segment;
+  }
+
+  // Shallow-merge top-level fields into a call without touching its status
+  updateCall(callId, changes) {
+    const call = this.calls.get(callId);
+    if (!call) {
+      throw new Error(`Call not found: ${callId}`);
+    }
+
+    Object.assign(call, changes, { updatedAt: new Date().toISOString() });
+    this.calls.set(callId, call);
+
+    return call;
+  }
+
+  // Calls with a scheduled retry that has come due
+  getCallsAwaitingRetry(now = new Date()) {
+    const calls = [];
+    for (const [id, call] of this.calls) {
+      if (call.retry && call.retry.status === 'scheduled' && new Date(call.retry.nextRetryAt) <= now) {
+        calls.push(call);
+      }
+    }
+    return calls;
+  }
+
+  // Calls held for their heads-up text that have not been dialed yet
+  getHeldCalls() {
+    const calls = [];
+    for (const [id, call] of this.calls) {
+      if (call.status === 'held') {
+        calls.push(call);
+      }
+    }
+    return calls;
+  }
+
+  // Calls not updated since the cutoff whose recordings were never finalized
+  getUnsettledCalls(updatedBefore) {
+    const calls = [];
+    for (const [id, call] of this.calls) {
+      if (!call.recordingsFinalizedAt && new Date(call.updatedAt) < updatedBefore) {
+        calls.push(call);
+      }
+    }
+    return calls;
+  }
+
+  // Every attempt in a call's retry chain, oldest first
+  getCallAttempts(callId) {
+    const call = this.calls.get(callId);
+    if (!call) return [];
+
+    const original = this.calls.get(call.originalCallId || call.id) || call;
+    const attempts = [original, ...(original.retryCallIds || []).map(id => this.calls.get(id)).filter(Boolean)];
+
+    return attempts.map(attempt => ({
+      callId: attempt.id,
+      attemptNumber: attempt.attemptNumber || 1,
+      status: attempt.status,
+      outcome: attempt.metadata.finalOutcome || attempt.metadata.callOutcome || null,
+      retry: attempt.retry || null,
+      createdAt: attempt.createdAt
+    }));
+  }
+
   // Add recording information to a call
   addRecordingToCall(callId, recordingData) {
     const call = this.calls.get(callId);
@@ -137,6 +384,7 @@ class SimpleCallService {
     };
 
     call.updatedAt = new Date().toISOString();
+    this.calls.set(callId, call);
     
     console.log(`🎵 Recording added to call ${callId}:`, recordingData.filename);
     
@@ -169,14 +417,20 @@ class SimpleCallService {
     return completedCall;
   }
 
-  // Get call statistics
-  getCallStats() {
-    const totalCalls = this.calls.size;
+  // Get call statistics, optionally scoped to one API key
+  getCallStats(filters = {}) {
     const callsByStatus = {};
     const callsByType = {};
     const callsByClient = {};
+    let totalCalls = 0;
 
     for (const [id, call] of this.calls) {
+      if (filters.apiKeyId && call.apiKeyId !== filters.apiKeyId) {
+        continue;
+      }
+
+      totalCalls++;
+
       // Count by status
       callsByStatus[call.status] = (callsByStatus[call.status] || 0) + 1;
       
@@ -187,12 +441,13 @@ class SimpleCallService {
       callsByClient[call.clientName] = (callsByClient[call.clientName] || 0) + 1;
     }
 
+    // Per-client breakdown spans tenants, so only unscoped stats include it
     return {
       totalCalls,
       callsByStatus,
       callsByType,
-      callsByClient,
-      storageType: 'in-memory',
+      ...(filters.apiKeyId ? {} : { callsByClient }),
+      storageType: this.calls.type,
       uptime: process.uptime()
     };
   }
@@ -218,6 +473,11 @@ class SimpleCallService {
       if (filters.clientName && call.clientName !== filters.clientName) {
         matches = false;
       }
+
+      // Filter by owning API key
+      if (filters.apiKeyId && call.apiKeyId !== filters.apiKeyId) {
+        matches = false;
+      }
       
       // Filter by date range
       if (filters.startDate) {
@@ -243,6 +503,11 @@ class SimpleCallService {
 
   // Delete a call (for cleanup)
   deleteCall(callId) {
+    const call = this.calls.get(callId);
+    if (call && call.twilioSid) {
+      this.callIdsByTwilioSid.delete(call.twilioSid);
+    }
+
     const deleted = this.calls.delete(callId);
     if (deleted) {
       console.log(`🗑️ Call ${callId} deleted`);
@@ -0,0 +1,488 @@
+const crypto = require('crypto');
+const { createStore } = require('./simple-storage');
+const { callRequestErrors } = require('./simple-call-request');
+
+// Largest campaign accepted in one request
+const MAX_CAMPAIGN_CALLS = 1000;
+
+// POST /call fields set once for every call in a campaign
+const SHARED_CALL_FIELDS = ['callType', 'interactive', 'longStory', 'machineDetection', 'voicemailMessage', 'requireConsent', 'voicePersona', 'locale', 'headsUp'];
+
+// Pace limits, in calls placed per minute
+const MIN_CALLS_PER_MINUTE = 1;
+const MAX_CALLS_PER_MINUTE = 60;
+
+// Only the first few problems are reported for a large upload
+const MAX_REPORTED_ERRORS = 20;
+
+// Final statuses of the last attempt that count as a failed campaign call
+const FAILED_CALL_STATUSES = ['twilio_failed', 'busy', 'no-answer', 'failed', 'canceled', 'recording_failed', 'canceled_by_client', 'voicemail_left', 'consent_declined'];
+
+// Split CSV text into rows of fields. Quoted fields may hold commas, line
+// breaks and doubled quotes ("").
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+// Turn a spreadsheet export into campaign calls. The header row names the
+// columns: "Phone Number", "Storyteller ID", "Family Member ID", "Locale",
+// and one or more "Question" columns (asked in column order).
+function parseCampaignCsv(text) {
+  const [header, ...rows] = parseCsvRows(text || '');
+  if (!header) {
+    return { calls: [], errors: ['CSV is empty'] };
+  }
+
+  const columns = header.map(name => name.toLowerCase().replace(/[^a-z0-9]/g, ''));
+  const column = (...names) => columns.findIndex(name => names.includes(name));
+  const phoneColumn = column('phonenumber', 'phone');
+  const questionColumns = columns
+    .map((name, index) => (/^question\d*$/.test(name) || name === 'custommessage' ? index : -1))
+    .filter(index => index !== -1);
+
+  const errors = [];
+  if (phoneColumn === -1) errors.push('CSV needs a "phoneNumber" column');
+  if (questionColumns.length === 0) errors.push('CSV needs at least one "question" column');
+  if (errors.length > 0) {
+    return { calls: [], errors };
+  }
+
+  const value = (fields, index) => (index !== -1 && fields[index] ? fields[index].trim() : '');
+  const calls = rows.map(fields => ({
+    phoneNumber: value(fields, phoneColumn),
+    questions: questionColumns.map(index => value(fields, index)).filter(Boolean),
+    storytellerId: value(fields, column('storytellerid')) || undefined,
+    familyMemberId: value(fields, column('familymemberid')) || undefined,
+    locale: value(fields, column('locale')) || undefined
+  }));
+
+  return { calls, errors };
+}
+
+// Places a list of calls for a key at a steady pace. Each campaign call is
+// dialed through the dialer like any other call, counts against the key's
+// quota, and follows its call (and any retries) to a final status.
+class SimpleCampaignService {
+  constructor(apiKeyService, dialerService, callService, options = {}) {
+    this.apiKeyService = apiKeyService;
+    this.dialerService = dialerService;
+    this.callService = callService;
+    this.campaigns = options.store || createStore('campaigns', options);
+
+    this.intervalMs = (options.intervalSeconds || 5) * 1000;
+    this.defaultCallsPerMinute = options.callsPerMinute || 6;
+    this.timer = null;
+
+    console.log(`📣 Simple Campaign Service initialized (${this.campaigns.type} storage)`);
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+
+    console.log(`📣 Campaign worker started (every ${this.intervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  generateCampaignId() {
+    return `camp_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  parseCsv(text) {
+    return parseCampaignCsv(text);
+  }
+
+  // Validate campaign input, returning a list of problems
+  validateCampaign(input) {
+    const errors = [];
+
+    if (input.name !== undefined && (typeof input.name !== 'string' || input.name.length > 100)) {
+      errors.push('name must be a string of at most 100 characters');
+    }
+
+    if (!Array.isArray(input.calls) || input.calls.length === 0 || input.calls.length > MAX_CAMPAIGN_CALLS) {
+      errors.push(`calls must be a list of 1-${MAX_CAMPAIGN_CALLS} calls`);
+    } else {
+      errors.push(...this.callErrors(input));
+    }
+
+    if (input.callsPerMinute !== undefined && (!Number.isInteger(input.callsPerMinute) ||
+        input.callsPerMinute < MIN_CALLS_PER_MINUTE || input.callsPerMinute > MAX_CALLS_PER_MINUTE)) {
+      errors.push(`callsPerMinute must be a whole number from ${MIN_CALLS_PER_MINUTE} to ${MAX_CALLS_PER_MINUTE}`);
+    }
+
+    return errors.length > MAX_REPORTED_ERRORS
+      ? [...errors.slice(0, MAX_REPORTED_ERRORS), `...and ${errors.length - MAX_REPORTED_ERRORS} more`]
+      : errors;
+  }
+
+  // Check each call, with the shared settings, the way POST /call checks it.
+  // A problem every call has comes from the shared settings and is reported
+  // once.
+  callErrors(input) {
+    const shared = {};
+    for (const field of SHARED_CALL_FIELDS) {
+      if (input[field] !== undefined && input[field] !== null) shared[field] = input[field];
+    }
+
+    const results = input.calls.map(call => {
+      if (!call || typeof call.phoneNumber !== 'string' || !call.phoneNumber.trim()) {
+        return ['phoneNumber is required'];
+      }
+      return callRequestErrors({
+        ...shared,
+        phoneNumber: call.phoneNumber,
+        customMessage: call.customMessage,
+        questions: call.questions,
+        locale: call.locale || shared.locale
+      });
+    });
+
+    const errors = [];
+    const reported = new Set();
+    results.forEach((messages, index) => {
+      for (const message of messages) {
+        if (input.calls.length > 1 && results.every(other => other.includes(message))) {
+          if (!reported.has(message)) errors.push(message);
+          reported.add(message);
+        } else {
+          errors.push(`calls[${index}]: ${message}`);
+        }
+      }
+    });
+    return errors;
+  }
+
+  // Create a campaign owned by an API key. Dialing starts on the next tick.
+  createCampaign(input, keyRecord) {
+    const now = new Date().toISOString();
+    const campaignId = this.generateCampaignId();
+
+    const campaign = {
+      id: campaignId,
+      apiKeyId: keyRecord.id,
+      clientName: keyRecord.clientName,
+      name: input.name || null,
+      status: 'active',
+      callsPerMinute: input.callsPerMinute || this.defaultCallsPerMinute,
+      // Settings shared by every call in the campaign
+      call: {
+        callType: input.callType || 'storytelling',
+        interactive: input.interactive !== false,
+        longStory: input.longStory === true,
+        machineDetection: typeof input.machineDetection === 'boolean' ? input.machineDetection : null,
+        voicemailMessage: input.voicemailMessage || null,
+        requireConsent: typeof input.requireConsent === 'boolean' ? input.requireConsent : null,
+        voicePersona: input.voicePersona || null,
+        locale: input.locale || null,
+        // Each call is held for its heads-up text before it rings
+        headsUp: input.headsUp || null
+      },
+      calls: input.calls.map((call, index) => ({
+        index,
+        phoneNumber: call.phoneNumber.trim(),
+        questions: call.questions || [call.customMessage],
+        storytellerId: call.storytellerId || null,
+        familyMemberId: call.familyMemberId || null,
+        locale: call.locale || null,
+        status: 'queued',
+        callId: null,
+        attempts: 0,
+        outcome: null,
+        dialedAt: null,
+        finishedAt: null
+      })),
+      progress: null,
+      // Null until the first call is placed on the next tick
+      nextDialAt: null,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    campaign.progress = this.countProgress(campaign);
+
+    this.campaigns.set(campaignId, campaign);
+
+    console.log(`📣 Campaign ${campaignId} created with ${campaign.calls.length} call(s) at ${campaign.callsPerMinute}/min`);
+
+    return campaign;
+  }
+
+  // A campaign with its calls brought up to date
+  getCampaign(campaignId) {
+    const campaign = this.campaigns.get(campaignId);
+    return campaign ? this.refreshCampaign(campaign) : undefined;
+  }
+
+  // Campaigns for an API key, newest first
+  getCampaignsByApiKey(apiKeyId) {
+    return Array.from(this.campaigns.values())
+      .filter(campaign => campaign.apiKeyId === apiKeyId)
+      .map(campaign => this.refreshCampaign(campaign))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Pause or resume a campaign, or change its pace
+  updateCampaign(campaignId, changes) {
+    const campaign = this.campaigns.get(campaignId);
+    if (!campaign) {
+      throw new Error(`Campaign not found: ${campaignId}`);
+    }
+
+    if (['canceled', 'completed'].includes(campaign.status)) {
+      const error = new Error(`Campaign is ${campaign.status} and can no longer be changed`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const errors = [];
+    if (changes.status !== undefined && !['active', 'paused'].includes(changes.status)) {
+      errors.push('status can only be changed to "active" or "paused"');
+    }
+    if (changes.callsPerMinute !== undefined && (!Number.isInteger(changes.callsPerMinute) ||
+        changes.callsPerMinute < MIN_CALLS_PER_MINUTE || changes.callsPerMinute > MAX_CALLS_PER_MINUTE)) {
+      errors.push(`callsPerMinute must be a whole number from ${MIN_CALLS_PER_MINUTE} to ${MAX_CALLS_PER_MINUTE}`);
+    }
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.statusCode = 400;
+      error.errors = errors;
+      throw error;
+    }
+
+    const now = new Date().toISOString();
+    if (changes.callsPerMinute) {
+      campaign.callsPerMinute = changes.callsPerMinute;
+    }
+    if (changes.status === 'paused' && campaign.status === 'active') {
+      campaign.status = 'paused';
+      campaign.pausedAt = now;
+    } else if (changes.status === 'active' && campaign.status === 'paused') {
+      // Resume at the normal pace rather than catching up on the paused time
+      campaign.status = 'active';
+      campaign.pausedAt = null;
+      campaign.nextDialAt = null;
+      campaign.lastError = null;
+    }
+    campaign.updatedAt = now;
+    this.campaigns.set(campaignId, campaign);
+
+    console.log(`📣 Campaign ${campaignId} updated (status: ${campaign.status}, ${campaign.callsPerMinute}/min)`);
+
+    return this.refreshCampaign(campaign);
+  }
+
+  // Cancel a campaign. Calls already placed carry on; queued ones are dropped.
+  cancelCampaign(campaignId) {
+    const campaign = this.campaigns.get(campaignId);
+    if (!campaign) {
+      throw new Error(`Campaign not found: ${campaignId}`);
+    }
+
+    if (['canceled', 'completed'].includes(campaign.status)) {
+      const error = new Error(`Campaign is already ${campaign.status}`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    for (const call of campaign.calls.filter(call => call.status === 'queued')) {
+      call.status = 'canceled';
+    }
+    campaign.status = 'canceled';
+    campaign.nextDialAt = null;
+    campaign.canceledAt = new Date().toISOString();
+    campaign.updatedAt = campaign.canceledAt;
+    campaign.progress = this.countProgress(campaign);
+    this.campaigns.set(campaignId, campaign);
+
+    console.log(`📣 Campaign ${campaignId} canceled`);
+
+    return this.refreshCampaign(campaign);
+  }
+
+  // Dial the calls that are due in every active campaign
+  tick(now = new Date()) {
+    for (const campaign of Array.from(this.campaigns.values())) {
+      if (!['active', 'paused'].includes(campaign.status)) continue;
+
+      try {
+        this.refreshCampaign(campaign);
+        if (campaign.status === 'active') {
+          this.runCampaign(campaign, now);
+        }
+      } catch (error) {
+        console.error(`❌ Campaign ${campaign.id} run failed:`, error.message);
+      }
+    }
+  }
+
+  // Place the campaign's next calls, one every 60 / callsPerMinute seconds.
+  // After downtime the pace picks up where it is rather than bursting to
+  // catch up.
+  runCampaign(campaign, now) {
+    if (!campaign.calls.some(call => call.status === 'queued')) return campaign;
+    if (campaign.nextDialAt && new Date(campaign.nextDialAt) > now) return campaign;
+
+    const keyRecord = this.apiKeyService.getApiKey(campaign.apiKeyId);
+    if (!keyRecord || !keyRecord.isActive) {
+      console.warn(`⚠️  Campaign ${campaign.id} paused: API key ${campaign.apiKeyId} is inactive`);
+      campaign.status = 'paused';
+      campaign.pausedAt = now.toISOString();
+      return this.saveCampaign(campaign, now, 'api_key_inactive');
+    }
+
+    const spacingMs = 60000 / campaign.callsPerMinute;
+    let dueAt = Math.max(new Date(campaign.nextDialAt || now).getTime(), now.getTime() - this.intervalMs);
+
+    while (dueAt <= now.getTime()) {
+      const call = campaign.calls.find(call => call.status === 'queued');
+      if (!call) break;
+
+      const rateLimit = this.apiKeyService.checkRateLimits(campaign.apiKeyId);
+      if (!rateLimit.allowed) {
+        campaign.nextDialAt = new Date(now.getTime() + rateLimit.retryAfter * 1000).toISOString();
+        console.warn(`⚠️  Campaign ${campaign.id} over quota - next call at ${campaign.nextDialAt}`);
+        return this.saveCampaign(campaign, now, rateLimit.message);
+      }
+
+      this.dialCampaignCall(campaign, call, keyRecord, now);
+      dueAt += spacingMs;
+    }
+
+    campaign.nextDialAt = new Date(dueAt).toISOString();
+    return this.saveCampaign(campaign, now, null);
+  }
+
+  dialCampaignCall(campaign, call, keyRecord, now) {
+    const callRecord = this.dialerService.placeCall({
+      ...campaign.call,
+      phoneNumber: call.phoneNumber,
+      customMessage: call.questions[0],
+      questions: call.questions,
+      storytellerId: call.storytellerId,
+      familyMemberId: call.familyMemberId,
+      locale: call.locale || campaign.call.locale,
+      campaignId: campaign.id,
+      apiKeyInfo: keyRecord
+    });
+
+    call.status = 'dialing';
+    call.callId = callRecord.id;
+    call.attempts = 1;
+    call.dialedAt = now.toISOString();
+
+    console.log(`📣 Campaign ${campaign.id} dialed call ${call.index + 1}/${campaign.calls.length} (${callRecord.id})`);
+  }
+
+  // Follow dialed calls, and their retries, to a final status. A campaign
+  // with nothing left queued or dialing is completed.
+  refreshCampaign(campaign) {
+    let changed = false;
+
+    for (const call of campaign.calls.filter(call => call.status === 'dialing')) {
+      const attempts = this.callService.getCallAttempts(call.callId);
+      const latest = attempts[attempts.length - 1];
+      if (!latest) continue;
+
+      if (attempts.length !== call.attempts) {
+        call.attempts = attempts.length;
+        changed = true;
+      }
+
+      // Still ringing or talking, or waiting to be redialed
+      if (latest.retry && latest.retry.status === 'scheduled') continue;
+      if (latest.status !== 'completed' && !FAILED_CALL_STATUSES.includes(latest.status)) continue;
+      // Recordings still being finalized may yet call for a retry (silent or
+      // too short answers)
+      const latestCall = this.callService.getCall(latest.callId);
+      if (!latestCall.recordingsFinalizedAt && (latestCall.segments || []).length > 0) continue;
+
+      call.status = latest.status === 'completed' ? 'completed' : 'failed';
+      call.outcome = latest.outcome || latest.status;
+      call.finishedAt = new Date().toISOString();
+      changed = true;
+    }
+
+    if (campaign.status === 'active' && !campaign.calls.some(call => ['queued', 'dialing'].includes(call.status))) {
+      campaign.status = 'completed';
+      campaign.nextDialAt = null;
+      campaign.completedAt = new Date().toISOString();
+      changed = true;
+      console.log(`📣 Campaign ${campaign.id} completed`);
+    }
+
+    if (changed) {
+      campaign.progress = this.countProgress(campaign);
+      campaign.updatedAt = new Date().toISOString();
+      this.campaigns.set(campaign.id, campaign);
+    }
+
+    return campaign;
+  }
+
+  saveCampaign(campaign, now, lastError) {
+    campaign.lastError = lastError;
+    campaign.progress = this.countProgress(campaign);
+    campaign.updatedAt = now.toISOString();
+    this.campaigns.set(campaign.id, campaign);
+
+    return campaign;
+  }
+
+  // How many of the campaign's calls are in each status
+  countProgress(campaign) {
+    const progress = { total: campaign.calls.length, queued: 0, dialing: 0, completed: 0, failed: 0, canceled: 0 };
+    for (const call of campaign.calls) {
+      progress[call.status]++;
+    }
+    return progress;
+  }
+}
+
+module.exports = SimpleCampaignService;
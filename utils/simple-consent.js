@@ -0,0 +1,51 @@
+const { getCatalog } = require('./simple-locales');
+
+// Keypad digit that agrees to be recorded, and how many times the storyteller
+// is asked before a call without an answer ends unrecorded
+const CONSENT_DIGIT = '1';
+const MAX_CONSENT_ATTEMPTS = 2;
+
+// Where a spoken phrase mentions the catalog's answers, as [start, end]
+// spans. Words in languages written without spaces (Chinese) match anywhere
+// in the phrase; others only as whole words.
+function findAnswers(phrase, words) {
+  const padded = ` ${phrase} `;
+  const spans = [];
+  for (const word of words) {
+    const han = /^\p{Script=Han}+$/u.test(word);
+    const needle = han ? word : ` ${word} `;
+    for (let start = padded.indexOf(needle); start !== -1; start = padded.indexOf(needle, start + 1)) {
+      const wordStart = han ? start : start + 1;
+      spans.push([wordStart, wordStart + word.length]);
+    }
+  }
+  return spans;
+}
+
+const overlaps = (a, b) => a[0] < b[1] && b[0] < a[1];
+
+// What a <Gather> answer to the consent prompt means: 'granted', 'declined',
+// or null when nothing usable was heard. Any other key refuses. A yes counts
+// first, unless it is part of a refusal ("同意" in "不同意", "i do" in
+// "i do not"); otherwise any refusal declines.
+function interpretConsent({ digits, speechResult }, locale) {
+  if (digits) {
+    return digits === CONSENT_DIGIT ? 'granted' : 'declined';
+  }
+  if (!speechResult) return null;
+
+  const { consent } = getCatalog(locale);
+  const phrase = speechResult.toLowerCase().replace(/[.,!?¡¿。，！？]/g, ' ').replace(/\s+/g, ' ').trim();
+
+  const refusals = findAnswers(phrase, consent.no);
+  const agreements = findAnswers(phrase, consent.yes).filter(yes => !refusals.some(no => overlaps(yes, no)));
+  if (agreements.length > 0) return 'granted';
+  if (refusals.length > 0) return 'declined';
+  return null;
+}
+
+module.exports = {
+  CONSENT_DIGIT,
+  MAX_CONSENT_ATTEMPTS,
+  interpretConsent
+};
@@ -0,0 +1,199 @@
+const { resolveRetryPolicy } = require('./simple-retry-policy');
+const { resolveVoicePersona } = require('./simple-voice-persona');
+const { resolveLocale } = require('./simple-locales');
+const { resolveCallHeadsUp } = require('./simple-sms-settings');
+
+// Shared outbound call path: create the call record, count it against the
+// key's quota and dial it through Twilio. Used by POST /call and by the
+// background jobs that place calls on a key's behalf. A call that asks for
+// a heads-up text is held for the lead time and dialed by a background tick.
+class SimpleDialerService {
+  constructor(apiKeyService, callService, twilioService, options = {}) {
+    this.apiKeyService = apiKeyService;
+    this.callService = callService;
+    this.twilioService = twilioService;
+    this.intervalMs = (options.intervalSeconds || 30) * 1000;
+    this.timer = null;
+
+    console.log('☎️  Simple Dialer Service initialized');
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+
+    console.log(`☎️  Held-call dialer started (every ${this.intervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Create a call record for a key, count it against quota and dial it (or
+  // hold it for its heads-up text)
+  placeCall(callData) {
+    const callRecord = this.callService.createCall(this.resolveCallData(callData));
+
+    this.apiKeyService.incrementUsage(callData.apiKeyInfo.id, 'call');
+    if (callRecord.heldUntil) {
+      console.log(`⏳ Call ${callRecord.id} held for its heads-up text until ${callRecord.heldUntil}`);
+    } else {
+      this.dial(callRecord);
+    }
+
+    return callRecord;
+  }
+
+  // Dial every held call whose lead time is up. It was counted against the
+  // key's quota when it was placed.
+  tick(now = new Date()) {
+    for (const call of this.callService.getHeldCalls()) {
+      if (new Date(call.heldUntil) > now) continue;
+
+      try {
+        this.dial(this.callService.updateCallStatus(call.id, 'initiated'));
+      } catch (error) {
+        console.error(`❌ Held call ${call.id} could not be dialed:`, error.message);
+      }
+    }
+  }
+
+  // The call as it will be placed. The key's default retry policy and voice
+  // persona apply unless the call overrides them, and
+  // ANSWERING_MACHINE_DETECTION and REQUIRE_RECORDING_CONSENT set whether
+  // machine detection and the consent step are on by default. Locales
+  // without a catalog fall back to English. A call asking for a heads-up is
+  // held for its lead time.
+  resolveCallData(callData) {
+    const locale = resolveLocale(callData.locale);
+    if (callData.locale && callData.locale !== locale) {
+      console.log(`🌐 No ${callData.locale} catalog - calling in ${locale}`);
+    }
+    const leadMinutes = resolveCallHeadsUp(callData.apiKeyInfo, callData.headsUp);
+    return {
+      ...callData,
+      locale,
+      retryPolicy: resolveRetryPolicy(callData.apiKeyInfo, callData.retryPolicy),
+      voicePersona: resolveVoicePersona(callData.apiKeyInfo, callData.voicePersona, locale),
+      machineDetection: typeof callData.machineDetection === 'boolean'
+        ? callData.machineDetection
+        : process.env.ANSWERING_MACHINE_DETECTION === 'true',
+      requireConsent: typeof callData.requireConsent === 'boolean'
+        ? callData.requireConsent
+        : process.env.REQUIRE_RECORDING_CONSENT === 'true',
+      heldUntil: leadMinutes ? new Date(Date.now() + leadMinutes * 60 * 1000).toISOString() : null
+    };
+  }
+
+  // Start the Twilio call for an existing call record. Resolves with the
+  // Twilio result, or null if Twilio is not configured or the call failed.
+  dial(callRecord) {
+    if (!this.twilioService.isReady()) {
+      console.warn(`⚠️  Twilio not configured - call ${callRecord.id} was not dialed`);
+      return Promise.resolve(null);
+    }
+
+    return this.twilioService.makeCall({
+      phoneNumber: callRecord.phoneNumber,
+      customMessage: callRecord.customMessage,
+      callId: callRecord.id,
+      machineDetection: callRecord.machineDetection,
+      // Conference calls are recorded by the conference instead, and calls
+      // asking for consent record nothing before it is given
+      record: !callRecord.conference && !callRecord.requireConsent,
+      webhookUrl: `${process.env.BASE_URL || 'http://localhost:5005'}/api/v1/voice`
+    })
+    .then(twilioResult => {
+      // Canceled while Twilio was still placing it: hang up right away
+      if (this.callService.getCall(callRecord.id).status === 'canceled_by_client') {
+        this.callService.linkTwilioSid(callRecord.id, twilioResult.twilioSid);
+        console.log(`🛑 Call ${callRecord.id} was canceled while dialing - ending ${twilioResult.twilioSid}`);
+        this.twilioService.endCall(twilioResult.twilioSid).catch(error => {
+          console.error(`❌ Failed to end canceled call ${callRecord.id}:`, error.message);
+        });
+        return twilioResult;
+      }
+
+      // Update call record with Twilio SID and caller ID information. A status
+      // callback that beat this response has already moved the call on.
+      const current = this.callService.getCall(callRecord.id);
+      this.callService.updateCallStatus(callRecord.id, current.status === 'initiated' ? 'twilio_initiated' : current.status, {
+        twilioSid: twilioResult.twilioSid,
+        metadata: {
+          twilioStatus: twilioResult.status,
+          callerId: twilioResult.callerId,
+          callerIdType: twilioResult.callerIdType,
+          fallbackUsed: twilioResult.fallbackUsed || false,
+          fallbackReason: twilioResult.fallbackReason || null
+        }
+      });
+
+      console.log(`📞 Call ${callRecord.id} initiated with caller ID: ${twilioResult.callerId} (${twilioResult.callerIdType})`);
+      if (twilioResult.fallbackUsed) {
+        console.log(`⚠️  Fallback used for call ${callRecord.id}: ${twilioResult.fallbackReason}`);
+      }
+
+      return twilioResult;
+    })
+    .catch(twilioError => {
+      this.callService.updateCallStatus(callRecord.id, 'twilio_failed', {
+        metadata: {
+          twilioError: twilioError.message
+        }
+      });
+
+      return null;
+    });
+  }
+
+  // Ring the family member into a conference call's bridge. Called once the
+  // storyteller has picked up, so nobody waits on a call that never connects.
+  dialFamilyMember(callRecord) {
+    const { conference } = callRecord;
+    if (!conference || conference.familyMemberDialedAt || !this.twilioService.isReady()) {
+      return Promise.resolve(null);
+    }
+
+    const baseUrl = process.env.BASE_URL || 'http://localhost:5005';
+    this.callService.updateCall(callRecord.id, {
+      conference: { ...conference, familyMemberDialedAt: new Date().toISOString() }
+    });
+
+    return this.twilioService.makeCall({
+      phoneNumber: conference.familyMemberPhoneNumber,
+      customMessage: callRecord.customMessage,
+      callId: callRecord.id,
+      record: false,
+      webhookUrl: `${baseUrl}/api/v1/conference-join`,
+      statusCallbackUrl: `${baseUrl}/api/v1/conference-leg-status`
+    })
+    .then(twilioResult => {
+      const current = this.callService.getCall(callRecord.id);
+      this.callService.updateCall(callRecord.id, {
+        conference: { ...current.conference, familyMemberTwilioSid: twilioResult.twilioSid }
+      });
+
+      console.log(`👪 Call ${callRecord.id} dialing family member (${twilioResult.twilioSid})`);
+      return twilioResult;
+    })
+    .catch(twilioError => {
+      console.error(`❌ Failed to dial family member for call ${callRecord.id}:`, twilioError.message);
+      this.callService.addConferenceEvent(callRecord.id, {
+        event: 'dial-failed',
+        participant: 'family_member',
+        error: twilioError.message,
+        at: new Date().toISOString()
+      });
+
+      return null;
+    });
+  }
+}
+
+module.exports = SimpleDialerService;
@@ -0,0 +1,103 @@
+const { resolveVoicePersona } = require('./simple-voice-persona');
+const { resolveLocale, translate } = require('./simple-locales');
+const { normalizePhoneNumber } = require('./simple-phone-number');
+
+// An unanswered outbound call older than this no longer counts as the
+// question waiting for the storyteller
+const PENDING_CALL_MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+
+// A call was answered if it has at least one take that wasn't discarded
+function hasAnswer(call) {
+  return (call.segments || []).some(segment => segment.status !== 'superseded');
+}
+
+// Storytellers calling the Twilio number back. The caller is matched by
+// their From number against past calls and active schedules, and gets a call
+// record of their own that runs through the normal question and recording flow.
+class SimpleInboundService {
+  constructor(apiKeyService, callService, scheduleService, retryService) {
+    this.apiKeyService = apiKeyService;
+    this.callService = callService;
+    this.scheduleService = scheduleService;
+    this.retryService = retryService;
+
+    console.log('📲 Simple Inbound Service initialized');
+  }
+
+  // Work out what to ask a caller: the question from an unanswered call we
+  // placed to them, else the next scheduled question, else a general prompt
+  // if we have called them before. Returns null for unknown numbers.
+  matchCaller(from, now = new Date()) {
+    const number = normalizePhoneNumber(from);
+    if (!number) return null;
+
+    const calls = this.callService.searchCalls({})
+      .filter(call => normalizePhoneNumber(call.phoneNumber) === number);
+    const latestCall = calls[0];
+
+    if (latestCall && latestCall.direction !== 'inbound' && !hasAnswer(latestCall) &&
+        now - new Date(latestCall.createdAt) < PENDING_CALL_MAX_AGE_MS) {
+      return { source: 'pending_call', apiKeyId: latestCall.apiKeyId, call: latestCall, questions: latestCall.questions || [latestCall.customMessage] };
+    }
+
+    const schedule = this.scheduleService.getActiveSchedules()
+      .find(candidate => normalizePhoneNumber(candidate.call.phoneNumber) === number);
+    if (schedule) {
+      return { source: 'next_scheduled', apiKeyId: schedule.apiKeyId, schedule, questions: [schedule.call.customMessage] };
+    }
+
+    // Known caller with nothing waiting: ask for any story, in their language
+    if (latestCall) {
+      return { source: 'known_storyteller', apiKeyId: latestCall.apiKeyId, call: latestCall, questions: [translate(latestCall.locale, 'inboundQuestion')] };
+    }
+
+    return null;
+  }
+
+  // Create the call record for an inbound call. Returns null when the caller
+  // can't be matched to an active API key.
+  createInboundCall(from, twilioSid, now = new Date()) {
+    const match = this.matchCaller(from, now);
+    const keyRecord = match && this.apiKeyService.getApiKey(match.apiKeyId);
+    if (!keyRecord || !keyRecord.isActive) {
+      console.log(`📲 Inbound call from unknown number ${from}`);
+      return null;
+    }
+
+    const source = match.call || { ...match.schedule.call, scheduledCallId: match.schedule.scheduledCallId, scheduleId: match.schedule.id };
+    const callRecord = this.callService.createCall({
+      phoneNumber: from,
+      customMessage: match.questions[0],
+      questions: match.questions,
+      storytellerId: source.storytellerId,
+      familyMemberId: source.familyMemberId,
+      scheduledCallId: source.scheduledCallId,
+      scheduleId: source.scheduleId,
+      callType: source.callType,
+      recordingType: 'inbound_call',
+      direction: 'inbound',
+      interactive: source.interactive,
+      reviewAnswers: source.reviewAnswers,
+      longStory: source.longStory,
+      requireConsent: typeof source.requireConsent === 'boolean'
+        ? source.requireConsent
+        : process.env.REQUIRE_RECORDING_CONSENT === 'true',
+      locale: resolveLocale(source.locale),
+      voicePersona: resolveVoicePersona(keyRecord, source.voicePersona, resolveLocale(source.locale)),
+      inResponseToCallId: match.source === 'pending_call' ? match.call.id : null,
+      apiKeyInfo: keyRecord
+    });
+    this.callService.linkTwilioSid(callRecord.id, twilioSid);
+
+    // They called us back, so there's no need to keep redialing them
+    if (match.source === 'pending_call') {
+      this.retryService.cancelPendingRetry(match.call.id, 'storyteller_called_in');
+    }
+
+    console.log(`📲 Inbound call ${callRecord.id} from ${from} matched by ${match.source}`);
+
+    return { callRecord, source: match.source };
+  }
+}
+
+module.exports = SimpleInboundService;
@@ -0,0 +1,190 @@
+// Everything the service says on a call (and texts around it), per locale. `language` is the
+// text-to-speech language, `voice` the default voice for it, and
+// `transcribe` whether Twilio's <Record> transcription understands it
+// (it only handles English). `consent` lists the spoken answers that agree
+// or refuse to be recorded, recognized in `speechLanguage`.
+const DEFAULT_LOCALE = 'en-US';
+
+const CATALOGS = {
+  'en-US': {
+    language: 'en-US',
+    voice: 'Google.en-US-Neural2-F',
+    transcribe: true,
+    aliases: ['en'],
+    consent: {
+      speechLanguage: 'en-US',
+      yes: ['yes', 'yeah', 'yep', 'sure', 'ok', 'okay', 'i agree', 'i do'],
+      no: ['no', 'nope', 'don\'t', 'do not', 'disagree']
+    },
+    prompts: {
+      greeting: 'Hey hows it going, memoora here.',
+      closing: 'Thank you for sharing your story with us.',
+      inboundGreeting: 'Hi, thanks for calling Memoora.',
+      unknownCaller: 'Thanks for calling Memoora. We could not find a story waiting for this number. Goodbye.',
+      voicemail: 'Hi, this is Memoora calling to hear one of your stories. We will try you again soon. Goodbye.',
+      inboundQuestion: 'Thanks for calling in. Please share any story you would like your family to hear.',
+      defaultQuestion: 'Please share your story with us.',
+      menuPrompt: 'Press 1 to record your answer, 2 to hear the question again, 3 to skip to another question, or 9 and we will call you back later.',
+      menuBegin: 'Let\'s begin. Please share your answer after the beep.',
+      answerAfterBeep: 'Please share your answer after the beep.',
+      callbackGoodbye: 'No problem, we will call you back later. Goodbye.',
+      notUnderstood: 'Sorry, I didn\'t catch that.',
+      reviewIntro: 'Here is what you said.',
+      reviewPrompt: 'Press 1 to keep this answer, or 2 to record it again.',
+      rerecord: 'Okay, let\'s try that again. Please share your answer after the beep.',
+      keepGoing: 'Please keep going, we are still recording.',
+      conferenceConnecting: 'We are connecting a family member who would love to hear your story and may ask you a few questions.',
+      conferenceFamilyIntro: 'Hi, this is Memoora. You are joining a story call with your family member. Feel free to ask follow-up questions. This call is recorded.',
+      consentPrompt: 'We would like to record this call so your family can keep your story. Press 1 or say yes to agree to be recorded.',
+      consentGranted: 'Thank you.',
+      consentDeclined: 'No problem, nothing will be recorded. Thank you for your time. Goodbye.',
+      smsHeadsUp: 'Memoora will call you in {minutes} minutes with this week\'s question.',
+      smsThankYou: 'Thank you for sharing your story with Memoora today. Your family will treasure it.'
+    }
+  },
+  'es-US': {
+    language: 'es-US',
+    voice: 'Google.es-US-Neural2-A',
+    transcribe: false,
+    aliases: ['es'],
+    consent: {
+      speechLanguage: 'es-US',
+      yes: ['sí', 'si', 'claro', 'acepto', 'de acuerdo', 'está bien', 'vale'],
+      no: ['no', 'nunca']
+    },
+    prompts: {
+      greeting: 'Hola, ¿cómo está? Le llama Memoora.',
+      closing: 'Gracias por compartir su historia con nosotros.',
+      inboundGreeting: 'Hola, gracias por llamar a Memoora.',
+      unknownCaller: 'Gracias por llamar a Memoora. No encontramos ninguna historia pendiente para este número. Adiós.',
+      voicemail: 'Hola, le llama Memoora para escuchar una de sus historias. Volveremos a llamarle pronto. Adiós.',
+      inboundQuestion: 'Gracias por llamarnos. Por favor, comparta cualquier historia que le gustaría que su familia escuche.',
+      defaultQuestion: 'Por favor, comparta su historia con nosotros.',
+      menuPrompt: 'Presione 1 para grabar su respuesta, 2 para escuchar la pregunta otra vez, 3 para pasar a otra pregunta, o 9 y le llamaremos más tarde.',
+      menuBegin: 'Comencemos. Por favor, comparta su respuesta después del tono.',
+      answerAfterBeep: 'Por favor, comparta su respuesta después del tono.',
+      callbackGoodbye: 'No hay problema, le llamaremos más tarde. Adiós.',
+      notUnderstood: 'Perdón, no le entendí.',
+      reviewIntro: 'Esto es lo que dijo.',
+      reviewPrompt: 'Presione 1 para guardar esta respuesta, o 2 para grabarla de nuevo.',
+      rerecord: 'Muy bien, intentémoslo de nuevo. Por favor, comparta su respuesta después del tono.',
+      keepGoing: 'Por favor, continúe, seguimos grabando.',
+      conferenceConnecting: 'Estamos conectando a un familiar que quiere escuchar su historia y que tal vez le haga algunas preguntas.',
+      conferenceFamilyIntro: 'Hola, le llama Memoora. Se está uniendo a una llamada para escuchar la historia de su familiar. Puede hacerle preguntas. Esta llamada se está grabando.',
+      consentPrompt: 'Nos gustaría grabar esta llamada para que su familia pueda conservar su historia. Presione 1 o diga sí para aceptar que se grabe.',
+      consentGranted: 'Gracias.',
+      consentDeclined: 'No hay problema, no se grabará nada. Gracias por su tiempo. Adiós.',
+      smsHeadsUp: 'Memoora le llamará en {minutes} minutos con la pregunta de esta semana.',
+      smsThankYou: 'Gracias por compartir su historia con Memoora hoy. Su familia la atesorará.'
+    }
+  },
+  'zh-CN': {
+    language: 'cmn-CN',
+    voice: 'Google.cmn-CN-Wavenet-A',
+    transcribe: false,
+    aliases: ['zh', 'cmn'],
+    consent: {
+      speechLanguage: 'cmn-Hans-CN',
+      yes: ['是', '好', '可以', '同意', '愿意', '行', '没问题', '当然'],
+      no: ['不是', '不好', '不可以', '不同意', '不愿意', '不行', '不要', '不用', '别录', '拒绝']
+    },
+    prompts: {
+      greeting: '您好，这里是Memoora。',
+      closing: '感谢您与我们分享您的故事。',
+      inboundGreeting: '您好，感谢您致电Memoora。',
+      unknownCaller: '感谢您致电Memoora。我们没有找到这个号码待讲述的故事。再见。',
+      voicemail: '您好，这里是Memoora，我们想听您讲一个故事。我们很快会再给您打电话。再见。',
+      inboundQuestion: '感谢您的来电。请分享任何您希望家人听到的故事。',
+      defaultQuestion: '请与我们分享您的故事。',
+      menuPrompt: '录制回答请按1，再听一遍问题请按2，跳到另一个问题请按3，如需我们稍后回电请按9。',
+      menuBegin: '我们开始吧。请在提示音后分享您的回答。',
+      answerAfterBeep: '请在提示音后分享您的回答。',
+      callbackGoodbye: '没问题，我们稍后会给您回电。再见。',
+      notUnderstood: '抱歉，我没有听清。',
+      reviewIntro: '这是您刚才说的内容。',
+      reviewPrompt: '保留这个回答请按1，重新录制请按2。',
+      rerecord: '好的，我们再试一次。请在提示音后分享您的回答。',
+      keepGoing: '请继续讲，我们还在录音。',
+      conferenceConnecting: '我们正在为您接通一位家人，他们很想听您的故事，也可能会问您几个问题。',
+      conferenceFamilyIntro: '您好，这里是Memoora。您即将加入与家人的故事通话，欢迎随时提问。本次通话将被录音。',
+      consentPrompt: '我们希望为本次通话录音，以便您的家人保存您的故事。同意录音请按1或说“是”。',
+      consentGranted: '谢谢。',
+      consentDeclined: '没问题，我们不会录制任何内容。感谢您的时间，再见。',
+      smsHeadsUp: 'Memoora将在{minutes}分钟后给您打电话，询问本周的问题。',
+      smsThankYou: '感谢您今天与Memoora分享您的故事，您的家人会珍惜它。'
+    }
+  },
+  'fil-PH': {
+    language: 'fil-PH',
+    voice: 'Google.fil-PH-Wavenet-A',
+    transcribe: false,
+    aliases: ['fil', 'tl'],
+    consent: {
+      speechLanguage: 'fil-PH',
+      yes: ['oo', 'opo', 'sige', 'payag', 'pumapayag', 'yes'],
+      no: ['hindi', 'ayaw', 'ayoko', 'huwag', 'no']
+    },
+    prompts: {
+      greeting: 'Kumusta po kayo? Ito po ang Memoora.',
+      closing: 'Salamat po sa pagbabahagi ng inyong kuwento sa amin.',
+      inboundGreeting: 'Kumusta po, salamat sa pagtawag sa Memoora.',
+      unknownCaller: 'Salamat po sa pagtawag sa Memoora. Wala po kaming nakitang kuwentong naghihintay para sa numerong ito. Paalam po.',
+      voicemail: 'Kumusta po, ito ang Memoora. Tumawag kami para marinig ang isa sa inyong mga kuwento. Tatawag po kami ulit sa lalong madaling panahon. Paalam po.',
+      inboundQuestion: 'Salamat po sa pagtawag. Ibahagi po ninyo ang anumang kuwentong gusto ninyong marinig ng inyong pamilya.',
+      defaultQuestion: 'Ibahagi po ninyo ang inyong kuwento sa amin.',
+      menuPrompt: 'Pindutin ang 1 para i-record ang inyong sagot, 2 para marinig muli ang tanong, 3 para lumipat sa ibang tanong, o 9 at tatawagan namin kayo mamaya.',
+      menuBegin: 'Magsimula na po tayo. Ibahagi po ninyo ang inyong sagot pagkatapos ng tunog.',
+      answerAfterBeep: 'Ibahagi po ninyo ang inyong sagot pagkatapos ng tunog.',
+      callbackGoodbye: 'Walang problema po, tatawagan namin kayo mamaya. Paalam po.',
+      notUnderstood: 'Paumanhin po, hindi ko po iyon naintindihan.',
+      reviewIntro: 'Ito po ang inyong sinabi.',
+      reviewPrompt: 'Pindutin ang 1 para itago ang sagot na ito, o 2 para i-record itong muli.',
+      rerecord: 'Sige po, subukan natin ulit. Ibahagi po ninyo ang inyong sagot pagkatapos ng tunog.',
+      keepGoing: 'Magpatuloy lang po kayo, nagre-record pa rin kami.',
+      conferenceConnecting: 'Ikinokonekta po namin ang isang kapamilya na gustong makinig sa inyong kuwento at maaaring magtanong ng ilang bagay.',
+      conferenceFamilyIntro: 'Kumusta po, ito ang Memoora. Sumasali po kayo sa tawag para sa kuwento ng inyong kapamilya. Malaya po kayong magtanong. Nire-record po ang tawag na ito.',
+      consentPrompt: 'Nais po naming i-record ang tawag na ito para maitago ng inyong pamilya ang inyong kuwento. Pindutin ang 1 o sabihin ang oo para pumayag na ma-record.',
+      consentGranted: 'Salamat po.',
+      consentDeclined: 'Walang problema po, walang ire-record. Salamat po sa inyong oras. Paalam po.',
+      smsHeadsUp: 'Tatawagan po kayo ng Memoora sa loob ng {minutes} minuto para sa tanong ngayong linggo.',
+      smsThankYou: 'Salamat po sa pagbabahagi ng inyong kuwento sa Memoora ngayong araw. Iingatan ito ng inyong pamilya.'
+    }
+  }
+};
+
+// Loose BCP 47 check: "es", "es-MX", "zh_Hans_CN"
+function isValidLocaleTag(locale) {
+  return typeof locale === 'string' && /^[A-Za-z]{2,3}([-_][A-Za-z0-9]{2,8})*$/.test(locale);
+}
+
+// The catalog locale for a requested one: an exact match, then any catalog
+// for the same language ("es-MX" -> "es-US"), else the default language
+function resolveLocale(requested) {
+  if (!isValidLocaleTag(requested)) return DEFAULT_LOCALE;
+
+  const normalized = requested.replace(/_/g, '-').toLowerCase();
+  const exact = Object.keys(CATALOGS).find(locale => locale.toLowerCase() === normalized);
+  if (exact) return exact;
+
+  const language = normalized.split('-')[0];
+  const sameLanguage = Object.keys(CATALOGS).find(locale => CATALOGS[locale].aliases.includes(language));
+  return sameLanguage || DEFAULT_LOCALE;
+}
+
+function getCatalog(locale) {
+  return CATALOGS[resolveLocale(locale)];
+}
+
+// One prompt in a locale, from the default language if the catalog lacks it
+function translate(locale, key) {
+  return getCatalog(locale).prompts[key] || CATALOGS[DEFAULT_LOCALE].prompts[key];
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES: Object.keys(CATALOGS),
+  isValidLocaleTag,
+  resolveLocale,
+  getCatalog,
+  translate
+};
@@ -0,0 +1,9 @@
+// Compare phone numbers by their last 10 digits so "+1 (555) 555-0100" and
+// "+15555550100" match
+function normalizePhoneNumber(phoneNumber) {
+  return String(phoneNumber || '').replace(/\D/g, '').slice(-10);
+}
+
+module.exports = {
+  normalizePhoneNumber
+};
@@ -0,0 +1,189 @@
+// Call statuses that only move on when a Twilio callback arrives
+const WAITING_STATUSES = ['initiated', 'twilio_initiated', 'queued', 'ringing', 'answered', 'in-progress', 'recording_received'];
+
+// Twilio statuses of a call that is still going
+const ACTIVE_TWILIO_STATUSES = ['queued', 'ringing', 'in-progress'];
+
+// Recording sources that hold answers: <Record> takes and conference bridges
+const ANSWER_SOURCES = ['RecordVerb', 'Conference'];
+
+// Repairs calls whose Twilio callbacks never arrived. A call left waiting
+// past the threshold is checked against Twilio: recordings it never told us
+// about become segments, downloads lost to a restart are retried, and the
+// call's real status is applied as if the status webhook had delivered it.
+class SimpleReconcilerService {
+  constructor(callService, twilioService, recordingPipeline, options = {}) {
+    this.callService = callService;
+    this.twilioService = twilioService;
+    this.recordingPipeline = recordingPipeline;
+    this.intervalMs = (options.intervalMinutes || 10) * 60 * 1000;
+    this.stuckAfterMinutes = options.stuckAfterMinutes || 30;
+    this.timer = null;
+    this.running = false;
+
+    console.log('🩹 Simple Reconciler Service initialized');
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+
+    console.log(`🩹 Reconciler started (every ${this.intervalMs / 60000}m, calls stuck over ${this.stuckAfterMinutes}m)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  tick() {
+    this.reconcile().catch(error => {
+      console.error('❌ Reconciler run failed:', error.message);
+    });
+  }
+
+  // Calls waiting on Twilio, or on a download, for longer than the threshold.
+  // A conference call that ended without its recording is checked once.
+  findStuckCalls(stuckAfterMinutes = this.stuckAfterMinutes, now = new Date()) {
+    const updatedBefore = new Date(now.getTime() - stuckAfterMinutes * 60 * 1000);
+
+    return this.callService.getUnsettledCalls(updatedBefore).filter(call =>
+      WAITING_STATUSES.includes(call.status) ||
+      (call.segments || []).some(segment => segment.status === 'received') ||
+      (call.conference && call.status === 'completed' && (call.segments || []).length === 0 && !call.lastReconciledAt)
+    );
+  }
+
+  // Check every stuck call against Twilio. Resolves with one report entry per
+  // call, or null if a run is already in progress.
+  async reconcile({ stuckAfterMinutes = this.stuckAfterMinutes, now = new Date() } = {}) {
+    if (this.running) return null;
+    if (!this.twilioService.isReady()) {
+      console.warn('⚠️  Twilio not configured - reconciler skipped');
+      return [];
+    }
+
+    this.running = true;
+    try {
+      const report = [];
+      for (const call of this.findStuckCalls(stuckAfterMinutes, now)) {
+        try {
+          report.push(await this.reconcileCall(call));
+        } catch (error) {
+          console.error(`❌ Could not reconcile call ${call.id}:`, error.message);
+          report.push({ callId: call.id, action: 'error', error: error.message });
+        }
+      }
+
+      const repaired = report.filter(entry => entry.action === 'repaired' || entry.action === 'never_dialed');
+      console.log(`🩹 Reconciler checked ${report.length} stuck call(s), repaired ${repaired.length}`);
+      return report;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async reconcileCall(call) {
+    const previousStatus = call.status;
+    const reconciledAt = new Date().toISOString();
+
+    // The server went down before Twilio accepted the call
+    if (!call.twilioSid) {
+      this.callService.updateCallStatus(call.id, 'twilio_failed', {
+        metadata: { twilioError: 'Call was never dialed', reconciledAt }
+      });
+      console.log(`🩹 Call ${call.id} was never dialed - marked twilio_failed (was ${previousStatus})`);
+      return { callId: call.id, action: 'never_dialed', previousStatus, status: 'twilio_failed' };
+    }
+
+    const twilioCall = await this.twilioService.getCallStatus(call.twilioSid);
+
+    // Still ringing or talking: check again on a later run
+    if (ACTIVE_TWILIO_STATUSES.includes(twilioCall.status)) {
+      this.callService.updateCall(call.id, { lastReconciledAt: reconciledAt });
+      return { callId: call.id, action: 'still_active', previousStatus, twilioStatus: twilioCall.status };
+    }
+
+    // Downloads queued before a restart never ran; recovered recordings queue their own
+    const lostDownloads = (call.segments || []).filter(segment => segment.status === 'received');
+    const recoveredRecordings = await this.recoverRecordings(call);
+
+    for (const segment of lostDownloads) {
+      await this.recordingPipeline.downloadSegment(call.id, segment.recordingSid);
+    }
+
+    // The status webhook never came
+    if (!call.callEndedAt) {
+      await this.recordingPipeline.applyCallStatus(call.id, twilioCall.status, { duration: twilioCall.duration });
+    }
+
+    this.callService.updateCall(call.id, { lastReconciledAt: reconciledAt });
+    const status = this.callService.getCall(call.id).status;
+
+    console.log(`🩹 Call ${call.id} reconciled: ${previousStatus} -> ${status} (Twilio: ${twilioCall.status}, ${recoveredRecordings.length} recording(s) recovered, ${lostDownloads.length} download(s) retried)`);
+
+    return {
+      callId: call.id,
+      action: 'repaired',
+      previousStatus,
+      status,
+      twilioStatus: twilioCall.status,
+      recoveredRecordings,
+      retriedDownloads: lostDownloads.map(segment => segment.recordingSid)
+    };
+  }
+
+  // Add answers Twilio recorded but never sent a recording callback for.
+  // Recordings already on the call are matched by SID. A conference
+  // recording is the conference's one answer; a <Record> take answers the
+  // last <Record> handed out before it started (see recordPrompts), so
+  // re-recorded takes and long-story parts land on the right question.
+  async recoverRecordings(call) {
+    const recordings = await this.twilioService.getCallRecordings(call.twilioSid);
+    if (call.conference && call.conference.conferenceSid) {
+      const conferenceRecordings = await this.twilioService.getConferenceRecordings(call.conference.conferenceSid);
+      recordings.push(...conferenceRecordings.filter(recording => !recordings.some(known => known.sid === recording.sid)));
+    }
+
+    const recovered = [];
+    const missed = recordings
+      .filter(recording => ANSWER_SOURCES.includes(recording.source))
+      .filter(recording => !(call.segments || []).some(segment => segment.recordingSid === recording.sid))
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+    for (const recording of missed) {
+      const isConference = recording.source === 'Conference';
+      const prompt = isConference ? { questionIndex: 0, part: 1 } : this.findRecordPrompt(call, recording.startTime);
+      if (!prompt) {
+        console.warn(`⚠️  Call ${call.id}: no question was being recorded when ${recording.sid} started - left out`);
+        continue;
+      }
+
+      this.recordingPipeline.receiveSegment(call.id, {
+        questionIndex: prompt.questionIndex,
+        part: prompt.part,
+        lengthCapped: !isConference,
+        recordingSid: recording.sid,
+        recordingUrl: recording.mediaUrl || `https://api.twilio.com${recording.uri.replace(/\.json$/, '')}`,
+        recordingDuration: recording.duration
+      });
+      this.callService.updateRecordingSegment(call.id, recording.sid, { recoveredByReconciler: true });
+
+      recovered.push(recording.sid);
+    }
+
+    return recovered;
+  }
+
+  // The last <Record> handed to Twilio at or before a recording started
+  findRecordPrompt(call, startTime) {
+    const startedAt = new Date(startTime);
+    return (call.recordPrompts || []).filter(prompt => new Date(prompt.servedAt) <= startedAt).pop() || null;
+  }
+}
+
+module.exports = SimpleReconcilerService;
@@ -0,0 +1,398 @@
+// Best outcome first: a call's overall outcome is the best of its segments
+const OUTCOME_RANK = ['successful', 'max_length_reached', 'too_short', 'silent_recording'];
+
+// Everything that happens to a recording after Twilio hands it over: store it
+// as a segment of the call, download it, and once the call has no more
+// answers coming, mark the call completed and send one recording-complete
+// webhook describing every segment. Twilio's call statuses go through here
+// too, since the end of the call is what lets it finalize. With an SMS
+// service, a recorded story also earns the storyteller a thank-you text.
+class SimpleRecordingPipeline {
+  constructor(callService, recordingService, webhookService, retryService, smsService = null, options = {}) {
+    this.callService = callService;
+    this.recordingService = recordingService;
+    this.webhookService = webhookService;
+    this.retryService = retryService;
+    this.smsService = smsService;
+
+    // Wait before downloading so Twilio has finished processing the audio
+    this.downloadDelayMs = options.downloadDelayMs !== undefined ? options.downloadDelayMs : 2000;
+
+    console.log('🎛️  Simple Recording Pipeline initialized');
+  }
+
+  // Analyze recording duration to determine outcome. Recordings without a
+  // length cap (conference calls) can't run into it.
+  analyzeRecording(durationSeconds, lengthCapped = true) {
+    if (durationSeconds === 0) {
+      return { outcome: 'silent_recording', reason: 'no_audio_detected' };
+    }
+    if (durationSeconds < 3) {
+      return { outcome: 'too_short', reason: 'recording_under_3_seconds' };
+    }
+    if (lengthCapped && durationSeconds > 280) {
+      return { outcome: 'max_length_reached', reason: 'recording_hit_max_length' };
+    }
+    return { outcome: 'successful', reason: 'recording_completed' };
+  }
+
+  // Store a finished <Record> as a segment of the call and queue its download.
+  // A take that the caller will review first waits as `pending_review`. In
+  // long-story mode a take cut off by the length cap carries on as part 2, 3...
+  // of the same take, each linked to the part before it.
+  receiveSegment(callId, { questionIndex, recordingSid, recordingUrl, recordingDuration, review = false, part = 1, lengthCapped = true }) {
+    const call = this.callService.getCall(callId);
+    const questions = call.questions || [call.customMessage];
+    const durationSeconds = parseInt(recordingDuration) || 0;
+    const { outcome, reason } = this.analyzeRecording(durationSeconds, lengthCapped);
+    const receivedAt = new Date().toISOString();
+
+    const answers = (call.segments || []).filter(s => s.questionIndex === questionIndex);
+    const previousPart = part > 1 ? answers.filter(s => (s.part || 1) === part - 1).pop() : null;
+    const take = previousPart ? previousPart.take : answers.filter(s => (s.part || 1) === 1).length + 1;
+
+    const segment = this.callService.addRecordingSegment(callId, {
+      questionIndex,
+      question: questions[questionIndex] || call.customMessage,
+      take,
+      part,
+      previousPartSid: previousPart ? previousPart.recordingSid : null,
+      recordingSid,
+      recordingUrl,
+      durationSeconds,
+      outcome,
+      outcomeReason: reason,
+      status: review ? 'pending_review' : 'received',
+      receivedAt
+    });
+
+    // Update call status to indicate recording received with outcome analysis
+    // (an answer cut off by a client cancel keeps the call canceled)
+    this.callService.updateCallStatus(callId, call.status === 'canceled_by_client' ? call.status : 'recording_received', {
+      metadata: {
+        recordingSid,
+        recordingUrl,
+        recordingDuration,
+        recordingOutcome: outcome,
+        outcomeReason: reason,
+        webhookReceivedAt: receivedAt
+      }
+    });
+
+    console.log(`🎙️ Recording received for call ${callId} (question ${questionIndex + 1}/${questions.length}${part > 1 ? `, part ${part}` : ''}): ${durationSeconds}s (outcome: ${outcome})`);
+
+    if (!review) {
+      this.scheduleDownload(callId, recordingSid);
+    }
+
+    return segment;
+  }
+
+  // The caller kept a reviewed take: download it like any other answer
+  acceptSegment(callId, recordingSid) {
+    const segment = this.callService.updateRecordingSegment(callId, recordingSid, {
+      status: 'received',
+      acceptedAt: new Date().toISOString()
+    });
+    this.scheduleDownload(callId, recordingSid);
+
+    console.log(`👍 Call ${callId} kept take ${segment.take} for question ${segment.questionIndex + 1}`);
+    return segment;
+  }
+
+  // The caller chose to re-record: keep the take on the call but never
+  // download it or send it to the main backend
+  supersedeSegment(callId, recordingSid) {
+    const segment = this.callService.updateRecordingSegment(callId, recordingSid, {
+      status: 'superseded',
+      supersededAt: new Date().toISOString()
+    });
+
+    console.log(`🔄 Call ${callId} discarded take ${segment.take} for question ${segment.questionIndex + 1}`);
+    return segment;
+  }
+
+  // Download with delay to ensure Twilio has processed the recording
+  scheduleDownload(callId, recordingSid) {
+    setTimeout(() => {
+      this.downloadSegment(callId, recordingSid).catch(error => {
+        console.error(`❌ Failed to download or finalize recording ${recordingSid} for call ${callId}:`, error.message);
+      });
+    }, this.downloadDelayMs);
+  }
+
+  // Download and save one segment, then see whether the call can be finalized
+  async downloadSegment(callId, recordingSid) {
+    const call = this.callService.getCall(callId);
+    const segment = call && (call.segments || []).find(s => s.recordingSid === recordingSid);
+    if (!segment) return null;
+
+    console.log('🎵 Starting recording download for call:', callId);
+
+    try {
+      const recordingData = await this.recordingService.downloadRecording(segment.recordingUrl, callId, recordingSid);
+
+      // The first answer stays the call's primary recording
+      if (!call.recording) {
+        this.callService.addRecordingToCall(callId, recordingData);
+      }
+      this.callService.updateRecordingSegment(callId, recordingSid, {
+        status: 'downloaded',
+        filename: recordingData.filename,
+        fileSize: recordingData.size,
+        downloadedAt: new Date().toISOString()
+      });
+      console.log('✅ Recording saved successfully for call', callId);
+    } catch (error) {
+      console.error('❌ Failed to save recording:', error.message);
+      this.callService.updateRecordingSegment(callId, recordingSid, {
+        status: 'download_failed',
+        error: error.message
+      });
+    }
+
+    return this.finalizeIfReady(callId);
+  }
+
+  // Record a call status reported by Twilio (by the status webhook, or the
+  // reconciler when that webhook never came) and act on its outcome
+  applyCallStatus(callId, callStatus, { duration, durationMinutes, durationSeconds } = {}) {
+    const call = this.callService.getCall(callId);
+
+    // Enhanced status mapping for better call outcome tracking
+    let mappedStatus = callStatus;
+    let outcome = 'unknown';
+
+    switch (callStatus) {
+      case 'completed':
+        // A call that reached voicemail stays voicemail_left, not a story,
+        // and one where recording was refused stays consent_declined
+        if (call.status === 'voicemail_left' || call.status === 'consent_declined') {
+          mappedStatus = call.status;
+          outcome = call.status;
+        } else {
+          outcome = 'successful_recording';
+        }
+        break;
+      case 'busy':
+        outcome = 'line_busy';
+        break;
+      case 'no-answer':
+        outcome = 'no_answer';
+        break;
+      case 'failed':
+        outcome = 'call_failed';
+        break;
+      case 'canceled':
+        outcome = 'call_canceled';
+        break;
+      case 'answered':
+        outcome = 'call_answered';
+        break;
+      case 'in-progress':
+        outcome = 'call_in_progress';
+        break;
+      case 'ringing':
+        outcome = 'call_ringing';
+        break;
+      default:
+        outcome = callStatus;
+    }
+
+    // Status updates that trail a client cancel don't undo it
+    if (call.status === 'canceled_by_client') {
+      mappedStatus = 'canceled_by_client';
+      outcome = 'canceled_by_client';
+    }
+
+    // Update call with enhanced metadata
+    this.callService.updateCallStatus(call.id, mappedStatus, {
+      duration,
+      durationMinutes,
+      durationSeconds,
+      outcome,
+      statusUpdatedAt: new Date().toISOString(),
+      metadata: {
+        ...call.metadata,
+        lastStatus: callStatus,
+        lastStatusAt: new Date().toISOString(),
+        callOutcome: outcome
+      }
+    });
+
+    console.log(`✅ Call ${call.id} status updated to ${mappedStatus} (outcome: ${outcome})`);
+
+    // Unanswered, busy and failed calls may be redialed under the call's retry policy
+    this.retryService.handleOutcome(call.id, outcome);
+
+    // Let the main backend reschedule calls that only reached voicemail
+    if (outcome === 'voicemail_left') {
+      const voicemailCall = this.callService.getCall(call.id);
+      this.webhookService.send('voicemail-left', {
+        ...this.webhookService.buildCallPayload(voicemailCall),
+        answeredBy: voicemailCall.metadata.answeredBy,
+        retry: voicemailCall.retry || null
+      });
+    }
+
+    // Once the call is over no more answers can arrive
+    if (['completed', 'busy', 'no-answer', 'failed', 'canceled'].includes(callStatus)) {
+      return this.markCallEnded(call.id);
+    }
+    return null;
+  }
+
+  // No more answers are coming: the last question was answered
+  completeInterview(callId) {
+    this.callService.updateCall(callId, { interviewCompletedAt: new Date().toISOString() });
+    return this.finalizeIfReady(callId);
+  }
+
+  // No more answers are coming: Twilio reported the call as over. A take
+  // still awaiting review when the caller hung up is kept.
+  markCallEnded(callId) {
+    const call = this.callService.getCall(callId);
+    if (!call || call.callEndedAt) return null;
+
+    for (const segment of (call.segments || []).filter(s => s.status === 'pending_review')) {
+      this.acceptSegment(callId, segment.recordingSid);
+    }
+
+    this.callService.updateCall(callId, { callEndedAt: new Date().toISOString() });
+    return this.finalizeIfReady(callId);
+  }
+
+  // The kept answers of a call as stories: each take with its parts in order
+  getStories(call) {
+    const stories = [];
+    for (const segment of (call.segments || []).filter(s => s.status !== 'superseded')) {
+      let story = stories.find(s => s.questionIndex === segment.questionIndex && s.take === segment.take);
+      if (!story) {
+        story = { questionIndex: segment.questionIndex, question: segment.question, take: segment.take, parts: [] };
+        stories.push(story);
+      }
+      story.parts.push(segment);
+    }
+
+    return stories.map(story => {
+      const parts = story.parts.sort((a, b) => (a.part || 1) - (b.part || 1));
+      return {
+        ...story,
+        partCount: parts.length,
+        totalDurationSeconds: parts.reduce((total, part) => total + part.durationSeconds, 0),
+        parts: parts.map(part => ({
+          part: part.part || 1,
+          status: part.status,
+          RecordingSid: part.recordingSid,
+          RecordingUrl: part.recordingUrl,
+          durationSeconds: part.durationSeconds,
+          filename: part.filename || null,
+          fileSize: part.fileSize || null
+        }))
+      };
+    });
+  }
+
+  // Finalize once the interview is over and every segment is downloaded or failed
+  async finalizeIfReady(callId) {
+    const call = this.callService.getCall(callId);
+    if (!call || call.recordingsFinalizedAt || !call.segments || call.segments.length === 0) return null;
+    if (!call.interviewCompletedAt && !call.callEndedAt) return null;
+    if (call.segments.some(segment => ['received', 'pending_review'].includes(segment.status))) return null;
+
+    this.callService.updateCall(callId, { recordingsFinalizedAt: new Date().toISOString() });
+    return this.finalize(call);
+  }
+
+  async finalize(call) {
+    const segments = call.segments.filter(segment => segment.status !== 'superseded');
+    if (segments.length === 0) return null;
+
+    const downloaded = segments.filter(segment => segment.status === 'downloaded');
+    const recordingOutcome = OUTCOME_RANK.find(outcome => segments.some(segment => segment.outcome === outcome)) || 'successful';
+    const outcomeReason = segments.find(segment => segment.outcome === recordingOutcome).outcomeReason;
+
+    if (downloaded.length === 0) {
+      // Update call status to indicate recording failed
+      this.callService.updateCallStatus(call.id, call.status === 'canceled_by_client' ? call.status : 'recording_failed', {
+        metadata: {
+          recordingError: segments[0].error,
+          recordingFailedAt: new Date().toISOString(),
+          finalOutcome: 'download_failed',
+          finalOutcomeReason: 'recording_download_error'
+        }
+      });
+
+      console.log(`❌ Call ${call.id} failed: recording download error - ${segments[0].error}`);
+      return call;
+    }
+
+    // Silent or very short answers may be redialed under the call's retry policy
+    this.retryService.handleOutcome(call.id, recordingOutcome);
+
+    // Top-level recording fields describe the first answer, as before segments
+    const primary = downloaded[0];
+    await this.webhookService.send('recording-complete', {
+      ...this.webhookService.buildCallPayload(call),
+      RecordingSid: primary.recordingSid,
+      RecordingUrl: primary.recordingUrl,
+      RecordingDuration: String(primary.durationSeconds),
+      filename: primary.filename,
+      fileSize: primary.fileSize,
+      durationSeconds: primary.durationSeconds,
+      questions: call.questions || [call.customMessage],
+      segments: segments.map(segment => ({
+        questionIndex: segment.questionIndex,
+        question: segment.question,
+        take: segment.take,
+        part: segment.part || 1,
+        status: segment.status,
+        RecordingSid: segment.recordingSid,
+        RecordingUrl: segment.recordingUrl,
+        durationSeconds: segment.durationSeconds,
+        outcome: segment.outcome,
+        filename: segment.filename || null,
+        fileSize: segment.fileSize || null
+      })),
+      retry: call.retry || null
+    });
+
+    // Long stories also get one webhook per story listing its parts in order
+    if (call.longStory) {
+      for (const story of this.getStories(call)) {
+        await this.webhookService.send('story-complete', {
+          ...this.webhookService.buildCallPayload(call),
+          ...story
+        });
+      }
+    }
+
+    // Check if transcription is available
+    const hasTranscription = call.metadata?.transcriptionText;
+    const transcriptionStatus = call.metadata?.transcriptionStatus;
+
+    // Update call status to completed with final outcome. Answers recorded
+    // before the client canceled are still delivered, but the call stays canceled.
+    this.callService.updateCallStatus(call.id, call.status === 'canceled_by_client' ? call.status : 'completed', {
+      metadata: {
+        recordingDownloaded: true,
+        recordingDownloadedAt: new Date().toISOString(),
+        finalOutcome: recordingOutcome,
+        finalOutcomeReason: outcomeReason,
+        segmentsRecorded: segments.length,
+        transcriptionAvailable: !!hasTranscription,
+        transcriptionStatus: transcriptionStatus || 'pending'
+      }
+    });
+
+    console.log(`🎉 Call ${call.id} completed with outcome: ${recordingOutcome} (${outcomeReason}), ${segments.length} segment(s)`);
+
+    if (this.smsService && call.status !== 'canceled_by_client') {
+      await this.smsService.sendThankYou(call.id);
+    }
+
+    return call;
+  }
+}
+
+module.exports = SimpleRecordingPipeline;
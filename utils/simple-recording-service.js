@@ -159,22 +159,32 @@ class SimpleRecordingService {
     }
   }
 
-  async listRecordings() {
+  // Parse filename: timestamp_callId_recordingSid.mp3 (call IDs contain underscores)
+  parseFilename(filename) {
+    const parts = path.basename(filename).replace('.mp3', '').split('_');
+    return {
+      timestamp: parts[0],
+      callId: parts.slice(1, -1).join('_'),
+      recordingSid: parts[parts.length - 1]
+    };
+  }
+
+  // List recordings, optionally limited to a set of call IDs (tenant scoping)
+  async listRecordings(options = {}) {
     try {
       const files = await fs.readdir(this.recordingsDir);
       const recordings = [];
       
       for (const file of files) {
         if (file.endsWith('.mp3')) {
+          const { timestamp, callId, recordingSid } = this.parseFilename(file);
+          if (options.callIds && !options.callIds.has(callId)) {
+            continue;
+          }
+
           const filepath = path.join(this.recordingsDir, file);
           const stats = await fs.stat(filepath);
           
-          // Parse filename: timestamp_callId_recordingSid.mp3
-          const parts = file.replace('.mp3', '').split('_');
-          const timestamp = parts.slice(0, 3).join('_'); // Date part
-          const callId = parts[3];
-          const recordingSid = parts[4];
-          
           recordings.push({
             filename: file,
             filepath,
@@ -202,12 +212,18 @@ class SimpleRecordingService {
 
   async getRecording(filename) {
     try {
+      // Only serve files directly inside the recordings directory
+      if (path.basename(filename) !== filename) {
+        return null;
+      }
+
       const filepath = path.join(this.recordingsDir, filename);
       const stats = await fs.stat(filepath);
       
       return {
         filename,
         filepath,
+        ...this.parseFilename(filename),
         size: stats.size,
         sizeFormatted: this.formatFileSize(stats.size),
         createdAt: stats.birthtime,
@@ -222,6 +238,10 @@ class SimpleRecordingService {
 
   async deleteRecording(filename) {
     try {
+      if (path.basename(filename) !== filename) {
+        throw new Error('Invalid recording filename');
+      }
+
       const filepath = path.join(this.recordingsDir, filename);
       await fs.unlink(filepath);
       console.log(`🗑️  Recording deleted: ${filename}`);
@@ -241,9 +261,9 @@ class SimpleRecordingService {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   }
 
-  async getRecordingsStats() {
+  async getRecordingsStats(options = {}) {
     try {
-      const recordings = await this.listRecordings();
+      const recordings = await this.listRecordings(options);
       const totalSize = recordings.reduce((sum, rec) => sum + rec.size, 0);
       
       return {
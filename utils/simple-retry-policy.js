@@ -0,0 +1,72 @@
+// Call outcomes that can be retried, and the defaults applied when a key or
+// call turns retries on without spelling out every field
+const RETRYABLE_OUTCOMES = ['no_answer', 'line_busy', 'call_failed', 'silent_recording', 'too_short', 'voicemail_left'];
+const MAX_ATTEMPTS_LIMIT = 5;
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  backoffMinutes: [15, 60],
+  retryOn: RETRYABLE_OUTCOMES
+};
+
+// Validate a retry policy, returning a list of problems. `false` or
+// { maxAttempts: 1 } turns retries off.
+function validateRetryPolicy(policy) {
+  if (policy === false || policy === null) return [];
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    return ['retryPolicy must be an object or false'];
+  }
+
+  const errors = [];
+  const { maxAttempts, backoffMinutes, retryOn } = policy;
+
+  if (maxAttempts !== undefined && (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_ATTEMPTS_LIMIT)) {
+    errors.push(`maxAttempts must be an integer between 1 and ${MAX_ATTEMPTS_LIMIT}`);
+  }
+
+  if (backoffMinutes !== undefined) {
+    const backoff = Array.isArray(backoffMinutes) ? backoffMinutes : [backoffMinutes];
+    if (backoff.length === 0 || backoff.some(minutes => typeof minutes !== 'number' || minutes < 1 || minutes > 7 * 24 * 60)) {
+      errors.push('backoffMinutes must be a number or list of numbers between 1 and 10080');
+    }
+  }
+
+  if (retryOn !== undefined) {
+    if (!Array.isArray(retryOn) || retryOn.some(outcome => !RETRYABLE_OUTCOMES.includes(outcome))) {
+      errors.push(`retryOn must be a list of: ${RETRYABLE_OUTCOMES.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+// Fill in defaults. Returns null when retries are off.
+function normalizeRetryPolicy(policy) {
+  if (!policy) return null;
+
+  const normalized = {
+    maxAttempts: policy.maxAttempts || DEFAULT_RETRY_POLICY.maxAttempts,
+    backoffMinutes: policy.backoffMinutes !== undefined
+      ? [].concat(policy.backoffMinutes)
+      : [...DEFAULT_RETRY_POLICY.backoffMinutes],
+    retryOn: policy.retryOn ? [...new Set(policy.retryOn)] : [...DEFAULT_RETRY_POLICY.retryOn]
+  };
+
+  return normalized.maxAttempts > 1 ? normalized : null;
+}
+
+// Per-call policy wins over the key default; `false` on the call disables.
+// Resolving an already-resolved policy returns it unchanged.
+function resolveRetryPolicy(keyRecord, callPolicy) {
+  if (callPolicy === false || callPolicy === null) return null;
+  if (callPolicy) {
+    return normalizeRetryPolicy({ ...(keyRecord && keyRecord.retryPolicy), ...callPolicy });
+  }
+  return normalizeRetryPolicy(keyRecord && keyRecord.retryPolicy);
+}
+
+module.exports = {
+  RETRYABLE_OUTCOMES,
+  MAX_ATTEMPTS_LIMIT,
+  validateRetryPolicy,
+  resolveRetryPolicy
+};
@@ -0,0 +1,189 @@
+const { MAX_ATTEMPTS_LIMIT } = require('./simple-retry-policy');
+
+// Automatic redials for calls that end unanswered, busy, failed or silent.
+// Retry state lives on the call record (`retry`), so pending retries survive
+// restarts; a background tick places them through the shared dialer.
+class SimpleRetryService {
+  constructor(apiKeyService, callService, dialerService, options = {}) {
+    this.apiKeyService = apiKeyService;
+    this.callService = callService;
+    this.dialerService = dialerService;
+    this.intervalMs = (options.intervalSeconds || 30) * 1000;
+    this.callbackDelayMs = (options.callbackDelayMinutes || 60) * 60 * 1000;
+    this.timer = null;
+
+    console.log('🔁 Simple Retry Service initialized');
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+
+    console.log(`🔁 Retry worker started (every ${this.intervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Minutes to wait before the given attempt; the last backoff value repeats
+  getBackoffMinutes(policy, nextAttemptNumber) {
+    const index = Math.min(nextAttemptNumber - 2, policy.backoffMinutes.length - 1);
+    return policy.backoffMinutes[Math.max(index, 0)];
+  }
+
+  // Called from the status and recording webhooks once a call has an outcome.
+  // Only the first retryable outcome of a call counts (a silent recording is
+  // followed by a "completed" status for the same call). Calls the client
+  // canceled are never retried.
+  handleOutcome(callId, outcome, now = new Date()) {
+    const call = this.callService.getCall(callId);
+    if (!call || call.retry || !call.retryPolicy || call.status === 'canceled_by_client') return null;
+
+    const policy = call.retryPolicy;
+    if (!policy.retryOn.includes(outcome)) return null;
+
+    const attemptNumber = call.attemptNumber || 1;
+    if (attemptNumber >= policy.maxAttempts) {
+      console.log(`🔁 Call ${call.id} ended with ${outcome} - no attempts left (${attemptNumber}/${policy.maxAttempts})`);
+      return this.callService.updateCall(call.id, {
+        retry: { status: 'exhausted', reason: outcome, decidedAt: now.toISOString() }
+      });
+    }
+
+    const backoffMinutes = this.getBackoffMinutes(policy, attemptNumber + 1);
+    const nextRetryAt = new Date(now.getTime() + backoffMinutes * 60 * 1000).toISOString();
+
+    console.log(`🔁 Call ${call.id} ended with ${outcome} - attempt ${attemptNumber + 1} scheduled for ${nextRetryAt}`);
+
+    return this.callService.updateCall(call.id, {
+      retry: {
+        status: 'scheduled',
+        reason: outcome,
+        nextAttemptNumber: attemptNumber + 1,
+        nextRetryAt,
+        decidedAt: now.toISOString()
+      }
+    });
+  }
+
+  // The storyteller asked to be called back later (keypad 9). This is placed
+  // as the next attempt whether or not the call has a retry policy.
+  requestCallback(callId, now = new Date()) {
+    const call = this.callService.getCall(callId);
+    if (!call || call.retry) return null;
+
+    const attemptNumber = call.attemptNumber || 1;
+    if (attemptNumber >= MAX_ATTEMPTS_LIMIT) {
+      console.log(`🔁 Call ${call.id} asked for a callback - attempt limit reached (${attemptNumber})`);
+      return this.callService.updateCall(call.id, {
+        retry: { status: 'exhausted', reason: 'callback_requested', decidedAt: now.toISOString() }
+      });
+    }
+
+    const nextRetryAt = new Date(now.getTime() + this.callbackDelayMs).toISOString();
+    console.log(`🔁 Call ${call.id} asked for a callback - attempt ${attemptNumber + 1} scheduled for ${nextRetryAt}`);
+
+    return this.callService.updateCall(call.id, {
+      retry: {
+        status: 'scheduled',
+        reason: 'callback_requested',
+        nextAttemptNumber: attemptNumber + 1,
+        nextRetryAt,
+        decidedAt: now.toISOString()
+      }
+    });
+  }
+
+  // Drop a call's scheduled retry (e.g. the storyteller called in instead)
+  cancelPendingRetry(callId, reason) {
+    const call = this.callService.getCall(callId);
+    if (!call || !call.retry || call.retry.status !== 'scheduled') return null;
+
+    console.log(`🔁 Retry for call ${call.id} canceled: ${reason}`);
+    return this.callService.updateCall(call.id, {
+      retry: { ...call.retry, status: 'canceled', canceledReason: reason, nextRetryAt: null }
+    });
+  }
+
+  // Place every retry that has come due
+  tick(now = new Date()) {
+    for (const call of this.callService.getCallsAwaitingRetry(now)) {
+      try {
+        this.runRetry(call, now);
+      } catch (error) {
+        console.error(`❌ Retry for call ${call.id} failed:`, error.message);
+      }
+    }
+  }
+
+  runRetry(call, now) {
+    const keyRecord = this.apiKeyService.getApiKey(call.apiKeyId);
+    if (!keyRecord || !keyRecord.isActive) {
+      console.warn(`⚠️  Retry for call ${call.id} dropped: API key ${call.apiKeyId} is inactive`);
+      return this.callService.updateCall(call.id, {
+        retry: { ...call.retry, status: 'abandoned', error: 'api_key_inactive', nextRetryAt: null }
+      });
+    }
+
+    const rateLimit = this.apiKeyService.checkRateLimits(call.apiKeyId);
+    if (!rateLimit.allowed) {
+      const nextRetryAt = new Date(now.getTime() + rateLimit.retryAfter * 1000).toISOString();
+      console.warn(`⚠️  Retry for call ${call.id} over quota - deferred to ${nextRetryAt}`);
+      return this.callService.updateCall(call.id, {
+        retry: { ...call.retry, nextRetryAt, lastError: rateLimit.message }
+      });
+    }
+
+    const originalCallId = call.originalCallId || call.id;
+    const retryCall = this.dialerService.placeCall({
+      phoneNumber: call.phoneNumber,
+      customMessage: call.customMessage,
+      questions: call.questions,
+      storytellerId: call.storytellerId,
+      familyMemberId: call.familyMemberId,
+      scheduledCallId: call.scheduledCallId,
+      scheduleId: call.scheduleId,
+      campaignId: call.campaignId,
+      callType: call.callType,
+      recordingType: call.recordingType,
+      interactive: call.interactive,
+      reviewAnswers: call.reviewAnswers,
+      longStory: call.longStory,
+      conference: call.conference,
+      retryPolicy: call.retryPolicy,
+      machineDetection: call.machineDetection,
+      voicemailMessage: call.voicemailMessage,
+      requireConsent: call.requireConsent,
+      voicePersona: call.voicePersona,
+      locale: call.locale,
+      attemptNumber: call.retry.nextAttemptNumber,
+      originalCallId,
+      previousCallId: call.id,
+      apiKeyInfo: keyRecord
+    });
+
+    this.callService.updateCall(call.id, {
+      retry: { ...call.retry, status: 'retried', retryCallId: retryCall.id, retriedAt: now.toISOString(), nextRetryAt: null }
+    });
+
+    // The original call keeps the full list of attempts
+    const original = this.callService.getCall(originalCallId);
+    if (original) {
+      this.callService.updateCall(originalCallId, {
+        retryCallIds: [...(original.retryCallIds || []), retryCall.id]
+      });
+    }
+
+    console.log(`🔁 Call ${call.id} retried as ${retryCall.id} (attempt ${retryCall.attemptNumber})`);
+    return retryCall;
+  }
+}
+
+module.exports = SimpleRetryService;
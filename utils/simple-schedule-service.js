@@ -0,0 +1,585 @@
+const crypto = require('crypto');
+const { createStore } = require('./simple-storage');
+const { callRequestErrors, callSettingsFromRequest } = require('./simple-call-request');
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const FREQUENCIES = ['once', 'daily', 'weekly'];
+const MISSED_RUN_POLICIES = ['call_late', 'skip'];
+
+// How many past runs to keep on each schedule record
+const MAX_RUN_HISTORY = 50;
+
+// Wall-clock parts of an instant in a time zone
+function getZonedParts(date, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'long'
+  });
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: DAYS_OF_WEEK.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+// UTC instant for a wall-clock time in a time zone. The second pass settles
+// the offset when the first guess lands on the other side of a DST change.
+function zonedTimeToUtc({ year, month, day, hour, minute }, timeZone) {
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+  let utc = wallClockAsUtc;
+
+  for (let pass = 0; pass < 2; pass++) {
+    const zoned = getZonedParts(new Date(utc), timeZone);
+    const zonedAsUtc = Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute);
+    utc += wallClockAsUtc - zonedAsUtc;
+  }
+
+  return new Date(utc);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Parse "HH:mm" into minutes since midnight
+function parseTimeOfDay(value) {
+  const match = typeof value === 'string' && value.match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+// Parse "YYYY-MM-DD" into date parts
+function parseLocalDate(value) {
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return match ? { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) } : null;
+}
+
+// Parse a one-off run time: local "YYYY-MM-DDTHH:mm" in the schedule's time
+// zone, or any absolute ISO timestamp with Z/offset
+function parseRunAt(value, timeZone) {
+  if (typeof value !== 'string') return null;
+
+  const local = value.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/);
+  if (local) {
+    return zonedTimeToUtc({
+      year: Number(local[1]),
+      month: Number(local[2]),
+      day: Number(local[3]),
+      hour: Number(local[4]),
+      minute: Number(local[5])
+    }, timeZone);
+  }
+
+  const absolute = new Date(value);
+  return isNaN(absolute.getTime()) ? null : absolute;
+}
+
+// Check whether an instant falls inside a daily calling window
+function isWithinCallingWindow(date, timeZone, callingWindow) {
+  if (!callingWindow) return true;
+
+  const { hour, minute } = getZonedParts(date, timeZone);
+  const minutes = hour * 60 + minute;
+  return minutes >= parseTimeOfDay(callingWindow.start) && minutes < parseTimeOfDay(callingWindow.end);
+}
+
+// Drop null fields, leaving them unset
+function withoutNulls(input) {
+  return Object.fromEntries(Object.entries(input).filter(([, value]) => value !== null));
+}
+
+// Next time the calling window opens at or after an instant
+function nextCallingWindowStart(date, timeZone, callingWindow) {
+  const zoned = getZonedParts(date, timeZone);
+  const startMinutes = parseTimeOfDay(callingWindow.start);
+  const opensToday = zoned.hour * 60 + zoned.minute < startMinutes;
+  const day = new Date(Date.UTC(zoned.year, zoned.month - 1, zoned.day + (opensToday ? 0 : 1)));
+
+  return zonedTimeToUtc({
+    year: day.getUTCFullYear(),
+    month: day.getUTCMonth() + 1,
+    day: day.getUTCDate(),
+    hour: Math.floor(startMinutes / 60),
+    minute: startMinutes % 60
+  }, timeZone);
+}
+
+class SimpleScheduleService {
+  constructor(apiKeyService, dialerService, options = {}) {
+    this.apiKeyService = apiKeyService;
+    this.dialerService = dialerService;
+    this.schedules = options.store || createStore('schedules', options);
+
+    // Runs later than this after their due time count as missed (downtime)
+    this.missedRunGraceMs = (options.missedRunGraceMinutes || 15) * 60 * 1000;
+    this.intervalMs = (options.intervalSeconds || 30) * 1000;
+    this.timer = null;
+
+    console.log(`🗓️  Simple Schedule Service initialized (${this.schedules.type} storage)`);
+  }
+
+  // Start the background scheduler. Runs once immediately so schedules that
+  // came due while the service was down are handled right after a restart.
+  start() {
+    if (this.timer) return;
+
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+
+    console.log(`🗓️  Scheduler started (every ${this.intervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  generateScheduleId() {
+    return `sched_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  // Validate schedule input, returning a list of problems. A one-off runAt
+  // must still be ahead unless it is being kept as it was.
+  validateSchedule(input, { now = new Date(), requireFutureRunAt = true } = {}) {
+    const errors = [];
+    const frequency = input.frequency || 'once';
+
+    // The call itself takes the same fields as POST /call, except that its
+    // heads-up comes from the key's SMS settings
+    errors.push(...callRequestErrors(input));
+    if (input.headsUp !== undefined) {
+      errors.push('headsUp for schedules is set for the key with PUT /api/v1/sms-settings');
+    }
+
+    if (!input.timeZone || !isValidTimeZone(input.timeZone)) {
+      errors.push('timeZone must be an IANA time zone such as "America/Chicago"');
+    }
+
+    if (!FREQUENCIES.includes(frequency)) {
+      errors.push(`frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    if (frequency === 'once') {
+      const runAt = parseRunAt(input.runAt, isValidTimeZone(input.timeZone) ? input.timeZone : 'UTC');
+      if (!runAt) {
+        errors.push('runAt must be a local "YYYY-MM-DDTHH:mm" time or an ISO timestamp');
+      } else if (requireFutureRunAt && runAt <= now) {
+        errors.push('runAt must be in the future');
+      }
+    }
+
+    if (frequency !== 'once' && parseTimeOfDay(input.time) === null) {
+      errors.push('time must be "HH:mm" (24-hour) for recurring schedules');
+    }
+
+    if (frequency === 'weekly') {
+      const days = Array.isArray(input.daysOfWeek) ? input.daysOfWeek : [];
+      if (days.length === 0 || days.some(day => this.normalizeDay(day) === -1)) {
+        errors.push('daysOfWeek must list days such as ["sunday"] or [0] for weekly schedules');
+      }
+    }
+
+    if (input.callingWindow) {
+      const start = parseTimeOfDay(input.callingWindow.start);
+      const end = parseTimeOfDay(input.callingWindow.end);
+      if (start === null || end === null || start >= end) {
+        errors.push('callingWindow must have "HH:mm" start before end');
+      } else if (frequency !== 'once' && parseTimeOfDay(input.time) !== null) {
+        const time = parseTimeOfDay(input.time);
+        if (time < start || time >= end) {
+          errors.push('time must fall inside callingWindow');
+        }
+      }
+    }
+
+    if (input.startDate && !parseLocalDate(input.startDate)) errors.push('startDate must be "YYYY-MM-DD"');
+    if (input.endDate && !parseLocalDate(input.endDate)) errors.push('endDate must be "YYYY-MM-DD"');
+
+    if (input.missedRunPolicy && !MISSED_RUN_POLICIES.includes(input.missedRunPolicy)) {
+      errors.push(`missedRunPolicy must be one of: ${MISSED_RUN_POLICIES.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  normalizeDay(day) {
+    if (Number.isInteger(day) && day >= 0 && day <= 6) return day;
+    return typeof day === 'string' ? DAYS_OF_WEEK.indexOf(day.toLowerCase()) : -1;
+  }
+
+  // Build the recurrence rule stored on a schedule
+  buildRecurrence(input) {
+    const frequency = input.frequency || 'once';
+
+    if (frequency === 'once') {
+      return { frequency, runAt: parseRunAt(input.runAt, input.timeZone).toISOString() };
+    }
+
+    return {
+      frequency,
+      time: input.time,
+      daysOfWeek: frequency === 'weekly'
+        ? [...new Set(input.daysOfWeek.map(day => this.normalizeDay(day)))].sort()
+        : null
+    };
+  }
+
+  // Next occurrence strictly after an instant, or null when the schedule is done
+  computeNextRunAt(schedule, after) {
+    const { recurrence, timeZone } = schedule;
+
+    if (recurrence.frequency === 'once') {
+      const runAt = new Date(recurrence.runAt);
+      return runAt > after ? runAt : null;
+    }
+
+    const minutes = parseTimeOfDay(recurrence.time);
+    const startDate = parseLocalDate(schedule.startDate);
+    const endDate = parseLocalDate(schedule.endDate);
+    const today = getZonedParts(after, timeZone);
+
+    // Look a little over a week ahead, which always covers a weekly rule
+    for (let offset = 0; offset <= 8; offset++) {
+      const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+      const dateKey = day.toISOString().slice(0, 10);
+
+      if (startDate && dateKey < schedule.startDate) continue;
+      if (endDate && dateKey > schedule.endDate) return null;
+      if (recurrence.frequency === 'weekly' && !recurrence.daysOfWeek.includes(day.getUTCDay())) continue;
+
+      const candidate = zonedTimeToUtc({
+        year: day.getUTCFullYear(),
+        month: day.getUTCMonth() + 1,
+        day: day.getUTCDate(),
+        hour: Math.floor(minutes / 60),
+        minute: minutes % 60
+      }, timeZone);
+
+      if (candidate > after) {
+        return candidate;
+      }
+    }
+
+    // startDate is further out than the lookahead; search from there
+    if (startDate) {
+      const startOfRange = zonedTimeToUtc({ ...startDate, hour: 0, minute: 0 }, timeZone);
+      if (startOfRange > after) {
+        return this.computeNextRunAt(schedule, new Date(startOfRange.getTime() - 1));
+      }
+    }
+
+    return null;
+  }
+
+  // Create a schedule owned by an API key
+  createSchedule(input, keyRecord) {
+    const now = new Date();
+    const scheduleId = this.generateScheduleId();
+
+    const schedule = {
+      id: scheduleId,
+      apiKeyId: keyRecord.id,
+      clientName: keyRecord.clientName,
+      scheduledCallId: input.scheduledCallId || scheduleId,
+      status: 'active',
+      timeZone: input.timeZone,
+      recurrence: this.buildRecurrence(input),
+      callingWindow: input.callingWindow
+        ? { start: input.callingWindow.start, end: input.callingWindow.end }
+        : null,
+      startDate: input.startDate || null,
+      endDate: input.endDate || null,
+      missedRunPolicy: input.missedRunPolicy || 'call_late',
+      call: this.buildCall(input),
+      nextRunAt: null,
+      deferredUntil: null,
+      // Heads-up text for an upcoming run, when the key sends them
+      headsUp: null,
+      lastRunAt: null,
+      runCount: 0,
+      runs: [],
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+
+    const nextRunAt = this.computeNextRunAt(schedule, now);
+    schedule.nextRunAt = nextRunAt ? nextRunAt.toISOString() : null;
+    if (!schedule.nextRunAt) {
+      schedule.status = 'completed';
+    }
+
+    this.schedules.set(scheduleId, schedule);
+
+    console.log(`🗓️  Schedule ${scheduleId} created for ${schedule.call.phoneNumber} (${schedule.recurrence.frequency}, next: ${schedule.nextRunAt})`);
+
+    return schedule;
+  }
+
+  getSchedule(scheduleId) {
+    return this.schedules.get(scheduleId);
+  }
+
+  // Schedules for an API key, soonest first
+  getSchedulesByApiKey(apiKeyId) {
+    return Array.from(this.schedules.values())
+      .filter(schedule => schedule.apiKeyId === apiKeyId)
+      .sort((a, b) => (a.nextRunAt || '9999').localeCompare(b.nextRunAt || '9999'));
+  }
+
+  // Active schedules, soonest next run first
+  getActiveSchedules() {
+    return Array.from(this.schedules.values())
+      .filter(schedule => schedule.status === 'active' && schedule.nextRunAt)
+      .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt));
+  }
+
+  // Merge changes into a schedule and recompute its next run. Changes use the
+  // same flat shape as createSchedule input, plus status 'active'/'paused'.
+  updateSchedule(scheduleId, changes) {
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) {
+      throw new Error(`Schedule not found: ${scheduleId}`);
+    }
+
+    if (['canceled', 'completed'].includes(schedule.status)) {
+      const error = new Error(`Schedule is ${schedule.status} and can no longer be changed`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    // A null change clears the field back to its default (schedules saved
+    // before calls took POST /call's fields store unset ones as null too)
+    const input = withoutNulls({ ...this.toInput(schedule), ...changes });
+    const errors = this.validateSchedule(input, { requireFutureRunAt: changes.runAt !== undefined || changes.frequency !== undefined });
+    if (changes.status && !['active', 'paused'].includes(changes.status)) {
+      errors.push('status can only be changed to "active" or "paused"');
+    }
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.statusCode = 400;
+      error.errors = errors;
+      throw error;
+    }
+
+    schedule.timeZone = input.timeZone;
+    schedule.recurrence = this.buildRecurrence(input);
+    schedule.callingWindow = input.callingWindow || null;
+    schedule.startDate = input.startDate || null;
+    schedule.endDate = input.endDate || null;
+    schedule.missedRunPolicy = input.missedRunPolicy || 'call_late';
+    schedule.scheduledCallId = input.scheduledCallId || schedule.scheduledCallId;
+    schedule.call = this.buildCall(input);
+    if (changes.status) {
+      schedule.status = changes.status;
+    }
+
+    const nextRunAt = this.computeNextRunAt(schedule, new Date());
+    schedule.nextRunAt = nextRunAt ? nextRunAt.toISOString() : null;
+    schedule.deferredUntil = null;
+    if (!schedule.nextRunAt) {
+      schedule.status = 'completed';
+    }
+    schedule.updatedAt = new Date().toISOString();
+
+    this.schedules.set(scheduleId, schedule);
+
+    console.log(`🗓️  Schedule ${scheduleId} updated (status: ${schedule.status}, next: ${schedule.nextRunAt})`);
+
+    return schedule;
+  }
+
+  // The call settings stored on a schedule. The schedule keeps its own
+  // scheduledCallId and sends its own heads-up.
+  buildCall(input) {
+    const { scheduledCallId, headsUp, ...call } = callSettingsFromRequest(input);
+    return call;
+  }
+
+  // Flatten a stored schedule back into createSchedule input
+  toInput(schedule) {
+    return {
+      ...schedule.call,
+      scheduledCallId: schedule.scheduledCallId,
+      timeZone: schedule.timeZone,
+      frequency: schedule.recurrence.frequency,
+      runAt: schedule.recurrence.runAt,
+      time: schedule.recurrence.time,
+      daysOfWeek: schedule.recurrence.daysOfWeek,
+      callingWindow: schedule.callingWindow,
+      startDate: schedule.startDate,
+      endDate: schedule.endDate,
+      missedRunPolicy: schedule.missedRunPolicy
+    };
+  }
+
+  // Cancel a schedule; its history is kept
+  cancelSchedule(scheduleId) {
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) {
+      throw new Error(`Schedule not found: ${scheduleId}`);
+    }
+
+    schedule.status = 'canceled';
+    schedule.nextRunAt = null;
+    schedule.deferredUntil = null;
+    schedule.canceledAt = new Date().toISOString();
+    schedule.updatedAt = schedule.canceledAt;
+    this.schedules.set(scheduleId, schedule);
+
+    console.log(`🗓️  Schedule ${scheduleId} canceled`);
+
+    return schedule;
+  }
+
+  // Fire every schedule that is due
+  tick(now = new Date()) {
+    for (const schedule of Array.from(this.schedules.values())) {
+      if (schedule.status !== 'active' || !schedule.nextRunAt) continue;
+      if (new Date(schedule.nextRunAt) > now) continue;
+      if (schedule.deferredUntil && new Date(schedule.deferredUntil) > now) continue;
+
+      try {
+        this.runSchedule(schedule, now);
+      } catch (error) {
+        console.error(`❌ Schedule ${schedule.id} run failed:`, error.message);
+      }
+    }
+  }
+
+  // Handle one due occurrence of a schedule
+  runSchedule(schedule, now) {
+    const dueAt = new Date(schedule.nextRunAt);
+    const late = now - dueAt > this.missedRunGraceMs;
+    // A run held back for the calling window or quota is only missed if it
+    // also misses the time it was held back to (e.g. the service was down)
+    const expectedAt = schedule.deferredUntil ? new Date(schedule.deferredUntil) : dueAt;
+    const missed = now - expectedAt > this.missedRunGraceMs;
+    const missedOccurrences = this.countOccurrencesBetween(schedule, dueAt, now);
+
+    if (missed && schedule.missedRunPolicy === 'skip') {
+      console.log(`⏭️  Schedule ${schedule.id} missed run at ${dueAt.toISOString()} - skipping`);
+      return this.completeRun(schedule, now, { scheduledFor: dueAt.toISOString(), status: 'missed', missedOccurrences });
+    }
+
+    // A late run (e.g. after overnight downtime) waits for the calling window
+    if (!isWithinCallingWindow(now, schedule.timeZone, schedule.callingWindow)) {
+      schedule.deferredUntil = nextCallingWindowStart(now, schedule.timeZone, schedule.callingWindow).toISOString();
+      schedule.updatedAt = now.toISOString();
+      this.schedules.set(schedule.id, schedule);
+      console.log(`⏳ Schedule ${schedule.id} outside calling window - deferred to ${schedule.deferredUntil}`);
+      return;
+    }
+
+    const keyRecord = this.apiKeyService.getApiKey(schedule.apiKeyId);
+    if (!keyRecord || !keyRecord.isActive) {
+      console.warn(`⚠️  Schedule ${schedule.id} paused: API key ${schedule.apiKeyId} is inactive`);
+      schedule.status = 'paused';
+      return this.completeRun(schedule, now, { scheduledFor: dueAt.toISOString(), status: 'failed', error: 'api_key_inactive' }, false);
+    }
+
+    const rateLimit = this.apiKeyService.checkRateLimits(schedule.apiKeyId);
+    if (!rateLimit.allowed) {
+      schedule.deferredUntil = new Date(now.getTime() + rateLimit.retryAfter * 1000).toISOString();
+      schedule.lastError = rateLimit.message;
+      schedule.updatedAt = now.toISOString();
+      this.schedules.set(schedule.id, schedule);
+      console.warn(`⚠️  Schedule ${schedule.id} over quota - deferred to ${schedule.deferredUntil}`);
+      return;
+    }
+
+    // A heads-up text sent for this run goes on the call it announced
+    const headsUp = schedule.headsUp && schedule.headsUp.scheduledFor === schedule.nextRunAt ? schedule.headsUp : null;
+
+    const callRecord = this.dialerService.placeCall({
+      ...schedule.call,
+      scheduledCallId: schedule.scheduledCallId,
+      scheduleId: schedule.id,
+      sms: headsUp ? { headsUp: { ...headsUp } } : null,
+      apiKeyInfo: keyRecord
+    });
+    if (headsUp) {
+      this.recordHeadsUp(schedule.id, { scheduledFor: headsUp.scheduledFor, callId: callRecord.id });
+    }
+
+    console.log(`🗓️  Schedule ${schedule.id} fired call ${callRecord.id}${late ? ' (late)' : ''}`);
+
+    return this.completeRun(schedule, now, {
+      scheduledFor: dueAt.toISOString(),
+      firedAt: now.toISOString(),
+      callId: callRecord.id,
+      status: late ? 'fired_late' : 'fired',
+      missedOccurrences
+    });
+  }
+
+  // Keep what is known about the heads-up text for one run (see
+  // simple-sms-service). Updates for the same run are merged.
+  recordHeadsUp(scheduleId, headsUp) {
+    const schedule = this.schedules.get(scheduleId);
+    const current = schedule.headsUp && schedule.headsUp.scheduledFor === headsUp.scheduledFor ? schedule.headsUp : {};
+
+    schedule.headsUp = { ...current, ...headsUp };
+    this.schedules.set(scheduleId, schedule);
+
+    return schedule.headsUp;
+  }
+
+  // Occurrences after the due one that also passed while we were down
+  countOccurrencesBetween(schedule, dueAt, now) {
+    let count = 0;
+    let next = this.computeNextRunAt(schedule, dueAt);
+    while (next && next <= now && count < 1000) {
+      count++;
+      next = this.computeNextRunAt(schedule, next);
+    }
+    return count;
+  }
+
+  // Record a run and advance to the next occurrence after now
+  completeRun(schedule, now, run, advance = true) {
+    schedule.runs = [...(schedule.runs || []), run].slice(-MAX_RUN_HISTORY);
+    schedule.lastRunAt = now.toISOString();
+    schedule.deferredUntil = null;
+    schedule.lastError = run.error || null;
+    if (run.callId) {
+      schedule.runCount = (schedule.runCount || 0) + 1;
+    }
+
+    if (advance) {
+      const nextRunAt = this.computeNextRunAt(schedule, now);
+      schedule.nextRunAt = nextRunAt ? nextRunAt.toISOString() : null;
+      if (!schedule.nextRunAt) {
+        schedule.status = 'completed';
+      }
+    }
+
+    schedule.updatedAt = now.toISOString();
+    this.schedules.set(schedule.id, schedule);
+
+    return schedule;
+  }
+}
+
+module.exports = SimpleScheduleService;
@@ -0,0 +1,253 @@
+const { createStore } = require('./simple-storage');
+const { resolveSmsSettings, renderSmsText, interpretSmsKeyword } = require('./simple-sms-settings');
+const { normalizePhoneNumber } = require('./simple-phone-number');
+
+// Twilio message statuses in the order they happen. Status callbacks can
+// arrive out of order, so a message never moves back to an earlier one.
+const MESSAGE_STATUS_ORDER = ['sending_requested', 'accepted', 'queued', 'sending', 'sent', 'delivered', 'undelivered', 'failed'];
+
+// Twilio error for a number that replied STOP
+const OPTED_OUT_ERROR_CODE = 21610;
+
+// Call outcomes whose story is worth a thank-you
+const THANKED_OUTCOMES = ['successful', 'max_length_reached'];
+
+// Texts around a call, through the Twilio number: a heads-up before a
+// scheduled call (or a call held for one) so the storyteller picks up, and a
+// thank-you once their story is recorded. Each message's SID and delivery status are kept where
+// it belongs (`sms.headsUp` / `sms.thankYou` on the call, `headsUp` on the
+// schedule until its call is placed). Numbers that reply STOP are never
+// texted again until they reply START.
+class SimpleSmsService {
+  constructor(apiKeyService, callService, scheduleService, twilioService, options = {}) {
+    this.apiKeyService = apiKeyService;
+    this.callService = callService;
+    this.scheduleService = scheduleService;
+    this.twilioService = twilioService;
+    this.optOuts = options.store || createStore('sms-opt-outs', options);
+    this.intervalMs = (options.intervalSeconds || 30) * 1000;
+    this.timer = null;
+
+    console.log(`💬 Simple SMS Service initialized (${this.optOuts.type} storage)`);
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+
+    console.log(`💬 SMS heads-ups started (every ${this.intervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Opt-outs are kept by the number's last 10 digits, so a STOP from
+  // "+15555550100" covers texts to "(555) 555-0100" too
+  isOptedOut(phoneNumber) {
+    return this.optOuts.has(normalizePhoneNumber(phoneNumber));
+  }
+
+  optOut(phoneNumber, keyword, now) {
+    this.optOuts.set(normalizePhoneNumber(phoneNumber), { phoneNumber, keyword, optedOutAt: now.toISOString() });
+  }
+
+  // An incoming text: STOP-style replies opt the number out, START-style
+  // ones opt it back in. Returns what was done, or null for any other text.
+  handleIncomingMessage({ from, body }, now = new Date()) {
+    const action = interpretSmsKeyword(body);
+
+    if (action === 'opt_out') {
+      this.optOut(from, String(body).trim(), now);
+      console.log(`🔕 ${from} opted out of texts`);
+    } else if (action === 'opt_in' && this.isOptedOut(from)) {
+      this.optOuts.delete(normalizePhoneNumber(from));
+      console.log(`🔔 ${from} opted back in to texts`);
+    }
+
+    return action;
+  }
+
+  // Where Twilio reports a message's delivery status
+  statusCallbackUrl(query) {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:5005';
+    const params = Object.entries(query).map(([name, value]) => `${name}=${encodeURIComponent(value)}`).join('&');
+    return `${baseUrl}/api/v1/sms-status?${params}`;
+  }
+
+  // Send one text, returning what to store about it. Never rejects: a
+  // message that can't be sent is stored with status 'failed' (or
+  // 'opted_out') and the error.
+  async send(phoneNumber, body, query, now = new Date()) {
+    const message = { messageSid: null, status: null, body, sentAt: now.toISOString(), statusUpdatedAt: now.toISOString(), errorCode: null, error: null };
+
+    if (this.isOptedOut(phoneNumber)) {
+      console.log(`🔕 Not texting ${phoneNumber}: opted out`);
+      return { ...message, status: 'opted_out', sentAt: null };
+    }
+    if (!this.twilioService.isReady()) {
+      return { ...message, status: 'failed', sentAt: null, error: 'Twilio service not configured' };
+    }
+
+    try {
+      const result = await this.twilioService.sendSms({ to: phoneNumber, body, statusCallbackUrl: this.statusCallbackUrl(query) });
+      return { ...message, messageSid: result.messageSid, status: result.status };
+    } catch (error) {
+      // Twilio already knows this number replied STOP (perhaps before we did)
+      if (error.code === OPTED_OUT_ERROR_CODE) {
+        this.optOut(phoneNumber, null, now);
+        return { ...message, status: 'opted_out', sentAt: null, errorCode: error.code, error: error.message };
+      }
+      return { ...message, status: 'failed', sentAt: null, errorCode: error.code || null, error: error.message };
+    }
+  }
+
+  // Send every heads-up that has come due
+  async tick(now = new Date()) {
+    for (const schedule of this.scheduleService.getActiveSchedules()) {
+      const minutes = this.headsUpMinutes(schedule, now);
+      if (minutes === null) continue;
+
+      try {
+        await this.sendHeadsUp(schedule, minutes, now);
+      } catch (error) {
+        console.error(`❌ Heads-up for schedule ${schedule.id} failed:`, error.message);
+      }
+    }
+
+    // Calls held for a heads-up get theirs right away; one whose time has
+    // come is about to ring anyway
+    for (const call of this.callService.getHeldCalls()) {
+      if ((call.sms && call.sms.headsUp) || new Date(call.heldUntil) <= now) continue;
+
+      try {
+        await this.sendCallHeadsUp(call.id, now);
+      } catch (error) {
+        console.error(`❌ Heads-up for call ${call.id} failed:`, error.message);
+      }
+    }
+  }
+
+  // Whole minutes until a schedule's next call when its heads-up is due
+  // now, else null. Each run gets one heads-up; deferred runs get none, as
+  // their time is no longer certain.
+  headsUpMinutes(schedule, now) {
+    if (schedule.deferredUntil) return null;
+    if (schedule.headsUp && schedule.headsUp.scheduledFor === schedule.nextRunAt) return null;
+
+    const { headsUp } = resolveSmsSettings(this.apiKeyService.getApiKey(schedule.apiKeyId));
+    if (!headsUp.enabled) return null;
+
+    const minutesLeft = (new Date(schedule.nextRunAt) - now) / 60000;
+    if (minutesLeft <= 0 || minutesLeft > headsUp.leadMinutes) return null;
+
+    return Math.max(1, Math.round(minutesLeft));
+  }
+
+  async sendHeadsUp(schedule, minutes, now = new Date()) {
+    const scheduledFor = schedule.nextRunAt;
+    const settings = resolveSmsSettings(this.apiKeyService.getApiKey(schedule.apiKeyId));
+    const body = renderSmsText(settings, 'headsUp', schedule.call.locale, { minutes });
+
+    // Claimed before sending so the next tick doesn't send it again
+    this.scheduleService.recordHeadsUp(schedule.id, { scheduledFor, status: 'sending_requested', body });
+
+    const message = await this.send(schedule.call.phoneNumber, body, { scheduleId: schedule.id, message: 'headsUp' }, now);
+    console.log(`💬 Heads-up for schedule ${schedule.id} (call at ${scheduledFor}): ${message.status}`);
+
+    const headsUp = this.scheduleService.recordHeadsUp(schedule.id, { scheduledFor, ...message });
+
+    // The call may already have been placed while Twilio was answering
+    if (headsUp.callId && this.callService.getCall(headsUp.callId)) {
+      this.storeCallMessage(headsUp.callId, 'headsUp', { scheduledFor, ...message });
+    }
+
+    return headsUp;
+  }
+
+  async sendCallHeadsUp(callId, now = new Date()) {
+    const call = this.callService.getCall(callId);
+    const scheduledFor = call.heldUntil;
+    const minutes = Math.max(1, Math.round((new Date(scheduledFor) - now) / 60000));
+    const settings = resolveSmsSettings(this.apiKeyService.getApiKey(call.apiKeyId));
+    const body = renderSmsText(settings, 'headsUp', call.locale, { minutes });
+
+    // Claimed before sending so the next tick doesn't send it again
+    this.storeCallMessage(callId, 'headsUp', { scheduledFor, status: 'sending_requested', body });
+
+    const message = await this.send(call.phoneNumber, body, { callId, message: 'headsUp' }, now);
+    console.log(`💬 Heads-up for call ${callId} (held until ${scheduledFor}): ${message.status}`);
+
+    return this.storeCallMessage(callId, 'headsUp', { scheduledFor, ...message }).sms.headsUp;
+  }
+
+  // Thank the storyteller once their story is recorded. Resolves with the
+  // stored message, or null when no thank-you is due.
+  async sendThankYou(callId, now = new Date()) {
+    const call = this.callService.getCall(callId);
+    if (!call || (call.sms && call.sms.thankYou)) return null;
+    if (!THANKED_OUTCOMES.includes(call.metadata && call.metadata.finalOutcome)) return null;
+
+    const settings = resolveSmsSettings(this.apiKeyService.getApiKey(call.apiKeyId));
+    if (!settings.thankYou.enabled) return null;
+
+    const body = renderSmsText(settings, 'thankYou', call.locale);
+    this.storeCallMessage(callId, 'thankYou', { status: 'sending_requested', body });
+
+    const message = await this.send(call.phoneNumber, body, { callId, message: 'thankYou' }, now);
+    console.log(`💬 Thank-you for call ${callId}: ${message.status}`);
+
+    return this.storeCallMessage(callId, 'thankYou', message).sms.thankYou;
+  }
+
+  storeCallMessage(callId, name, message) {
+    const call = this.callService.getCall(callId);
+    return this.callService.updateCall(callId, { sms: { ...call.sms, [name]: message } });
+  }
+
+  // Apply a Twilio status callback to the message it describes. Returns the
+  // updated message, or null when it's unknown or the status is stale.
+  updateDeliveryStatus({ callId, scheduleId, message: name }, { MessageSid, MessageStatus, ErrorCode }, now = new Date()) {
+    const update = stored => {
+      if (!stored || stored.messageSid !== MessageSid) return null;
+      if (MESSAGE_STATUS_ORDER.indexOf(MessageStatus) < MESSAGE_STATUS_ORDER.indexOf(stored.status)) return null;
+
+      return {
+        ...stored,
+        status: MessageStatus,
+        errorCode: ErrorCode ? Number(ErrorCode) : stored.errorCode,
+        statusUpdatedAt: now.toISOString(),
+        deliveredAt: MessageStatus === 'delivered' ? now.toISOString() : stored.deliveredAt || null
+      };
+    };
+
+    // A heads-up lives on its schedule, and on the call once it's placed
+    if (scheduleId && name === 'headsUp') {
+      const schedule = this.scheduleService.getSchedule(scheduleId);
+      const updated = schedule && update(schedule.headsUp);
+      if (!updated) return null;
+
+      this.scheduleService.recordHeadsUp(scheduleId, updated);
+      const call = updated.callId && this.callService.getCall(updated.callId);
+      if (call && call.sms && call.sms.headsUp && call.sms.headsUp.messageSid === MessageSid) {
+        const { callId: placedCallId, ...message } = updated;
+        this.storeCallMessage(call.id, 'headsUp', message);
+      }
+      return updated;
+    }
+
+    const call = callId && this.callService.getCall(callId);
+    const updated = call && call.sms && update(call.sms[name]);
+    if (!updated) return null;
+
+    this.storeCallMessage(callId, name, updated);
+    return updated;
+  }
+}
+
+module.exports = SimpleSmsService;
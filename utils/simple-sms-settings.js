@@ -0,0 +1,133 @@
+const { translate } = require('./simple-locales');
+
+// Texts a key can turn on: a heads-up before a scheduled call, and a thank-you
+// after a call whose story was recorded. Without a `text` they use the call's
+// locale catalog; `{minutes}` in a heads-up is the time left before the call.
+const DEFAULT_SMS_SETTINGS = {
+  headsUp: { enabled: false, leadMinutes: 10, text: null },
+  thankYou: { enabled: false, text: null }
+};
+const TEMPLATE_FIELDS = {
+  headsUp: ['minutes'],
+  thankYou: []
+};
+const CATALOG_PROMPTS = {
+  headsUp: 'smsHeadsUp',
+  thankYou: 'smsThankYou'
+};
+const MAX_LEAD_MINUTES = 24 * 60;
+const MAX_SMS_TEXT_LENGTH = 320;
+
+// Replies that stop our texts to a number, and the ones that start them again
+// (the keywords carriers and Twilio honor on long codes)
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP', 'YES'];
+
+// Validate (partial) SMS settings, returning a list of problems. null turns
+// every text off.
+function validateSmsSettings(settings) {
+  if (settings === null) return [];
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['smsSettings must be an object'];
+  }
+
+  const errors = [];
+  for (const [name, message] of Object.entries(settings)) {
+    if (!DEFAULT_SMS_SETTINGS[name]) {
+      errors.push(`${name} is not supported (use ${Object.keys(DEFAULT_SMS_SETTINGS).join(', ')})`);
+      continue;
+    }
+    if (typeof message !== 'object' || message === null || Array.isArray(message)) {
+      errors.push(`${name} must be an object`);
+      continue;
+    }
+
+    for (const field of Object.keys(message)) {
+      if (!(field in DEFAULT_SMS_SETTINGS[name])) {
+        errors.push(`${name}.${field} is not supported (use ${Object.keys(DEFAULT_SMS_SETTINGS[name]).join(', ')})`);
+      }
+    }
+
+    const { enabled, leadMinutes, text } = message;
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      errors.push(`${name}.enabled must be true or false`);
+    }
+    if (name === 'headsUp' && leadMinutes !== undefined &&
+        (!Number.isInteger(leadMinutes) || leadMinutes < 1 || leadMinutes > MAX_LEAD_MINUTES)) {
+      errors.push(`headsUp.leadMinutes must be a whole number from 1 to ${MAX_LEAD_MINUTES}`);
+    }
+    if (text !== undefined && text !== null) {
+      if (typeof text !== 'string' || !text.trim() || text.length > MAX_SMS_TEXT_LENGTH) {
+        errors.push(`${name}.text must be a non-empty string of at most ${MAX_SMS_TEXT_LENGTH} characters`);
+      } else {
+        const unknown = (text.match(/\{\w+\}/g) || []).filter(field => !TEMPLATE_FIELDS[name].includes(field.slice(1, -1)));
+        if (unknown.length > 0) {
+          errors.push(`${name}.text can't use ${unknown.join(', ')}${TEMPLATE_FIELDS[name].length > 0 ? ` (use ${TEMPLATE_FIELDS[name].map(field => `{${field}}`).join(', ')})` : ''}`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Validate a call's own `headsUp`: true (the key's lead time), false, or
+// { leadMinutes }. Returns a list of problems.
+function validateCallHeadsUp(headsUp) {
+  if (headsUp === undefined || typeof headsUp === 'boolean') return [];
+  if (typeof headsUp !== 'object' || headsUp === null || Array.isArray(headsUp)) {
+    return ['headsUp must be true, false or an object with leadMinutes'];
+  }
+
+  const errors = Object.keys(headsUp)
+    .filter(field => field !== 'leadMinutes')
+    .map(field => `headsUp.${field} is not supported (use leadMinutes)`);
+  if (headsUp.leadMinutes !== undefined &&
+      (!Number.isInteger(headsUp.leadMinutes) || headsUp.leadMinutes < 1 || headsUp.leadMinutes > MAX_LEAD_MINUTES)) {
+    errors.push(`headsUp.leadMinutes must be a whole number from 1 to ${MAX_LEAD_MINUTES}`);
+  }
+  return errors;
+}
+
+// Minutes a call asking for a heads-up is held before it is dialed, or null
+// when it is dialed right away. Calls ask for one whether or not the key
+// has turned heads-ups on for its schedules.
+function resolveCallHeadsUp(keyRecord, headsUp) {
+  if (!headsUp) return null;
+  return (typeof headsUp === 'object' && headsUp.leadMinutes) || resolveSmsSettings(keyRecord).headsUp.leadMinutes;
+}
+
+// The defaults with the key's settings on top
+function resolveSmsSettings(keyRecord) {
+  const settings = (keyRecord && keyRecord.smsSettings) || {};
+  return {
+    headsUp: { ...DEFAULT_SMS_SETTINGS.headsUp, ...settings.headsUp },
+    thankYou: { ...DEFAULT_SMS_SETTINGS.thankYou, ...settings.thankYou }
+  };
+}
+
+// The text of one message: the key's template, or the locale's, filled in
+function renderSmsText(settings, name, locale, values = {}) {
+  const template = settings[name].text || translate(locale, CATALOG_PROMPTS[name]);
+  return template.replace(/\{(\w+)\}/g, (placeholder, field) => values[field] !== undefined ? String(values[field]) : placeholder);
+}
+
+// What an incoming text asks for: 'opt_out', 'opt_in', or null. Like the
+// carriers, only a message that is just the keyword counts.
+function interpretSmsKeyword(body) {
+  const keyword = String(body || '').trim().replace(/[.!]+$/, '').toUpperCase();
+  if (OPT_OUT_KEYWORDS.includes(keyword)) return 'opt_out';
+  if (OPT_IN_KEYWORDS.includes(keyword)) return 'opt_in';
+  return null;
+}
+
+module.exports = {
+  DEFAULT_SMS_SETTINGS,
+  OPT_OUT_KEYWORDS,
+  validateSmsSettings,
+  validateCallHeadsUp,
+  resolveSmsSettings,
+  resolveCallHeadsUp,
+  renderSmsText,
+  interpretSmsKeyword
+};
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+
+// Keyed record store held in memory. Used directly for tests and as the base
+// for the file-backed store below. Iterates like a Map of [id, record].
+class MemoryStore {
+  constructor(name) {
+    this.name = name;
+    this.type = 'in-memory';
+    this.records = new Map();
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  get(id) {
+    return this.records.get(id);
+  }
+
+  has(id) {
+    return this.records.has(id);
+  }
+
+  set(id, record) {
+    this.records.set(id, record);
+    return record;
+  }
+
+  delete(id) {
+    return this.records.delete(id);
+  }
+
+  values() {
+    return this.records.values();
+  }
+
+  entries() {
+    return this.records.entries();
+  }
+
+  [Symbol.iterator]() {
+    return this.records.entries();
+  }
+}
+
+// How long a file store waits after a change before writing, so a burst of
+// changes (one request often updates a record several times) is one write
+const DEFAULT_WRITE_DELAY_MS = 200;
+
+// File stores with changes not yet on disk, written out when the process exits
+const pendingStores = new Set();
+process.on('exit', () => {
+  for (const store of pendingStores) {
+    try {
+      store.flush();
+    } catch (error) {
+      console.error(`❌ Failed to write ${store.name} store on exit:`, error.message);
+    }
+  }
+});
+
+// Store that keeps the working set in memory and writes changes through to a
+// JSON file, so records survive restarts and redeploys. Changes are batched
+// into one write shortly after they happen (and on exit). Writes go to a temp
+// file first and are renamed into place to avoid half-written files.
+class FileStore extends MemoryStore {
+  constructor(name, dataDir, options = {}) {
+    super(name);
+    this.type = 'file';
+    this.dataDir = dataDir;
+    this.filePath = path.join(dataDir, `${name}.json`);
+    this.writeDelayMs = options.writeDelayMs !== undefined ? options.writeDelayMs : DEFAULT_WRITE_DELAY_MS;
+    this.writeTimer = null;
+    this.load();
+  }
+
+  load() {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const contents = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const [id, record] of Object.entries(contents)) {
+        this.records.set(id, record);
+      }
+      console.log(`💾 Loaded ${this.records.size} record(s) into ${this.name} store from ${this.filePath}`);
+    } catch (error) {
+      throw new Error(`Failed to load ${this.name} store from ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  // Write the whole collection now
+  persist() {
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.records), null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  // Write once the current burst of changes is over
+  schedulePersist() {
+    pendingStores.add(this);
+    if (this.writeTimer) return;
+
+    this.writeTimer = setTimeout(() => {
+      try {
+        this.flush();
+      } catch (error) {
+        console.error(`❌ Failed to write ${this.name} store to ${this.filePath}:`, error.message);
+      }
+    }, this.writeDelayMs);
+    this.writeTimer.unref();
+  }
+
+  // Write any changes not yet on disk
+  flush() {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+    }
+    if (!pendingStores.has(this)) return;
+
+    this.persist();
+    pendingStores.delete(this);
+  }
+
+  set(id, record) {
+    super.set(id, record);
+    this.schedulePersist();
+    return record;
+  }
+
+  delete(id) {
+    const deleted = super.delete(id);
+    if (deleted) {
+      this.schedulePersist();
+    }
+    return deleted;
+  }
+}
+
+// Create a store for a named collection. STORAGE_TYPE selects the backend
+// ('file' by default, 'memory' for tests) and DATA_DIR where files live.
+function createStore(name, options = {}) {
+  const type = options.type || process.env.STORAGE_TYPE || 'file';
+
+  if (type === 'memory') {
+    return new MemoryStore(name);
+  }
+
+  if (type === 'file') {
+    const dataDir = options.dataDir || process.env.DATA_DIR || path.join(process.cwd(), 'data');
+    return new FileStore(name, dataDir, options);
+  }
+
+  throw new Error(`Unsupported storage type: ${type}`);
+}
+
+module.exports = {
+  MemoryStore,
+  FileStore,
+  createStore
+};
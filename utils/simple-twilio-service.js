@@ -68,7 +68,10 @@ class SimpleTwilioService {
       phoneNumber,
       customMessage,
       callId,
-      webhookUrl
+      machineDetection,
+      webhookUrl,
+      record = true,
+      statusCallbackUrl
     } = callData;
 
     try {
@@ -80,18 +83,31 @@ class SimpleTwilioService {
       const baseUrl = process.env.BASE_URL || 'http://localhost:5005';
       console.log(`📞 Using base URL: ${baseUrl}`);
 
+      // Embed the Memoora call ID in every callback so webhooks resolve the call directly
+      const withCallId = (url) => {
+        if (!callId) return url;
+        const separator = url.includes('?') ? '&' : '?';
+        return `${url}${separator}callId=${encodeURIComponent(callId)}`;
+      };
+
       // Create base Twilio call parameters
       const baseCallParams = {
         to: phoneNumber,
-        url: webhookUrl || `${baseUrl}/api/v1/voice`,
-        statusCallback: `${baseUrl}/api/v1/call-status`,
+        url: withCallId(webhookUrl || `${baseUrl}/api/v1/voice`),
+        statusCallback: withCallId(statusCallbackUrl || `${baseUrl}/api/v1/call-status`),
         statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
         statusCallbackMethod: 'POST',
-        record: true,
-        recordingStatusCallback: `${baseUrl}/api/v1/recording-status`,
+        record,
+        recordingStatusCallback: withCallId(`${baseUrl}/api/v1/recording-status`),
         recordingStatusCallbackMethod: 'POST'
       };
 
+      // Wait for the voicemail greeting to finish so a machine hears the
+      // whole message; the voice webhook then receives AnsweredBy
+      if (machineDetection) {
+        baseCallParams.machineDetection = 'DetectMessageEnd';
+      }
+
       // Add metadata to track the call
       if (callId) {
         baseCallParams.statusCallbackEvent = [...baseCallParams.statusCallbackEvent, 'answered'];
@@ -243,21 +259,36 @@ class SimpleTwilioService {
     }
   }
 
-  // Cancel/end an active call
+  // Cancel/end an active call: a queued or ringing call is canceled, one in
+  // progress is hung up, and one that already ended is left alone
   async endCall(twilioSid) {
     if (!this.isReady()) {
       throw new Error('Twilio service not configured');
     }
 
     try {
-      const call = await this.client.calls(twilioSid).update({ status: 'completed' });
+      const current = await this.client.calls(twilioSid).fetch();
+      if (['completed', 'busy', 'failed', 'no-answer', 'canceled'].includes(current.status)) {
+        console.log(`📞 Call ${twilioSid} had already ended (${current.status})`);
+        return {
+          success: true,
+          sid: current.sid,
+          status: current.status,
+          alreadyEnded: true,
+          message: 'Call had already ended'
+        };
+      }
+
+      const endStatus = ['queued', 'ringing'].includes(current.status) ? 'canceled' : 'completed';
+      const call = await this.client.calls(twilioSid).update({ status: endStatus });
       
-      console.log(`📞 Call ${twilioSid} ended successfully`);
+      console.log(`📞 Call ${twilioSid} ended successfully (${current.status} -> ${endStatus})`);
       
       return {
         success: true,
         sid: call.sid,
         status: call.status,
+        previousStatus: current.status,
         message: 'Call ended successfully'
       };
     } catch (error) {
@@ -266,16 +297,54 @@ class SimpleTwilioService {
     }
   }
 
+  // Send a text message from the service's phone number (alpha sender IDs
+  // can't be replied to, so STOP would never reach us). Twilio's error code
+  // is kept on the thrown error; 21610 means the number has opted out.
+  async sendSms({ to, body, statusCallbackUrl }) {
+    if (!this.isReady()) {
+      throw new Error('Twilio service not configured');
+    }
+
+    try {
+      const message = await this.client.messages.create({
+        to,
+        from: this.phoneNumber,
+        body,
+        statusCallback: statusCallbackUrl
+      });
+
+      console.log(`💬 SMS ${message.sid} sent to ${to} (${message.status})`);
+
+      return {
+        messageSid: message.sid,
+        status: message.status
+      };
+    } catch (error) {
+      console.error('❌ Failed to send SMS:', error.message);
+      const smsError = new Error(`Failed to send SMS: ${error.message}`);
+      smsError.code = error.code;
+      throw smsError;
+    }
+  }
+
   // Get call recordings
   async getCallRecordings(twilioSid) {
+    return this.listRecordings({ callSid: twilioSid });
+  }
+
+  // Get the recordings of a conference (a conference recording belongs to
+  // the conference, not to either participant's call)
+  async getConferenceRecordings(conferenceSid) {
+    return this.listRecordings({ conferenceSid });
+  }
+
+  async listRecordings(filter) {
     if (!this.isReady()) {
       throw new Error('Twilio service not configured');
     }
 
     try {
-      const recordings = await this.client.recordings.list({
-        callSid: twilioSid
-      });
+      const recordings = await this.client.recordings.list(filter);
 
       return recordings.map(recording => ({
         sid: recording.sid,
@@ -285,7 +354,8 @@ class SimpleTwilioService {
         price: recording.price,
         priceUnit: recording.priceUnit,
         uri: recording.uri,
-        mediaUrl: recording.mediaUrl
+        mediaUrl: recording.mediaUrl,
+        source: recording.source
       }));
     } catch (error) {
       console.error('❌ Failed to get call recordings:', error.message);
@@ -0,0 +1,69 @@
+const twilio = require('twilio');
+
+// Rebuild the public URL Twilio requested. BASE_URL wins because behind
+// Render's proxy the Host and protocol seen by Express are internal values;
+// without it, fall back to the X-Forwarded-* headers and then the socket.
+function getWebhookUrl(req, baseUrl) {
+  if (baseUrl) {
+    return `${baseUrl.replace(/\/+$/, '')}${req.originalUrl}`;
+  }
+
+  const protocol = (req.headers['x-forwarded-proto'] || req.protocol || 'http').split(',')[0].trim();
+  const host = (req.headers['x-forwarded-host'] || req.headers.host || '').split(',')[0].trim();
+  return `${protocol}://${host}${req.originalUrl}`;
+}
+
+// Express middleware that rejects webhook requests whose X-Twilio-Signature
+// does not match the auth token. Form-encoded webhooks are signed over the URL
+// plus POST params; JSON webhooks carry a bodySHA256 query param instead and
+// are checked against the raw body captured in index.js.
+function createTwilioWebhookValidator(options = {}) {
+  const authToken = options.authToken || process.env.TWILIO_AUTH_TOKEN;
+  const baseUrl = options.baseUrl !== undefined ? options.baseUrl : process.env.BASE_URL;
+  const skipValidation = options.skipValidation !== undefined
+    ? options.skipValidation
+    : process.env.SKIP_TWILIO_SIGNATURE_VALIDATION === 'true';
+  const isProduction = options.isProduction !== undefined
+    ? options.isProduction
+    : process.env.NODE_ENV === 'production';
+
+  if (skipValidation && isProduction) {
+    console.warn('⚠️  SKIP_TWILIO_SIGNATURE_VALIDATION is ignored in production');
+  } else if (skipValidation) {
+    console.warn('⚠️  Twilio signature validation disabled (local development only)');
+  }
+
+  return (req, res, next) => {
+    if (skipValidation && !isProduction) {
+      return next();
+    }
+
+    if (!authToken) {
+      console.error('❌ Cannot validate Twilio webhook: TWILIO_AUTH_TOKEN not set');
+      return res.status(500).json({ error: 'Webhook validation not configured' });
+    }
+
+    const signature = req.headers['x-twilio-signature'];
+    if (!signature) {
+      console.warn(`⚠️  Rejected webhook without Twilio signature: ${req.originalUrl}`);
+      return res.status(403).json({ error: 'Missing Twilio signature' });
+    }
+
+    const url = getWebhookUrl(req, baseUrl);
+    const valid = url.includes('bodySHA256=')
+      ? twilio.validateRequestWithBody(authToken, signature, url, req.rawBody || '')
+      : twilio.validateRequest(authToken, signature, url, req.body || {});
+
+    if (!valid) {
+      console.warn(`⚠️  Rejected webhook with invalid Twilio signature: ${url}`);
+      return res.status(403).json({ error: 'Invalid Twilio signature' });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createTwilioWebhookValidator,
+  getWebhookUrl
+};
@@ -0,0 +1,198 @@
+// Characters that can't appear as-is in XML text or attribute values
+const XML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&apos;'
+};
+
+// Longest <break> a question can ask for (Twilio's limit)
+const MAX_BREAK_SECONDS = 10;
+
+// Seconds in a <break> time such as "500ms" or "2s", or null
+function breakTimeSeconds(value) {
+  const match = /^(\d+(?:\.\d+)?)(ms|s)$/.exec(value);
+  return match ? Number(match[1]) / (match[2] === 'ms' ? 1000 : 1) : null;
+}
+
+// The SSML tags question authors may use inside spoken text, with a check
+// for each attribute. Anything else that looks like a tag is read as text.
+const SSML_ELEMENTS = {
+  break: {
+    selfClosing: true,
+    example: '<break time="1s"/>',
+    attributes: {
+      time: value => breakTimeSeconds(value) !== null && breakTimeSeconds(value) <= MAX_BREAK_SECONDS,
+      strength: value => ['none', 'x-weak', 'weak', 'medium', 'strong', 'x-strong'].includes(value)
+    }
+  },
+  emphasis: {
+    example: '<emphasis level="strong">this</emphasis>',
+    attributes: {
+      level: value => ['strong', 'moderate', 'reduced'].includes(value)
+    }
+  },
+  prosody: {
+    example: '<prosody rate="slow">this</prosody>',
+    requiresAttribute: true,
+    attributes: {
+      rate: value => /^(x-slow|slow|medium|fast|x-fast)$/.test(value) || (/^\d{2,3}%$/.test(value) && parseInt(value, 10) >= 20 && parseInt(value, 10) <= 200),
+      pitch: value => /^(x-low|low|medium|high|x-high|default|[+-]\d{1,2}%)$/.test(value),
+      volume: value => /^(silent|x-soft|soft|medium|loud|x-loud|default|[+-]\d{1,2}dB)$/.test(value)
+    }
+  }
+};
+
+const SSML_TAG = /<(\/?)(break|emphasis|prosody)\b([^<>]*?)(\/?)>/g;
+const SSML_ATTRIBUTE = /\s+([a-z]+)\s*=\s*(?:"([^"<>]*)"|'([^'<>]*)')/gy;
+
+// Escape text for use in XML text or an attribute value
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, character => XML_ENTITIES[character]);
+}
+
+// ` name="value"` for each attribute that has a value
+function attributesXml(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([attribute, value]) => ` ${attribute}="${escapeXml(value)}"`)
+    .join('');
+}
+
+// One TwiML element. Attribute values are escaped and null ones left out;
+// `innerXml` must already be markup (from escapeXml, speechXml or element),
+// and without it the element closes itself.
+function element(name, attributes = {}, innerXml = null) {
+  const attributeXml = attributesXml(attributes);
+  return innerXml === null ? `<${name}${attributeXml}/>` : `<${name}${attributeXml}>${innerXml}</${name}>`;
+}
+
+// Read the attributes of an SSML tag, or null when they aren't name="value"
+function parseAttributes(source) {
+  const attributes = {};
+  let end = 0;
+  SSML_ATTRIBUTE.lastIndex = 0;
+
+  let match;
+  while ((match = SSML_ATTRIBUTE.exec(source)) !== null) {
+    attributes[match[1]] = match[2] !== undefined ? match[2] : match[3];
+    end = SSML_ATTRIBUTE.lastIndex;
+  }
+
+  return source.slice(end).trim() === '' ? attributes : null;
+}
+
+// Split spoken text into plain text and SSML tags, with a list of problems
+// with the tags (misspelled attributes, values out of range, tags left open)
+function parseSpeech(text) {
+  const tokens = [];
+  const errors = [];
+  const open = [];
+  let position = 0;
+
+  for (const match of text.matchAll(SSML_TAG)) {
+    const [source, closing, name, attributeSource, selfClosing] = match;
+    const rules = SSML_ELEMENTS[name];
+
+    if (match.index > position) tokens.push({ text: text.slice(position, match.index) });
+    position = match.index + source.length;
+
+    if (closing) {
+      if (attributeSource.trim() || selfClosing) {
+        errors.push(`</${name}> can't have attributes`);
+      } else if (open[open.length - 1] !== name) {
+        errors.push(`</${name}> has no matching <${name}>`);
+      } else {
+        open.pop();
+        tokens.push({ tag: name, closing: true });
+      }
+      continue;
+    }
+
+    // A bad tag is still matched with its closing tag, so one mistake is
+    // reported once
+    if (!rules.selfClosing) open.push(name);
+
+    const attributes = parseAttributes(attributeSource);
+    if (attributes === null) {
+      errors.push(`<${name}> attributes must be written name="value", like ${rules.example}`);
+      continue;
+    }
+
+    for (const [attribute, value] of Object.entries(attributes)) {
+      if (!rules.attributes[attribute]) {
+        errors.push(`<${name}> doesn't take "${attribute}" (use ${Object.keys(rules.attributes).join(', ')})`);
+      } else if (!rules.attributes[attribute](value)) {
+        errors.push(`<${name}> ${attribute}="${value}" isn't supported, see ${rules.example}`);
+      }
+    }
+    if (rules.requiresAttribute && Object.keys(attributes).length === 0) {
+      errors.push(`<${name}> needs one of: ${Object.keys(rules.attributes).join(', ')}`);
+    }
+    if (Boolean(selfClosing) !== Boolean(rules.selfClosing)) {
+      errors.push(rules.selfClosing
+        ? `<${name}> must close itself, like ${rules.example}`
+        : `<${name}> must wrap text, like ${rules.example}`);
+      if (selfClosing) open.pop();
+    }
+
+    tokens.push({ tag: name, attributes, selfClosing: Boolean(selfClosing) });
+  }
+
+  if (position < text.length) tokens.push({ text: text.slice(position) });
+  open.forEach(name => errors.push(`<${name}> is never closed with </${name}>`));
+
+  return { tokens, errors };
+}
+
+// Problems with the SSML in a piece of spoken text (empty when it has none)
+function validateSpeech(text) {
+  return parseSpeech(text).errors;
+}
+
+// The same problems, each starting with the field the text came from.
+// Anything that isn't a string is left to the field's own validation.
+function speechErrors(field, text) {
+  return typeof text === 'string' ? validateSpeech(text).map(error => `${field}: ${error}`) : [];
+}
+
+// Spoken text as the inside of a <Say>: the text escaped, the supported SSML
+// tags kept. Text with broken SSML is read out exactly as written.
+function speechXml(text) {
+  const { tokens, errors } = parseSpeech(text);
+  if (errors.length > 0) return escapeXml(text);
+
+  return tokens.map(token => {
+    if (token.text !== undefined) return escapeXml(token.text);
+    if (token.closing) return `</${token.tag}>`;
+    return `<${token.tag}${attributesXml(token.attributes)}${token.selfClosing ? '/' : ''}>`;
+  }).join('');
+}
+
+// What the storyteller hears, without the SSML tags, and how many seconds of
+// <break> the text asks for
+function speechText(text) {
+  const { tokens, errors } = parseSpeech(text);
+  if (errors.length > 0) return { text, breakSeconds: 0 };
+
+  let breakSeconds = 0;
+  const plain = tokens.map(token => {
+    if (token.tag === 'break' && token.attributes.time) {
+      breakSeconds += breakTimeSeconds(token.attributes.time);
+    }
+    return token.text !== undefined ? token.text : token.tag === 'break' ? ' ' : '';
+  }).join('');
+
+  return { text: plain.replace(/\s+/g, ' ').trim(), breakSeconds };
+}
+
+module.exports = {
+  MAX_BREAK_SECONDS,
+  escapeXml,
+  element,
+  validateSpeech,
+  speechErrors,
+  speechXml,
+  speechText
+};
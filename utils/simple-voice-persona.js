@@ -0,0 +1,131 @@
+const { DEFAULT_LOCALE, getCatalog } = require('./simple-locales');
+const { speechErrors } = require('./simple-twiml');
+
+// Text-to-speech voices a key or call can pick, with the language each speaks
+const SUPPORTED_VOICES = {
+  'Google.en-US-Neural2-F': 'en-US',
+  'Google.en-US-Neural2-C': 'en-US',
+  'Google.en-US-Neural2-D': 'en-US',
+  'Google.en-US-Neural2-J': 'en-US',
+  'Polly.Joanna-Neural': 'en-US',
+  'Polly.Kendra-Neural': 'en-US',
+  'Polly.Matthew-Neural': 'en-US',
+  'alice': 'en-US',
+  'Google.es-US-Neural2-A': 'es-US',
+  'Google.es-US-Neural2-B': 'es-US',
+  'Polly.Lupe-Neural': 'es-US',
+  'Google.cmn-CN-Wavenet-A': 'cmn-CN',
+  'Google.cmn-CN-Wavenet-B': 'cmn-CN',
+  'Polly.Zhiyu-Neural': 'cmn-CN',
+  'Google.fil-PH-Wavenet-A': 'fil-PH',
+  'Google.fil-PH-Wavenet-C': 'fil-PH'
+};
+
+// Pauses (in seconds) around the script, and the longest one allowed
+const PAUSE_NAMES = ['afterPickup', 'afterGreeting', 'beforeRecording', 'betweenQuestions'];
+const MAX_PAUSE_SECONDS = 10;
+const MAX_SCRIPT_LINE_LENGTH = 300;
+
+// How every call sounded before personas could be configured. The voice,
+// greeting and closing come from the call's locale catalog.
+const DEFAULT_VOICE_PERSONA = {
+  rate: 0.9,
+  pitch: 0.1,
+  pauses: {
+    afterPickup: 2,
+    afterGreeting: 1,
+    beforeRecording: 1,
+    betweenQuestions: 1
+  }
+};
+
+// Validate a (partial) voice persona, returning a list of problems. With a
+// locale, the voice must also speak that locale's language.
+function validateVoicePersona(persona, locale) {
+  if (persona === null) return [];
+  if (typeof persona !== 'object' || Array.isArray(persona)) {
+    return ['voicePersona must be an object'];
+  }
+
+  const errors = [];
+  const { voice, rate, pitch, greeting, closing, pauses } = persona;
+
+  if (voice !== undefined && !SUPPORTED_VOICES[voice]) {
+    errors.push(`voice must be one of: ${Object.keys(SUPPORTED_VOICES).join(', ')}`);
+  } else if (voice !== undefined && locale && SUPPORTED_VOICES[voice] !== getCatalog(locale).language) {
+    errors.push(`voice ${voice} does not speak ${getCatalog(locale).language}`);
+  }
+
+  if (rate !== undefined && (typeof rate !== 'number' || rate < 0.5 || rate > 2)) {
+    errors.push('rate must be a number between 0.5 and 2');
+  }
+
+  if (pitch !== undefined && (typeof pitch !== 'number' || pitch < -1 || pitch > 1)) {
+    errors.push('pitch must be a number between -1 and 1');
+  }
+
+  for (const [name, line] of Object.entries({ greeting, closing })) {
+    if (line !== undefined && (typeof line !== 'string' || !line.trim() || line.length > MAX_SCRIPT_LINE_LENGTH)) {
+      errors.push(`${name} must be a non-empty string of at most ${MAX_SCRIPT_LINE_LENGTH} characters`);
+    } else {
+      errors.push(...speechErrors(name, line));
+    }
+  }
+
+  if (pauses !== undefined) {
+    if (typeof pauses !== 'object' || pauses === null || Array.isArray(pauses)) {
+      errors.push(`pauses must be an object with any of: ${PAUSE_NAMES.join(', ')}`);
+    } else {
+      for (const [name, seconds] of Object.entries(pauses)) {
+        if (!PAUSE_NAMES.includes(name)) {
+          errors.push(`pauses.${name} is not supported (use ${PAUSE_NAMES.join(', ')})`);
+        } else if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_PAUSE_SECONDS) {
+          errors.push(`pauses.${name} must be a whole number of seconds between 0 and ${MAX_PAUSE_SECONDS}`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Defaults for the locale, then the key's persona, then the call's. The key's
+// voice, greeting and closing only apply to calls in the language of its
+// voice (English when it doesn't set one). Resolving an already resolved
+// persona returns it unchanged.
+function resolveVoicePersona(keyRecord, callPersona, locale = DEFAULT_LOCALE) {
+  const catalog = getCatalog(locale);
+  const keyPersona = (keyRecord && keyRecord.voicePersona) || {};
+  const persona = callPersona || {};
+
+  const { voice, greeting, closing, ...keyDelivery } = keyPersona;
+  const keySpeaksLocale = SUPPORTED_VOICES[voice || getCatalog(DEFAULT_LOCALE).voice] === catalog.language;
+
+  return {
+    voice: catalog.voice,
+    ...DEFAULT_VOICE_PERSONA,
+    greeting: catalog.prompts.greeting,
+    closing: catalog.prompts.closing,
+    ...(keySpeaksLocale ? keyPersona : keyDelivery),
+    ...persona,
+    pauses: { ...DEFAULT_VOICE_PERSONA.pauses, ...keyPersona.pauses, ...persona.pauses }
+  };
+}
+
+// SSML <prosody> attributes for a persona's rate and pitch, or null when it
+// speaks at the voice's own. Twilio's <Say> has no rate or pitch attributes;
+// pitch -1 to 1 is -50% to +50%.
+function personaProsody(persona) {
+  const rate = persona.rate !== undefined && persona.rate !== 1 ? `${Math.round(persona.rate * 100)}%` : null;
+  const pitchPercent = Math.round((persona.pitch || 0) * 50);
+  const pitch = pitchPercent !== 0 ? `${pitchPercent > 0 ? '+' : ''}${pitchPercent}%` : null;
+
+  return rate || pitch ? { rate, pitch } : null;
+}
+
+module.exports = {
+  SUPPORTED_VOICES,
+  validateVoicePersona,
+  resolveVoicePersona,
+  personaProsody
+};
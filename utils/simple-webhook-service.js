@@ -0,0 +1,134 @@
+const https = require('https');
+const http = require('http');
+const { DEFAULT_LOCALE } = require('./simple-locales');
+
+// How long the main backend has to answer a webhook before it counts as failed
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Helper function to make HTTP requests. Rejects if no response arrives
+// within options.timeoutMs.
+const makeHttpRequest = (url, options, data) => {
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(url);
+    const transport = urlObj.protocol === 'http:' ? http : https;
+    const requestOptions = {
+      hostname: urlObj.hostname,
+      port: urlObj.port || (urlObj.protocol === 'https:' ? 443 : 80),
+      path: urlObj.pathname + urlObj.search,
+      method: options.method || 'GET',
+      headers: options.headers || {}
+    };
+
+    const req = transport.request(requestOptions, (res) => {
+      let responseData = '';
+      res.on('data', (chunk) => {
+        responseData += chunk;
+      });
+      res.on('end', () => {
+        resolve({
+          ok: res.statusCode >= 200 && res.statusCode < 300,
+          status: res.statusCode,
+          statusText: res.statusMessage,
+          // Rejects (rather than throws) on a body that isn't JSON
+          json: () => new Promise(resolveJson => resolveJson(JSON.parse(responseData)))
+        });
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(error);
+    });
+
+    if (options.timeoutMs) {
+      req.setTimeout(options.timeoutMs, () => {
+        req.destroy(new Error(`No response within ${options.timeoutMs}ms`));
+      });
+    }
+
+    if (data) {
+      req.write(data);
+    }
+    req.end();
+  });
+};
+
+// Outbound webhooks to the main Memoora backend (MAIN_BACKEND_URL)
+class SimpleWebhookService {
+  constructor(options = {}) {
+    this.mainBackendUrl = options.mainBackendUrl !== undefined ? options.mainBackendUrl : process.env.MAIN_BACKEND_URL;
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.WEBHOOK_TIMEOUT_MS || String(DEFAULT_TIMEOUT_MS), 10);
+
+    console.log(`📤 Simple Webhook Service initialized (${this.mainBackendUrl ? this.mainBackendUrl : 'MAIN_BACKEND_URL not configured'})`);
+  }
+
+  isConfigured() {
+    return !!this.mainBackendUrl;
+  }
+
+  // Call fields shared by every outbound payload
+  buildCallPayload(callRecord) {
+    return {
+      CallSid: callRecord.twilioSid,
+      callId: callRecord.id,
+      phoneNumber: callRecord.phoneNumber,
+      customMessage: callRecord.customMessage,
+      callType: callRecord.callType,
+      storytellerId: callRecord.storytellerId,
+      familyMemberId: callRecord.familyMemberId,
+      scheduledCallId: callRecord.scheduledCallId,
+      campaignId: callRecord.campaignId || null,
+      recordingType: callRecord.recordingType,
+      direction: callRecord.direction || 'outbound',
+      locale: callRecord.locale || DEFAULT_LOCALE,
+      inResponseToCallId: callRecord.inResponseToCallId || null,
+      consent: callRecord.consent || null,
+      sms: callRecord.sms || null,
+      conference: callRecord.conference ? {
+        familyMemberPhoneNumber: callRecord.conference.familyMemberPhoneNumber,
+        conferenceSid: callRecord.conference.conferenceSid,
+        familyMemberConsent: callRecord.conference.familyMemberConsent || null,
+        events: callRecord.conference.events
+      } : null,
+      apiKeyId: callRecord.apiKeyId,
+      attemptNumber: callRecord.attemptNumber || 1,
+      maxAttempts: callRecord.retryPolicy ? callRecord.retryPolicy.maxAttempts : 1,
+      originalCallId: callRecord.originalCallId || callRecord.id,
+      previousCallId: callRecord.previousCallId || null
+    };
+  }
+
+  // POST a JSON payload to /api/calls/<event> on the main backend. Never
+  // rejects: delivery problems are logged and reported in the result.
+  async send(event, payload) {
+    if (!this.isConfigured()) {
+      console.log(`ℹ️  MAIN_BACKEND_URL not configured - skipping ${event} webhook`);
+      return { sent: false, reason: 'not_configured' };
+    }
+
+    const url = `${this.mainBackendUrl}/api/calls/${event}`;
+    console.log(`📤 Sending ${event} webhook to main backend:`, this.mainBackendUrl);
+
+    try {
+      const response = await makeHttpRequest(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        timeoutMs: this.timeoutMs
+      }, JSON.stringify(payload));
+
+      if (!response.ok) {
+        console.error(`❌ Failed to send ${event} webhook to main backend:`, response.status, response.statusText);
+        return { sent: false, status: response.status };
+      }
+
+      // Any 2xx is a delivery, whatever the body says
+      const responseData = await response.json().catch(() => null);
+      console.log(`✅ ${event} webhook sent to main backend successfully:`, responseData);
+      return { sent: true, status: response.status };
+    } catch (error) {
+      console.error(`❌ Error sending ${event} webhook to main backend:`, error.message);
+      return { sent: false, error: error.message };
+    }
+  }
+}
+
+module.exports = SimpleWebhookService;